@@ -6,6 +6,14 @@ import { fileURLToPath } from 'url';
 import marketRoutes from './routes/market.js';
 import optimizeRoutes from './routes/optimize.js';
 import explainRoutes from './routes/explain.js';
+import frontierRoutes from './routes/frontier.js';
+import backtestRoutes from './routes/backtest.js';
+import simulateRoutes from './routes/simulate.js';
+import goalRoutes from './routes/goals.js';
+import stressRoutes from './routes/stress.js';
+import adminRoutes from './routes/admin.js';
+import assetRoutes from './routes/assets.js';
+import universeRoutes from './routes/universes.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const app = express();
@@ -18,6 +26,14 @@ app.use(express.json());
 app.use('/api/market', marketRoutes);
 app.use('/api/optimize', optimizeRoutes);
 app.use('/api/explain', explainRoutes);
+app.use('/api/frontier', frontierRoutes);
+app.use('/api/backtest', backtestRoutes);
+app.use('/api/simulate', simulateRoutes);
+app.use('/api/goals', goalRoutes);
+app.use('/api/stress', stressRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/assets', assetRoutes);
+app.use('/api/universes', universeRoutes);
 
 // In production, serve the Vite build
 if (process.env.NODE_ENV === 'production') {
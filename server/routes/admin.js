@@ -0,0 +1,47 @@
+import path from 'path';
+import { Router } from 'express';
+import { loadDataset, DatasetError, DATASET_PATH, ASSETS_DIR } from '../utils/dataset.js';
+import { listPriceTickers } from '../utils/polygon.js';
+
+const router = Router();
+
+/**
+ * GET /api/admin/dataset
+ * Status of the asset dataset the server optimizes with: its version, build
+ * time, estimation window, shrinkage settings, the assets it holds and the
+ * price files it skipped (and why). `stale` lists tickers with a price file in
+ * assets/ that the dataset neither holds nor skipped, i.e. added since the last
+ * `npm run dataset:rebuild`. Paths are relative to the project root, so the
+ * response does not reveal where the server is installed.
+ */
+router.get('/dataset', (_req, res) => {
+  try {
+    const dataset = loadDataset();
+    const known = new Set([...dataset.assets, ...dataset.excluded].map(a => a.ticker));
+    res.json({
+      path: path.relative(process.cwd(), DATASET_PATH),
+      assetsDir: path.relative(process.cwd(), ASSETS_DIR),
+      format: dataset.format,
+      version: dataset.version,
+      builtAt: dataset.builtAt,
+      start: dataset.start,
+      end: dataset.end,
+      observations: dataset.observations,
+      minHistoryDays: dataset.minHistoryDays,
+      shrinkage: dataset.shrinkage,
+      assets: dataset.assets.map(({ ticker, assetClass, firstDate, lastDate, mean, historicalMean, volatility, tau }) => ({
+        ticker, assetClass, firstDate, lastDate, mean, historicalMean, volatility, tau,
+      })),
+      excluded: dataset.excluded,
+      stale: listPriceTickers().filter(t => !known.has(t)),
+    });
+  } catch (err) {
+    if (err instanceof DatasetError) {
+      return res.status(503).json({ error: err.message });
+    }
+    console.error('Dataset status error:', err);
+    res.status(500).json({ error: 'Failed to read dataset status: ' + err.message });
+  }
+});
+
+export default router;
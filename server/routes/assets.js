@@ -0,0 +1,127 @@
+import express, { Router } from 'express';
+import { listAssets, ASSET_CLASSES } from '../utils/assets.js';
+import { loadDataset, DatasetError } from '../utils/dataset.js';
+import { fetchPriceHistory } from '../utils/polygon.js';
+import {
+  addCustomAsset, removeCustomAsset, getSession, describeCustomAsset, CustomAssetError,
+} from '../utils/customAssets.js';
+
+const router = Router();
+
+/**
+ * GET /api/assets?assetClass=bonds&region=US&esg=true&core=true
+ * Lists the asset registry: ticker, name, asset class, sub-class, region,
+ * expense ratio, ESG flag and default-universe membership. Assets in the
+ * current dataset also carry their shrunk expected return, volatility and
+ * price-history range; the others have `inDataset: false`.
+ * All query parameters are optional filters.
+ */
+router.get('/', (req, res) => {
+  try {
+    const { assetClass, region, esg, core } = req.query;
+    if (assetClass !== undefined && !ASSET_CLASSES.includes(assetClass)) {
+      return res.status(400).json({ error: `assetClass must be one of: ${ASSET_CLASSES.join(', ')}` });
+    }
+    for (const [field, value] of [['esg', esg], ['core', core]]) {
+      if (value !== undefined && value !== 'true' && value !== 'false') {
+        return res.status(400).json({ error: `${field} must be true or false` });
+      }
+    }
+
+    let stats = new Map();
+    try {
+      stats = new Map(loadDataset().assets.map(a => [a.ticker, a]));
+    } catch (err) {
+      if (!(err instanceof DatasetError)) throw err;
+    }
+
+    const assets = listAssets()
+      .filter(a => assetClass === undefined || a.assetClass === assetClass)
+      .filter(a => region === undefined || a.region === region)
+      .filter(a => esg === undefined || a.esg === (esg === 'true'))
+      .filter(a => core === undefined || a.core === (core === 'true'))
+      .map(a => {
+        const s = stats.get(a.ticker);
+        return {
+          ...a,
+          inDataset: Boolean(s),
+          ...(s && { expectedReturn: s.mean, volatility: s.volatility, firstDate: s.firstDate, lastDate: s.lastDate }),
+        };
+      });
+    res.json({ assets });
+  } catch (err) {
+    console.error('Asset registry error:', err);
+    res.status(500).json({ error: 'Failed to list assets: ' + err.message });
+  }
+});
+
+/**
+ * POST /api/assets/upload?ticker=ACME&assetClass=equity&name=Acme%20Corp
+ * Body: a Date,Open,High,Low,Close,... CSV of daily prices (text/csv), as in assets/.
+ * Adds the asset to the caller's session: the first upload starts one, and
+ * later requests pass its id in the X-Session-Id header. The asset is
+ * regressed on the dataset over their shared dates to extend the expected
+ * returns and covariance (see utils/customAssets.js), and from then on
+ * POST /api/optimize and /api/simulate and GET /api/frontier with that header
+ * include it in every universe.
+ * Returns { sessionId, asset } with the asset's estimated return and volatility,
+ * its overlap with the dataset and any data warnings.
+ */
+router.post('/upload', express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }), async (req, res) => {
+  try {
+    const { ticker, name, assetClass } = req.query;
+    const result = await addCustomAsset(
+      req.get('X-Session-Id'),
+      { ticker, name, assetClass, csv: typeof req.body === 'string' ? req.body : '' },
+      fetchPriceHistory,
+    );
+    res.status(201).json(result);
+  } catch (err) {
+    if (err instanceof CustomAssetError) {
+      return res.status(400).json({ error: err.message, field: err.field });
+    }
+    if (err instanceof DatasetError) {
+      return res.status(503).json({ error: err.message });
+    }
+    console.error('Asset upload error:', err);
+    res.status(500).json({ error: 'Asset upload failed: ' + err.message });
+  }
+});
+
+/**
+ * GET /api/assets/uploads
+ * Lists the assets uploaded in the X-Session-Id session.
+ */
+router.get('/uploads', (req, res) => {
+  try {
+    const session = getSession(req.get('X-Session-Id'));
+    res.json({ assets: session ? [...session.assets.values()].map(describeCustomAsset) : [] });
+  } catch (err) {
+    if (err instanceof CustomAssetError) {
+      return res.status(400).json({ error: err.message, field: err.field });
+    }
+    console.error('Asset upload error:', err);
+    res.status(500).json({ error: 'Failed to list uploads: ' + err.message });
+  }
+});
+
+/**
+ * DELETE /api/assets/upload/:ticker
+ * Removes an uploaded asset from the X-Session-Id session.
+ */
+router.delete('/upload/:ticker', (req, res) => {
+  try {
+    if (!removeCustomAsset(req.get('X-Session-Id'), req.params.ticker)) {
+      return res.status(404).json({ error: `No uploaded asset ${req.params.ticker} in this session` });
+    }
+    res.status(204).end();
+  } catch (err) {
+    if (err instanceof CustomAssetError) {
+      return res.status(400).json({ error: err.message, field: err.field });
+    }
+    console.error('Asset upload error:', err);
+    res.status(500).json({ error: 'Failed to remove upload: ' + err.message });
+  }
+});
+
+export default router;
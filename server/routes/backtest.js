@@ -0,0 +1,45 @@
+import { Router } from 'express';
+import { fetchPriceHistory } from '../utils/polygon.js';
+import { runBacktest, BacktestError } from '../utils/backtest.js';
+import { ConstraintError } from '../utils/constraints.js';
+import { CovarianceError } from '../utils/covariance.js';
+import { DEFAULT_UNIVERSE } from '../utils/assets.js';
+
+const router = Router();
+
+/**
+ * POST /api/backtest
+ * Body: {
+ *   weights?: { [ticker]: number } | [{ ticker, weight }],   // fixed portfolio, or
+ *   strategy?: string, gamma?: number, constraints?: Object,  // a strategy over the universe
+ *   rebalance?: 'monthly' | 'quarterly' | 'threshold', band?: number,
+ *   walkForward?: boolean, lookback?: number,
+ *   covariance?: 'sample' | 'ledoit-wolf' | 'constant-correlation' | 'ewma' | { estimator, halfLife },
+ *   start?: 'YYYY-MM-DD', end?: 'YYYY-MM-DD', riskFreeRate?: number, initialValue?: number
+ * }
+ * Returns { equityCurve, cagr, volatility, sharpe, sortino, maxDrawdown, turnover, rebalances, ... }
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { weights = null, ...options } = req.body;
+    const tickers = weights
+      ? (Array.isArray(weights) ? weights.map(h => h?.ticker) : Object.keys(weights))
+        .filter(t => typeof t === 'string').map(t => t.toUpperCase())
+      : DEFAULT_UNIVERSE;
+
+    const histories = await fetchPriceHistory(tickers);
+    const result = runBacktest(histories, { ...options, weights, tickers: DEFAULT_UNIVERSE });
+    res.json(result);
+  } catch (err) {
+    if (err instanceof BacktestError || err instanceof CovarianceError) {
+      return res.status(400).json({ error: err.message, field: err.field });
+    }
+    if (err instanceof ConstraintError) {
+      return res.status(400).json({ error: err.message, constraint: err.constraint });
+    }
+    console.error('Backtest error:', err);
+    res.status(500).json({ error: 'Backtest failed: ' + err.message });
+  }
+});
+
+export default router;
@@ -5,12 +5,12 @@ const router = Router();
 
 /**
  * POST /api/explain
- * Body: { gamma, riskLabel, portfolio, expectedReturn, volatility }
+ * Body: { gamma, riskLabel, portfolio, expectedReturn, volatility, strategy?, cash?, riskFreeRate? }
  * Returns { explanation: string }
  */
 router.post('/', async (req, res) => {
   try {
-    const { gamma, riskLabel, portfolio, expectedReturn, volatility } = req.body;
+    const { gamma, riskLabel, portfolio, expectedReturn, volatility, strategy, cash, riskFreeRate } = req.body;
 
     if (!gamma || !riskLabel || !portfolio) {
       return res.status(400).json({ error: 'Missing required fields: gamma, riskLabel, portfolio' });
@@ -22,6 +22,9 @@ router.post('/', async (req, res) => {
       portfolio,
       expectedReturn,
       volatility,
+      strategy,
+      cash,
+      riskFreeRate,
     });
 
     res.json({ explanation });
@@ -0,0 +1,75 @@
+import { Router } from 'express';
+import { fetchSessionMarketData } from '../utils/polygon.js';
+import { runFrontier } from '../utils/portfolio.js';
+import { readCovarianceOptions, CovarianceError } from '../utils/covariance.js';
+import { getUniverse, UniverseError } from '../utils/universes.js';
+import { readEstimationPeriod, EstimationPeriodError } from '../utils/estimationPeriod.js';
+import { getSession, CustomAssetError } from '../utils/customAssets.js';
+import { createLruCache } from '../utils/lruCache.js';
+
+const router = Router();
+
+// Frontier results depend only on the query parameters, so keep the most recent around
+const cache = createLruCache(32);
+
+/**
+ * GET /api/frontier?points=50&riskFreeRate=0.04[&universe=core-10][&estimator=ledoit-wolf&lookback=756&halfLife=63]
+ *   [&start=2015-01-01&end=2024-12-31&excludeRanges=2020-02-15:2020-04-30,...]
+ * Returns the efficient frontier (weights at every point), the tangency
+ * portfolio for the given risk-free rate, and per-asset risk/return. The
+ * frontier only caps each asset's weight (`constraints.maxWeight`); it ignores
+ * the constraints POST /api/optimize accepts (`constraints.userConstraints: false`).
+ * With `estimator` the covariance is estimated from daily prices (see utils/covariance.js);
+ * with `start`, `end` or `excludeRanges` every statistic is recomputed over that
+ * estimation period (see utils/estimationPeriod.js), as for POST /api/optimize.
+ * With an X-Session-Id header, the session's uploaded assets are added to the universe.
+ */
+router.get('/', async (req, res) => {
+  try {
+    const points = req.query.points !== undefined ? Number(req.query.points) : 50;
+    const riskFreeRate = req.query.riskFreeRate !== undefined ? Number(req.query.riskFreeRate) : 0;
+
+    if (!Number.isInteger(points) || points < 2 || points > 500) {
+      return res.status(400).json({ error: 'points must be an integer between 2 and 500' });
+    }
+    if (!Number.isFinite(riskFreeRate) || riskFreeRate < -0.05 || riskFreeRate > 0.25) {
+      return res.status(400).json({ error: 'riskFreeRate must be an annual rate between -0.05 and 0.25' });
+    }
+
+    const covariance = req.query.estimator !== undefined
+      ? readCovarianceOptions({
+        estimator: req.query.estimator,
+        lookback: req.query.lookback !== undefined ? Number(req.query.lookback) : null,
+        halfLife: req.query.halfLife !== undefined ? Number(req.query.halfLife) : undefined,
+      })
+      : null;
+    const { start, end, excludeRanges } = req.query;
+    const period = readEstimationPeriod({ start, end, excludeRanges });
+
+    const universe = getUniverse(req.query.universe);
+    const session = getSession(req.get('X-Session-Id'));
+    const { marketData, tickers, uploads } = await fetchSessionMarketData(universe.tickers, session, { covariance, period });
+    const compute = () => ({
+      ...runFrontier(marketData, tickers, { points, riskFreeRate }),
+      covariance: marketData.covariance.estimate ?? null,
+      estimationPeriod: marketData.period,
+    });
+    // Uploads are private to a session, so only frontiers without them are shared
+    if (uploads.length > 0) return res.json(compute());
+
+    // Keyed by dataset version too, so a rebuilt dataset is picked up
+    const key = JSON.stringify([marketData.version, tickers, points, riskFreeRate, covariance, period]);
+    if (!cache.has(key)) cache.set(key, compute());
+
+    res.json(cache.get(key));
+  } catch (err) {
+    if (err instanceof CovarianceError || err instanceof UniverseError || err instanceof CustomAssetError
+      || err instanceof EstimationPeriodError) {
+      return res.status(400).json({ error: err.message, field: err.field });
+    }
+    console.error('Frontier error:', err);
+    res.status(500).json({ error: 'Efficient frontier computation failed: ' + err.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,72 @@
+import { Router } from 'express';
+import { portfolioDailyReturns } from '../utils/simulation.js';
+import { evaluateGoalForPortfolios, readGoalRequest, GoalError } from '../utils/goals.js';
+import { runOptimizeRequest, OptimizeRequestError } from '../utils/optimizeRequest.js';
+import { ViewError } from '../utils/blackLitterman.js';
+import { CovarianceError } from '../utils/covariance.js';
+import { ConstraintError } from '../utils/constraints.js';
+import { UniverseError } from '../utils/universes.js';
+import { EstimationPeriodError } from '../utils/estimationPeriod.js';
+import { CustomAssetError } from '../utils/customAssets.js';
+
+const router = Router();
+
+/**
+ * Rescale holdings that were filtered for display so they sum to 1 again.
+ */
+function normalizeHoldings(holdings) {
+  const total = holdings.reduce((s, h) => s + h.weight, 0);
+  return holdings.map(h => ({ ticker: h.ticker, weight: h.weight / total }));
+}
+
+/**
+ * POST /api/goals/evaluate
+ * Body: {
+ *   goal: { name, targetAmount, targetDate, currentSavings, monthlyContribution },
+ *   confidence?: number, method?: 'parametric' | 'bootstrap',
+ *   ...the inputs of POST /api/optimize (gamma or gammaPosterior, strategy, universe, constraints, riskFreeRate, ...)
+ * }
+ * Returns { goal, confidence, portfolios: [{ name, successProbability, medianWealth, pessimisticWealth, requiredContribution }] }
+ * The first portfolio is the one POST /api/optimize recommends for the same inputs (and X-Session-Id
+ * header); the rest are the comparison templates.
+ */
+router.post('/evaluate', async (req, res) => {
+  try {
+    const { goal, confidence = 0.8, method = 'parametric', ...optimizeInputs } = req.body;
+    readGoalRequest(goal, { confidence, method });
+
+    const { result, histories } = await runOptimizeRequest(optimizeInputs, req.get('X-Session-Id'));
+    const candidates = [
+      {
+        name: 'Your Optimal',
+        holdings: result.portfolio,
+        mu: result.expectedReturn,
+        vol: result.volatility,
+        riskFreeRate: result.riskFreeRate ?? 0,
+      },
+      ...result.templates.map(t => ({ name: t.name, holdings: t.holdings, mu: t.expectedReturn, vol: t.volatility })),
+    ];
+
+    const portfolios = candidates.map(c => ({
+      name: c.name,
+      model: method === 'bootstrap'
+        ? { dailyReturns: portfolioDailyReturns(histories, normalizeHoldings(c.holdings), c.riskFreeRate) }
+        : { mu: c.mu, vol: c.vol },
+    }));
+
+    res.json(evaluateGoalForPortfolios(goal, portfolios, { confidence, method }));
+  } catch (err) {
+    if (err instanceof ConstraintError) {
+      return res.status(400).json({ error: err.message, constraint: err.constraint });
+    }
+    if (err instanceof GoalError || err instanceof OptimizeRequestError || err instanceof ViewError
+      || err instanceof CovarianceError || err instanceof UniverseError || err instanceof CustomAssetError
+      || err instanceof EstimationPeriodError) {
+      return res.status(400).json({ error: err.message, field: err.field });
+    }
+    console.error('Goal evaluation error:', err);
+    res.status(500).json({ error: 'Goal evaluation failed: ' + err.message });
+  }
+});
+
+export default router;
@@ -1,31 +1,64 @@
 import { Router } from 'express';
-import { fetchAllMarketData } from '../utils/polygon.js';
+import { fetchAllMarketData, fetchCovariance } from '../utils/polygon.js';
+import { readCovarianceOptions, CovarianceError } from '../utils/covariance.js';
+import { getUniverse, UniverseError } from '../utils/universes.js';
+import { readEstimationPeriod, EstimationPeriodError } from '../utils/estimationPeriod.js';
 
 const router = Router();
 
-// The curated ETF universe
-const ASSET_UNIVERSE = [
-  'SPY', 'QQQ', 'IWM', 'VTI',   // US Equity
-  'EFA', 'EEM',                    // International
-  'BND', 'TLT', 'IEF', 'SHY', 'AGG', 'LQD', // Bonds
-  'VNQ',                           // Real Estate
-  'GLD', 'SLV', 'DBC',           // Commodities
-  'XLK', 'XLF', 'XLE', 'XLV',   // Sectors
-];
-
 /**
- * GET /api/market
- * Fetches 1 year of daily prices for all assets in the universe.
- * Returns { [ticker]: [{ date, close }, ...] }
+ * GET /api/market?universe=core-10&start=2019-01-01&end=2024-12-31&excludeRanges=2020-02-20:2020-06-30
+ * Expected return and volatility of every asset in the universe (default 'default').
+ * `start`, `end` and `excludeRanges` (comma-separated "start:end" ranges) recompute
+ * the statistics from daily prices over that estimation period instead of the
+ * dataset's full common history.
+ * Returns { universe, tickers, data: { [ticker]: { mean, vol } }, estimationPeriod }
  */
-router.get('/', async (_req, res) => {
+router.get('/', async (req, res) => {
   try {
-    const data = await fetchAllMarketData(ASSET_UNIVERSE);
-    res.json({ tickers: Object.keys(data.summary), data: data.summary });
+    const { start, end, excludeRanges } = req.query;
+    const period = readEstimationPeriod({ start, end, excludeRanges });
+    const universe = getUniverse(req.query.universe);
+    const data = await fetchAllMarketData(universe.tickers, { period });
+    res.json({ universe: universe.name, tickers: Object.keys(data.summary), data: data.summary, estimationPeriod: data.period });
   } catch (err) {
+    if (err instanceof UniverseError || err instanceof EstimationPeriodError) {
+      return res.status(400).json({ error: err.message, field: err.field });
+    }
     console.error('Market data error:', err);
     res.status(500).json({ error: 'Failed to fetch market data' });
   }
 });
 
+/**
+ * GET /api/market/covariance?estimator=ledoit-wolf&lookback=756&halfLife=63&universe=core-10
+ * Estimates the universe's annualized covariance matrix from daily prices.
+ * `estimator` is one of sample (default), ledoit-wolf, constant-correlation or
+ * ewma (`halfLife` in trading days); `lookback` limits the estimate to the last
+ * that many trading days. Returns { tickers, matrix, volatilities, estimate }.
+ */
+router.get('/covariance', async (req, res) => {
+  try {
+    const options = readCovarianceOptions({
+      estimator: req.query.estimator ?? 'sample',
+      lookback: req.query.lookback !== undefined ? Number(req.query.lookback) : null,
+      halfLife: req.query.halfLife !== undefined ? Number(req.query.halfLife) : undefined,
+    });
+    const universe = getUniverse(req.query.universe);
+    const { tickers, matrix, estimate } = await fetchCovariance(universe.tickers, options);
+    res.json({
+      tickers,
+      matrix,
+      volatilities: Object.fromEntries(tickers.map((t, i) => [t, Math.sqrt(matrix[i][i])])),
+      estimate,
+    });
+  } catch (err) {
+    if (err instanceof CovarianceError || err instanceof UniverseError) {
+      return res.status(400).json({ error: err.message, field: err.field });
+    }
+    console.error('Covariance estimation error:', err);
+    res.status(500).json({ error: 'Covariance estimation failed: ' + err.message });
+  }
+});
+
 export default router;
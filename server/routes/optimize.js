@@ -1,38 +1,82 @@
 import { Router } from 'express';
-import { fetchAllMarketData } from '../utils/polygon.js';
-import { runOptimization } from '../utils/portfolio.js';
+import { runOptimizeRequest, OptimizeRequestError } from '../utils/optimizeRequest.js';
+import { ViewError } from '../utils/blackLitterman.js';
+import { CovarianceError } from '../utils/covariance.js';
+import { ConstraintError } from '../utils/constraints.js';
+import { UniverseError } from '../utils/universes.js';
+import { EstimationPeriodError } from '../utils/estimationPeriod.js';
+import { CustomAssetError } from '../utils/customAssets.js';
 
 const router = Router();
 
-const ASSET_UNIVERSE = [
-  'SPY', 'QQQ', 'IWM', 'VTI',
-  'EFA', 'EEM',
-  'BND', 'TLT', 'IEF', 'SHY', 'AGG', 'LQD',
-  'VNQ',
-  'GLD', 'SLV', 'DBC',
-  'XLK', 'XLF', 'XLE', 'XLV',
-];
-
 /**
  * POST /api/optimize
- * Body: { gamma: number }
+ * Body: { gamma: number, gammaPosterior?: { gammas: number[], weights: number[] }, strategy?: string, constraints?: Object, riskFreeRate?: number, maxLeverage?: number,
+ *         scenarioMethod?: 'historical' | 'bootstrap', scenarioHorizon?: 'daily' | 'monthly' | 'annual',
+ *         seed?: number, cvarLimit?: number, views?: Object[], equilibrium?: Object,
+ *         resample?: true | { draws?: number, observations?: number, seed?: number },
+ *         covariance?: string | { estimator?: string, lookback?: number, halfLife?: number },
+ *         universe?: string, start?: string, end?: string, excludeRanges?: Array<{ start, end }|string>,
+ *         lossAversion?: number }
+ * `gammaPosterior`, the assessment's posterior over γ as probability masses,
+ * replaces `gamma`: every strategy is then evaluated at the posterior mean,
+ * which for mean-variance utility (linear in γ) maximizes posterior expected
+ * utility exactly. The response's `gammaPosterior` adds the optimum at both
+ * ends of the 95% credible interval, showing how much the recommendation
+ * depends on the remaining uncertainty.
+ * `universe` names the ticker menu to optimize over (see GET /api/universes; default 'default').
+ * With an X-Session-Id header, the session's uploaded assets (POST /api/assets/upload) are added to it.
+ * `strategy` is one of max-utility (default), max-crra, min-cvar, mean-cvar, min-variance,
+ * max-diversification, inverse-volatility or risk-parity. max-crra maximizes CRRA
+ * utility over one-year return scenarios; min-cvar minimizes the 95% CVaR of
+ * monthly scenarios and mean-cvar maximizes expected return with that CVaR at
+ * most `cvarLimit` (default: the CVaR of the max-utility portfolio). Scenarios
+ * are built with `scenarioMethod` (default historical; `seed` for bootstrap)
+ * over `scenarioHorizon`; passing `scenarioMethod` with any strategy reports
+ * CRRA certainty-equivalent returns. `constraints` supports per-ticker bounds, exclusions, asset-class bounds, holding
+ * limits and a turnover cap (see utils/constraints.js). Infeasible constraints
+ * are answered with a 400 naming the offending constraint.
+ * With `riskFreeRate` the portfolio splits between the risky fund and a CASH
+ * position; `maxLeverage` (default 1) caps the risky share, above 1 borrowing cash.
  * Returns optimized portfolio, expected return, volatility, EU, and template comparisons.
+ * With `views`, the expected returns are Black–Litterman posterior means around
+ * the equilibrium implied by `equilibrium` ({ template } or { marketCaps },
+ * default the Equal Weight template); the response then has a `blackLitterman`
+ * report (see utils/blackLitterman.js). Return scenarios are shifted to the
+ * posterior means as well, so the views also drive the scenario strategies.
+ * `resample` averages the strategy's weights over resampled means and
+ * covariances (not available for the scenario strategies); each holding then
+ * has a `weightRange` across the draws.
+ * `covariance` estimates the covariance from daily prices (sample, ledoit-wolf,
+ * constant-correlation or ewma over the last `lookback` days) instead of using
+ * the precomputed matrix; the response's `covariance` then describes the estimate.
+ * `start`, `end` and `excludeRanges` (YYYY-MM-DD; ranges as { start, end } or
+ * "start:end") recompute every market statistic from daily prices over that
+ * estimation period instead of the dataset's full common history, and limit
+ * return scenarios and tail risk to it. The response's `estimationPeriod`
+ * reports the dates actually used.
+ * `lossAversion` (λ_loss between 1 and 10, from the prospect-theory
+ * assessment) penalizes downside deviations in the max-utility strategy:
+ * each scenario's loss below a zero return costs λ_loss − 1 times its size
+ * (see optimizeLossAversePortfolio). Above 1, scenarios default to historical
+ * one-year ones, and the response's `lossAversion` reports the expected loss
+ * per scenario horizon next to that of the unpenalized portfolio. It cannot
+ * be combined with `riskFreeRate` or `resample`.
+ * The optimum and every template carry `tailRisk`: 95%/99% VaR and CVaR of
+ * 21-day returns, maximum drawdown and worst calendar year (see utils/tailRisk.js).
  */
 router.post('/', async (req, res) => {
   try {
-    const { gamma } = req.body;
-    if (typeof gamma !== 'number' || gamma <= 0) {
-      return res.status(400).json({ error: 'gamma must be a positive number' });
-    }
-
-    // Fetch market data (cached after first call)
-    const marketData = await fetchAllMarketData(ASSET_UNIVERSE);
-
-    // Run optimization
-    const result = runOptimization(marketData, ASSET_UNIVERSE, gamma);
-
+    const { result } = await runOptimizeRequest(req.body, req.get('X-Session-Id'));
     res.json(result);
   } catch (err) {
+    if (err instanceof ConstraintError) {
+      return res.status(400).json({ error: err.message, constraint: err.constraint });
+    }
+    if (err instanceof OptimizeRequestError || err instanceof ViewError || err instanceof CovarianceError
+      || err instanceof UniverseError || err instanceof CustomAssetError || err instanceof EstimationPeriodError) {
+      return res.status(400).json({ error: err.message, field: err.field });
+    }
     console.error('Optimization error:', err);
     res.status(500).json({ error: 'Portfolio optimization failed: ' + err.message });
   }
@@ -0,0 +1,144 @@
+import { Router } from 'express';
+import { computePortfolioStats, CASH_TICKER } from '../utils/portfolio.js';
+import {
+  simulateWealth,
+  portfolioDailyReturns,
+  SimulationError,
+  SIMULATION_METHODS,
+  CONTRIBUTION_FREQUENCIES,
+} from '../utils/simulation.js';
+import { getSession, CustomAssetError } from '../utils/customAssets.js';
+import { readMarketInputs, fetchPortfolioMarketData } from '../utils/optimizeRequest.js';
+import { CovarianceError } from '../utils/covariance.js';
+import { UniverseError } from '../utils/universes.js';
+import { EstimationPeriodError } from '../utils/estimationPeriod.js';
+
+const router = Router();
+
+const MAX_PATHS = 20000;
+const MAX_YEARS = 60;
+
+/**
+ * Validate the request body, throwing SimulationError on the first bad field.
+ */
+function readSimulationRequest(body) {
+  const {
+    portfolio,
+    initialBalance,
+    years,
+    contribution = 0,
+    frequency = 'monthly',
+    method = 'parametric',
+    paths = 5000,
+    seed = 42,
+    riskFreeRate = 0,
+  } = body;
+
+  // Only the CASH leg may be negative (borrowing at the risk-free rate)
+  if (!Array.isArray(portfolio) || portfolio.length === 0
+    || portfolio.some(h => typeof h?.ticker !== 'string' || typeof h?.weight !== 'number'
+      || (h.weight < 0 && h.ticker !== CASH_TICKER))) {
+    throw new SimulationError('portfolio', 'portfolio must be a non-empty array of { ticker, weight }');
+  }
+  const total = portfolio.reduce((s, h) => s + h.weight, 0);
+  if (Math.abs(total - 1) > 1e-3) {
+    throw new SimulationError('portfolio', `portfolio weights must sum to 1 (got ${total.toFixed(4)})`);
+  }
+  if (typeof initialBalance !== 'number' || !(initialBalance >= 0)) {
+    throw new SimulationError('initialBalance', 'initialBalance must be a non-negative number');
+  }
+  if (!Number.isInteger(years) || years < 1 || years > MAX_YEARS) {
+    throw new SimulationError('years', `years must be an integer between 1 and ${MAX_YEARS}`);
+  }
+  if (typeof contribution !== 'number' || !Number.isFinite(contribution)) {
+    throw new SimulationError('contribution', 'contribution must be a number (negative for withdrawals)');
+  }
+  if (!CONTRIBUTION_FREQUENCIES.includes(frequency)) {
+    throw new SimulationError('frequency', `frequency must be one of: ${CONTRIBUTION_FREQUENCIES.join(', ')}`);
+  }
+  if (!SIMULATION_METHODS.includes(method)) {
+    throw new SimulationError('method', `method must be one of: ${SIMULATION_METHODS.join(', ')}`);
+  }
+  if (!Number.isInteger(paths) || paths < 100 || paths > MAX_PATHS) {
+    throw new SimulationError('paths', `paths must be an integer between 100 and ${MAX_PATHS}`);
+  }
+  if (!Number.isInteger(seed)) {
+    throw new SimulationError('seed', 'seed must be an integer');
+  }
+  if (typeof riskFreeRate !== 'number' || riskFreeRate < -0.05 || riskFreeRate > 0.25) {
+    throw new SimulationError('riskFreeRate', 'riskFreeRate must be a number between -0.05 and 0.25');
+  }
+  if (portfolio.every(h => h.ticker === CASH_TICKER)) {
+    throw new SimulationError('portfolio', 'portfolio must hold at least one risky asset');
+  }
+
+  // Normalize away rounding in client-side weights
+  const holdings = portfolio.map(h => ({ ticker: h.ticker, weight: h.weight / total }));
+  return { holdings, initialBalance, years, contribution, frequency, method, paths, seed, riskFreeRate };
+}
+
+/**
+ * POST /api/simulate
+ * Body: {
+ *   portfolio: [{ ticker, weight }], initialBalance: number, years: number,
+ *   contribution?: number, frequency?: 'monthly' | 'annual',
+ *   method?: 'parametric' | 'bootstrap', paths?: number, seed?: number,
+ *   riskFreeRate?: number,  // earned by a CASH holding
+ *   universe?: string, covariance?: string | Object, start?: string, end?: string, excludeRanges?: Array | string
+ * }
+ * Returns { bands: [{ year, mean, p5, p10, p25, p50, p75, p90, p95 }], probabilityOfLoss, probabilityOfDepletion, ... }
+ * With an X-Session-Id header, the portfolio may hold the session's uploaded assets.
+ * `universe`, `covariance`, `start`, `end` and `excludeRanges` are those the
+ * portfolio was optimized with (see POST /api/optimize), so the parametric
+ * projection uses the same statistics and the bootstrap the same period.
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { holdings, riskFreeRate, ...params } = readSimulationRequest(req.body);
+    const risky = holdings.filter(h => h.ticker !== CASH_TICKER);
+    const cashWeight = 1 - risky.reduce((s, h) => s + h.weight, 0);
+    const tickers = risky.map(h => h.ticker);
+    const market = readMarketInputs(req.body);
+    const session = getSession(req.get('X-Session-Id'));
+    const { marketData: { summary, covariance }, histories } = await fetchPortfolioMarketData(tickers, session, market);
+
+    let mu;
+    let vol;
+    let dailyReturns;
+    if (params.method === 'bootstrap') {
+      const missing = tickers.filter(t => !histories[t]);
+      if (missing.length > 0) throw new SimulationError('portfolio', `No price history for: ${missing.join(', ')}`);
+      dailyReturns = portfolioDailyReturns(histories, holdings, riskFreeRate);
+    } else {
+      const missing = tickers.filter(t => !summary[t] || !covariance.tickers.includes(t));
+      if (missing.length > 0) throw new SimulationError('portfolio', `No market data for: ${missing.join(', ')}`);
+      const indices = tickers.map(t => covariance.tickers.indexOf(t));
+      const covMatrix = indices.map(i => indices.map(j => covariance.matrix[i][j]));
+      ({ mu, vol } = computePortfolioStats(risky.map(h => h.weight), tickers.map(t => summary[t].mean), covMatrix));
+      mu += cashWeight * riskFreeRate;
+    }
+
+    const { finalWealth, ...result } = simulateWealth({ ...params, mu, vol, dailyReturns });
+    res.json({
+      method: params.method,
+      paths: params.paths,
+      seed: params.seed,
+      initialBalance: params.initialBalance,
+      years: params.years,
+      contribution: params.contribution,
+      frequency: params.frequency,
+      expectedReturn: mu ?? null,
+      volatility: vol ?? null,
+      ...result,
+    });
+  } catch (err) {
+    if (err instanceof SimulationError || err instanceof CustomAssetError || err instanceof CovarianceError
+      || err instanceof UniverseError || err instanceof EstimationPeriodError) {
+      return res.status(400).json({ error: err.message, field: err.field });
+    }
+    console.error('Simulation error:', err);
+    res.status(500).json({ error: 'Simulation failed: ' + err.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,78 @@
+import { Router } from 'express';
+import { fetchPriceHistory } from '../utils/polygon.js';
+import {
+  HISTORICAL_EPISODES,
+  StressError,
+  readScenarios,
+  runHistoricalScenario,
+  runHypotheticalScenario,
+} from '../utils/stress.js';
+import { getAsset } from '../utils/assets.js';
+import { getSession, customHistories, CustomAssetError } from '../utils/customAssets.js';
+import { readMarketInputs, fetchPortfolioMarketData } from '../utils/optimizeRequest.js';
+import { CovarianceError } from '../utils/covariance.js';
+import { UniverseError } from '../utils/universes.js';
+import { EstimationPeriodError } from '../utils/estimationPeriod.js';
+
+const router = Router();
+
+/**
+ * POST /api/stress
+ * Body: {
+ *   portfolio: [{ ticker, weight }],
+ *   episodes?: string[],          // keys of HISTORICAL_EPISODES, default all
+ *   scenarios?: [{ name, shocks: { [tickerOrAssetClass]: number } }],
+ *   universe?: string, covariance?: string | Object, start?: string, end?: string, excludeRanges?: Array | string
+ * }
+ * Returns { scenarios: [{ type, name, portfolioReturn, coverage, attribution: [{ ticker, weight, assetReturn, contribution }] }] }
+ * With an X-Session-Id header, the portfolio may hold the session's uploaded assets.
+ * Hypothetical shocks propagate through the covariance the portfolio was
+ * optimized with (`universe`, `covariance` and the estimation period, as for
+ * POST /api/optimize); historical episodes always replay actual prices.
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { portfolio, episodes = Object.keys(HISTORICAL_EPISODES), scenarios = [] } = req.body;
+    if (!Array.isArray(portfolio) || portfolio.length === 0
+      || portfolio.some(h => typeof h?.ticker !== 'string' || typeof h?.weight !== 'number')) {
+      throw new StressError('portfolio', 'portfolio must be a non-empty array of { ticker, weight }');
+    }
+    if (!Array.isArray(episodes) || episodes.some(e => !Object.hasOwn(HISTORICAL_EPISODES, e))) {
+      throw new StressError('episodes', `episodes must be a list of: ${Object.keys(HISTORICAL_EPISODES).join(', ')}`);
+    }
+    const hypothetical = readScenarios(scenarios);
+    const market = readMarketInputs(req.body);
+
+    const holdings = portfolio.map(h => ({ ticker: h.ticker, weight: h.weight }));
+    const session = getSession(req.get('X-Session-Id'));
+    // Episodes replay fixed dates, so they use the full histories whatever the estimation period
+    const histories = { ...await fetchPriceHistory(holdings.map(h => h.ticker)), ...customHistories(session) };
+    const results = episodes.map(id => ({
+      id,
+      ...runHistoricalScenario(holdings, histories, HISTORICAL_EPISODES[id]),
+    }));
+
+    if (hypothetical.length > 0) {
+      const shocked = hypothetical.flatMap(scenario => Object.keys(scenario.shocks)).filter(key => getAsset(key));
+      const { marketData: { covariance } } = await fetchPortfolioMarketData(
+        [...holdings.map(h => h.ticker), ...shocked],
+        session,
+        market,
+      );
+      for (const scenario of hypothetical) {
+        results.push(runHypotheticalScenario(holdings, scenario, covariance.tickers, covariance.matrix));
+      }
+    }
+
+    res.json({ scenarios: results });
+  } catch (err) {
+    if (err instanceof StressError || err instanceof CustomAssetError || err instanceof CovarianceError
+      || err instanceof UniverseError || err instanceof EstimationPeriodError) {
+      return res.status(400).json({ error: err.message, field: err.field });
+    }
+    console.error('Stress test error:', err);
+    res.status(500).json({ error: 'Stress test failed: ' + err.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,55 @@
+import { Router } from 'express';
+import { listUniverses, getUniverse, saveUniverse, UniverseError } from '../utils/universes.js';
+import { requireAdminToken } from '../utils/adminToken.js';
+
+const router = Router();
+
+/**
+ * GET /api/universes
+ * Lists the named universes: [{ name, label, description, tickers, builtIn }].
+ */
+router.get('/', (_req, res) => {
+  try {
+    res.json({ universes: listUniverses() });
+  } catch (err) {
+    console.error('Universe list error:', err);
+    res.status(500).json({ error: 'Failed to list universes: ' + err.message });
+  }
+});
+
+/**
+ * GET /api/universes/:name
+ * One universe by name.
+ */
+router.get('/:name', (req, res) => {
+  try {
+    res.json(getUniverse(req.params.name));
+  } catch (err) {
+    if (err instanceof UniverseError) {
+      return res.status(404).json({ error: err.message, field: err.field });
+    }
+    console.error('Universe lookup error:', err);
+    res.status(500).json({ error: 'Failed to read universe: ' + err.message });
+  }
+});
+
+/**
+ * POST /api/universes
+ * Body: { name: string, label?: string, description?: string, tickers: string[] }
+ * Defines (or replaces) a custom universe. Built-in universes cannot be replaced,
+ * and every ticker must be in the asset registry and the current dataset.
+ * With ADMIN_TOKEN set on the server, needs `Authorization: Bearer <ADMIN_TOKEN>`.
+ */
+router.post('/', requireAdminToken, (req, res) => {
+  try {
+    res.status(201).json(saveUniverse(req.body));
+  } catch (err) {
+    if (err instanceof UniverseError) {
+      return res.status(400).json({ error: err.message, field: err.field });
+    }
+    console.error('Universe save error:', err);
+    res.status(500).json({ error: 'Failed to save universe: ' + err.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,15 @@
+/**
+ * Rebuild data/dataset.json from the daily prices in assets/.
+ * Usage: npm run dataset:rebuild
+ */
+
+import { buildDataset, writeDataset, DATASET_PATH } from '../utils/dataset.js';
+
+const dataset = await buildDataset();
+writeDataset(dataset);
+
+console.log(`Wrote dataset ${dataset.version} to ${DATASET_PATH}`);
+console.log(`  ${dataset.assets.length} assets, ${dataset.observations} daily returns from ${dataset.start} to ${dataset.end}`);
+for (const { ticker, file, reason } of dataset.excluded) {
+  console.log(`  skipped ${ticker} (${file}): ${reason}`);
+}
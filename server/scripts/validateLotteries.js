@@ -0,0 +1,22 @@
+/**
+ * Re-solve the indifference γ of every assessment lottery pair and report any
+ * whose stored value is off. Exits with status 1 if one is.
+ * Usage: npm run lotteries:validate
+ */
+
+import { LOTTERY_PAIRS } from '../../src/utils/constants.js';
+import { QUESTION_POOL } from '../../src/utils/lotteryEngine.js';
+import { validateLotteryPairs, INDIFFERENCE_TOLERANCE } from '../../src/utils/lotteryGenerator.js';
+
+const { checked, off } = validateLotteryPairs(QUESTION_POOL);
+
+console.log(`Checked ${checked} pairs (${LOTTERY_PAIRS.length} curated, ${checked - LOTTERY_PAIRS.length} generated)`);
+for (const { id, stored, solved, error } of off) {
+  console.log(solved === null
+    ? `  pair ${id}: stored γ = ${stored}, but one option dominates at every γ`
+    : `  pair ${id}: stored γ = ${stored}, solved γ = ${solved.toFixed(3)} (off by ${error.toFixed(3)})`);
+}
+if (off.length > 0) {
+  console.log(`${off.length} pair${off.length > 1 ? 's are' : ' is'} off by more than ${INDIFFERENCE_TOLERANCE}`);
+  process.exitCode = 1;
+}
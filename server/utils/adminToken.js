@@ -0,0 +1,22 @@
+/**
+ * Optional protection for routes that change server state. With ADMIN_TOKEN
+ * set in the environment, such requests must carry
+ * `Authorization: Bearer <ADMIN_TOKEN>`; without it (local development) they
+ * are let through.
+ */
+
+import crypto from 'crypto';
+
+/**
+ * Express middleware enforcing ADMIN_TOKEN when it is configured.
+ */
+export function requireAdminToken(req, res, next) {
+  const token = process.env.ADMIN_TOKEN;
+  if (!token) return next();
+  const expected = Buffer.from(`Bearer ${token}`);
+  const given = Buffer.from(req.get('Authorization') ?? '');
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    return res.status(401).json({ error: 'Admin token required' });
+  }
+  next();
+}
@@ -5,6 +5,18 @@
 
 const OPENROUTER_URL = 'https://openrouter.ai/api/v1/chat/completions';
 
+// How each allocation strategy built the portfolio, phrased for the prompt
+const STRATEGY_DESCRIPTIONS = {
+  'max-utility': 'mean-variance expected utility (EU = μ − 0.5γσ²)',
+  'max-crra': 'CRRA expected utility maximized over historical one-year return scenarios (the full return distribution, not just mean and variance)',
+  'min-cvar': 'minimum conditional value at risk (the smallest average loss in the worst 5% of historical months)',
+  'mean-cvar': 'mean-CVaR (the highest expected return whose average loss in the worst 5% of months stays within a limit)',
+  'min-variance': 'minimum variance (the lowest-volatility mix, ignoring expected returns)',
+  'max-diversification': 'maximum diversification (maximizing weighted average asset volatility over portfolio volatility)',
+  'inverse-volatility': 'inverse-volatility weighting (each asset weighted by 1/σ)',
+  'risk-parity': 'equal risk contribution (each holding contributes the same share of portfolio risk)',
+};
+
 /**
  * Generate a plain-English explanation of the portfolio recommendation.
  *
@@ -14,9 +26,12 @@ const OPENROUTER_URL = 'https://openrouter.ai/api/v1/chat/completions';
  * @param {Array} params.portfolio - Array of { ticker, weight }
  * @param {number} params.expectedReturn - Annualized expected return
  * @param {number} params.volatility - Annualized volatility
+ * @param {string} [params.strategy] - Allocation strategy used by /api/optimize
+ * @param {Object} [params.cash] - Cash leg from /api/optimize ({ weight, riskyWeight, leverageCapped }), if any
+ * @param {number} [params.riskFreeRate] - Annual risk-free rate behind the cash leg
  * @returns {Promise<string>} Plain-English explanation
  */
-export async function generateExplanation({ gamma, riskLabel, portfolio, expectedReturn, volatility }) {
+export async function generateExplanation({ gamma, riskLabel, portfolio, expectedReturn, volatility, strategy = 'max-utility', cash = null, riskFreeRate = null }) {
   const apiKey = process.env.OPENROUTER_API_KEY;
   if (!apiKey) throw new Error('OPENROUTER_API_KEY not set');
 
@@ -26,6 +41,14 @@ export async function generateExplanation({ gamma, riskLabel, portfolio, expecte
     .map(h => `${h.ticker}: ${(h.weight * 100).toFixed(1)}%`)
     .join(', ');
 
+  let cashNote = '';
+  if (cash) {
+    const rate = `${(riskFreeRate * 100).toFixed(2)}%`;
+    cashNote = cash.weight >= 0
+      ? `\nCash / T-bills (earning ${rate}): ${(cash.weight * 100).toFixed(1)}% — the rest is a risky fund split by two-fund separation (risky share = excess return / (γσ²)).`
+      : `\nThe portfolio borrows ${(-cash.weight * 100).toFixed(1)}% at ${rate} to hold ${(cash.riskyWeight * 100).toFixed(0)}% in the risky fund (leverage cap ${cash.leverageCapped ? 'reached' : 'not reached'}).`;
+  }
+
   const systemPrompt = `You are a financial decision support assistant for the app "RiskyFrisky".
 You explain portfolio recommendations in plain English.
 You do NOT predict prices or give financial advice.
@@ -34,15 +57,15 @@ Keep your explanation to 2-3 concise paragraphs. Be conversational and clear.`;
 
   const userPrompt = `The user completed a risk assessment and their estimated risk aversion coefficient (gamma) is ${gamma.toFixed(2)}, which classifies them as "${riskLabel}".
 
-Based on their risk profile, we optimized a portfolio using mean-variance expected utility (EU = μ − 0.5γσ²) with current market data.
+Based on their risk profile, we built a portfolio using ${STRATEGY_DESCRIPTIONS[strategy] ?? STRATEGY_DESCRIPTIONS['max-utility']} with current market data.
 
-Recommended portfolio: ${holdingsList}
+Recommended portfolio: ${holdingsList}${cashNote}
 Expected annual return: ${(expectedReturn * 100).toFixed(2)}%
 Expected annual volatility: ${(volatility * 100).toFixed(2)}%
 
 Please explain:
 1. What their risk profile means in everyday terms
-2. Why these specific assets were chosen given their risk preferences
+2. Why these specific assets were chosen given their risk preferences${cash ? ', including how much is held in cash and why' : ''}
 3. The trade-off between risk and return in their portfolio`;
 
   const res = await fetch(OPENROUTER_URL, {
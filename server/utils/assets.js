@@ -0,0 +1,79 @@
+/**
+ * Asset metadata registry: one entry per tradable ticker in data/assets.json,
+ * with its display name, asset class (bonds / equity / alts, used for
+ * portfolio breakdowns and class-level optimization constraints), sub-class,
+ * region, expense ratio and ESG flag. Entries marked `core` form the curated
+ * universe the optimizer uses by default.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+const REGISTRY_PATH = path.join(process.cwd(), 'data', 'assets.json');
+
+/**
+ * Asset class keys, matching the fields of computeAssetClassBreakdown.
+ */
+export const ASSET_CLASSES = ['equity', 'bonds', 'alts'];
+
+/**
+ * @typedef {Object} AssetInfo
+ * @property {string} ticker
+ * @property {string} name - Short display name
+ * @property {'equity'|'bonds'|'alts'} assetClass
+ * @property {string} subClass - e.g. 'Long-term Treasuries', 'Thematic equity'
+ * @property {string} region - e.g. 'US', 'Developed ex-US', 'Emerging', 'Global'
+ * @property {number} expenseRatio - Annual fund expense as a fraction
+ * @property {boolean} esg - Whether the fund applies ESG screening
+ * @property {boolean} core - Member of the default universe
+ */
+
+/** @type {AssetInfo[]} */
+const REGISTRY = JSON.parse(fs.readFileSync(REGISTRY_PATH, 'utf8'));
+const BY_TICKER = new Map(REGISTRY.map(asset => [asset.ticker, asset]));
+
+for (const asset of REGISTRY) {
+  if (!ASSET_CLASSES.includes(asset.assetClass)) {
+    throw new Error(`${REGISTRY_PATH}: ${asset.ticker} has unknown asset class ${asset.assetClass}`);
+  }
+}
+
+/**
+ * The curated default universe, in registry order.
+ */
+export const DEFAULT_UNIVERSE = REGISTRY.filter(asset => asset.core).map(asset => asset.ticker);
+
+/**
+ * Every registered asset.
+ * @returns {AssetInfo[]}
+ */
+export function listAssets() {
+  return REGISTRY;
+}
+
+/**
+ * Look up a ticker's registry entry.
+ * @param {string} ticker
+ * @returns {AssetInfo|null}
+ */
+export function getAsset(ticker) {
+  return BY_TICKER.get(ticker) ?? null;
+}
+
+/**
+ * Look up the asset class of a ticker.
+ * @param {string} ticker
+ * @returns {'bonds'|'equity'|'alts'|null} Asset class, or null if unregistered
+ */
+export function getAssetClass(ticker) {
+  return BY_TICKER.get(ticker)?.assetClass ?? null;
+}
+
+/**
+ * Display name of a ticker, falling back to the ticker itself.
+ * @param {string} ticker
+ * @returns {string}
+ */
+export function getAssetName(ticker) {
+  return BY_TICKER.get(ticker)?.name ?? ticker;
+}
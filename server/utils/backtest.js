@@ -0,0 +1,296 @@
+/**
+ * Historical backtesting: replay a portfolio over the daily prices in assets/.
+ *
+ * The portfolio is either a fixed weight vector or an allocation strategy
+ * (see STRATEGIES in portfolio.js) whose inputs are estimated from prices:
+ *
+ *   - in-sample: means/covariances are estimated once over the whole backtest
+ *     window, so the weights use information from the future (look-ahead bias);
+ *   - walk-forward: at each rebalance the inputs are re-estimated from the
+ *     trailing `lookback` days only, so every decision uses past data alone.
+ *
+ * Rebalancing schedules:
+ *   - 'monthly' / 'quarterly': trade back to target at the last trading day of
+ *     each month / quarter;
+ *   - 'threshold': trade only when some weight has drifted more than `band`
+ *     (absolute) from target. Walk-forward targets are re-estimated monthly.
+ */
+
+import { computeReturns, computeStats, runStrategy, STRATEGIES } from './portfolio.js';
+import { resolveConstraints } from './constraints.js';
+import { buildReturnScenarios, SCENARIO_HORIZONS, SCENARIO_STRATEGIES } from './scenarios.js';
+import { estimateCovariance, readCovarianceOptions } from './covariance.js';
+import { isCalendarDate } from './estimationPeriod.js';
+
+const TRADING_DAYS = 252;
+
+export const REBALANCE_SCHEDULES = ['monthly', 'quarterly', 'threshold'];
+
+/**
+ * Thrown for invalid backtest requests. `field` names the offending input.
+ */
+export class BacktestError extends Error {
+  constructor(field, message) {
+    super(message);
+    this.name = 'BacktestError';
+    this.field = field;
+  }
+}
+
+/**
+ * Align price histories on the dates every ticker traded, within [start, end].
+ * @returns {{ dates: string[], prices: number[][] }} prices[i][t] for ticker i
+ */
+export function alignPrices(histories, tickers, start, end) {
+  if (tickers.length === 0) return { dates: [], prices: [] };
+  const maps = tickers.map(t => new Map(histories[t].map(p => [p.date, p.close])));
+  const shortest = maps.reduce((a, b) => (b.size < a.size ? b : a));
+  const dates = [...shortest.keys()]
+    .filter(d => (!start || d >= start) && (!end || d <= end) && maps.every(m => m.has(d)))
+    .sort();
+  return { dates, prices: maps.map(m => dates.map(d => m.get(d))) };
+}
+
+/**
+ * Normalize { SPY: 0.6, ... } or [{ ticker, weight }] to a weight per ticker.
+ */
+function readWeights(weights) {
+  const entries = Array.isArray(weights)
+    ? weights.map(h => [h?.ticker, h?.weight])
+    : Object.entries(weights ?? {});
+  if (entries.length === 0) throw new BacktestError('weights', 'weights must list at least one holding');
+
+  const result = {};
+  for (const [ticker, weight] of entries) {
+    if (typeof ticker !== 'string') throw new BacktestError('weights', 'every holding needs a ticker');
+    if (typeof weight !== 'number' || !Number.isFinite(weight) || weight < 0) {
+      throw new BacktestError(`weights.${ticker}`, `weight for ${ticker} must be a non-negative number`);
+    }
+    result[ticker.toUpperCase()] = (result[ticker.toUpperCase()] ?? 0) + weight;
+  }
+  const total = Object.values(result).reduce((s, w) => s + w, 0);
+  if (Math.abs(total - 1) > 1e-4) throw new BacktestError('weights', `weights must sum to 1 (got ${total.toFixed(4)})`);
+  return result;
+}
+
+/**
+ * Whether the rebalance schedule trades at the close of day t.
+ */
+function isPeriodEnd(dates, t, months) {
+  if (t === dates.length - 1) return false;
+  const month = Number(dates[t].slice(5, 7));
+  const nextMonth = Number(dates[t + 1].slice(5, 7));
+  return month !== nextMonth && months.includes(month);
+}
+
+const ALL_MONTHS = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12];
+const QUARTER_ENDS = [3, 6, 9, 12];
+
+/**
+ * Estimate annualized means and covariance (with the `covariance` estimator
+ * options) from log returns over prices[.][from..to], and, for a scenario
+ * strategy, return scenarios from the same window (one-year ones overlapping
+ * weekly, since a walk-forward window holds only a few years).
+ */
+function estimateInputs(prices, from, to, strategy = null, covariance = {}) {
+  const window = prices.map(series => series.slice(from, to + 1));
+  const returns = window.map(series => computeReturns(series));
+  return {
+    means: returns.map(r => computeStats(r).mean),
+    covMatrix: estimateCovariance(returns, covariance).matrix,
+    scenarios: Object.hasOwn(SCENARIO_STRATEGIES, strategy)
+      ? buildReturnScenarios(window, { horizon: SCENARIO_HORIZONS[SCENARIO_STRATEGIES[strategy]], step: 5 })
+      : null,
+  };
+}
+
+/**
+ * Performance statistics from a daily equity curve.
+ * @param {number[]} values - Portfolio value per trading day
+ * @param {string[]} dates - Matching dates
+ * @param {number} riskFreeRate - Annual risk-free rate
+ */
+export function computePerformanceMetrics(values, dates, riskFreeRate = 0) {
+  const returns = [];
+  for (let t = 1; t < values.length; t++) returns.push(values[t] / values[t - 1] - 1);
+  const n = returns.length;
+  const years = n / TRADING_DAYS;
+
+  const meanDaily = returns.reduce((s, r) => s + r, 0) / n;
+  const variance = returns.reduce((s, r) => s + (r - meanDaily) ** 2, 0) / (n - 1);
+  const volatility = Math.sqrt(variance * TRADING_DAYS);
+  const rfDaily = riskFreeRate / TRADING_DAYS;
+  const downside = Math.sqrt(returns.reduce((s, r) => s + Math.min(r - rfDaily, 0) ** 2, 0) / n * TRADING_DAYS);
+  const excess = meanDaily * TRADING_DAYS - riskFreeRate;
+
+  let peak = values[0];
+  let peakDate = dates[0];
+  const maxDrawdown = { value: 0, peak: dates[0], trough: dates[0] };
+  for (let t = 0; t < values.length; t++) {
+    if (values[t] > peak) {
+      peak = values[t];
+      peakDate = dates[t];
+    }
+    const dd = values[t] / peak - 1;
+    if (dd < maxDrawdown.value) Object.assign(maxDrawdown, { value: dd, peak: peakDate, trough: dates[t] });
+  }
+
+  return {
+    totalReturn: values[values.length - 1] / values[0] - 1,
+    cagr: (values[values.length - 1] / values[0]) ** (1 / years) - 1,
+    volatility,
+    sharpe: volatility > 0 ? excess / volatility : null,
+    sortino: downside > 0 ? excess / downside : null,
+    maxDrawdown,
+  };
+}
+
+/**
+ * Run a backtest.
+ *
+ * @param {Object<string, { date: string, close: number }[]>} histories - From fetchPriceHistory
+ * @param {Object} options
+ * @param {string[]} options.tickers - Universe for strategy backtests
+ * @param {Object|Array} [options.weights] - Fixed target weights (instead of a strategy)
+ * @param {string} [options.strategy] - STRATEGIES key, used when no weights are given
+ * @param {number} [options.gamma] - Risk aversion for the 'max-utility', 'max-crra' and 'mean-cvar' strategies
+ * @param {Object} [options.constraints] - Constraint object as for /api/optimize
+ * @param {string} [options.rebalance='monthly'] - One of REBALANCE_SCHEDULES
+ * @param {number} [options.band=0.05] - Drift band for 'threshold' rebalancing
+ * @param {boolean} [options.walkForward=false] - Re-estimate inputs from past data only
+ * @param {number} [options.lookback=756] - Estimation window in trading days (walk-forward)
+ * @param {string|{ estimator?: string, halfLife?: number }} [options.covariance='sample'] - Covariance estimator
+ *   (see covariance.js); its window is the backtest's own
+ * @param {string} [options.start] - First date (YYYY-MM-DD)
+ * @param {string} [options.end] - Last date (YYYY-MM-DD)
+ * @param {number} [options.riskFreeRate=0] - Annual rate for Sharpe/Sortino
+ * @param {number} [options.initialValue=10000] - Starting portfolio value
+ */
+export function runBacktest(histories, {
+  tickers,
+  weights = null,
+  strategy = 'max-utility',
+  gamma = null,
+  constraints = {},
+  rebalance = 'monthly',
+  band = 0.05,
+  walkForward = false,
+  lookback = 756,
+  covariance = 'sample',
+  start = null,
+  end = null,
+  riskFreeRate = 0,
+  initialValue = 10000,
+} = {}) {
+  if (!REBALANCE_SCHEDULES.includes(rebalance)) {
+    throw new BacktestError('rebalance', `rebalance must be one of: ${REBALANCE_SCHEDULES.join(', ')}`);
+  }
+  if (rebalance === 'threshold' && !(typeof band === 'number' && band > 0 && band < 1)) {
+    throw new BacktestError('band', 'band must be a number between 0 and 1');
+  }
+  if (!Number.isInteger(lookback) || lookback < 60) {
+    throw new BacktestError('lookback', 'lookback must be an integer number of trading days (at least 60)');
+  }
+  if (covariance?.lookback !== undefined) {
+    throw new BacktestError('covariance.lookback', 'the covariance is estimated over the backtest lookback');
+  }
+  const covarianceOptions = readCovarianceOptions(covariance);
+  for (const [field, value] of [['start', start], ['end', end]]) {
+    if (value !== null && !isCalendarDate(value)) {
+      throw new BacktestError(field, `${field} must be a valid date formatted YYYY-MM-DD`);
+    }
+  }
+  if (typeof riskFreeRate !== 'number' || riskFreeRate < -0.05 || riskFreeRate > 0.25) {
+    throw new BacktestError('riskFreeRate', 'riskFreeRate must be a number between -0.05 and 0.25');
+  }
+  if (typeof initialValue !== 'number' || !(initialValue > 0)) {
+    throw new BacktestError('initialValue', 'initialValue must be a positive number');
+  }
+
+  const fixed = weights !== null ? readWeights(weights) : null;
+  if (!fixed) {
+    if (!Object.hasOwn(STRATEGIES, strategy)) {
+      throw new BacktestError('strategy', `strategy must be one of: ${Object.keys(STRATEGIES).join(', ')}`);
+    }
+    if (['max-utility', 'max-crra', 'mean-cvar'].includes(strategy) && !(typeof gamma === 'number' && gamma > 0)) {
+      throw new BacktestError('gamma', `gamma must be a positive number for the ${strategy} strategy`);
+    }
+  }
+
+  const universe = fixed ? Object.keys(fixed) : tickers;
+  const missing = universe.filter(t => !histories[t]);
+  if (missing.length > 0) throw new BacktestError('tickers', `No price history for: ${missing.join(', ')}`);
+
+  const { dates, prices } = alignPrices(histories, universe, start, end);
+  const n = universe.length;
+  const warmup = fixed || !walkForward ? 0 : lookback;
+  if (dates.length - warmup < TRADING_DAYS / 4) {
+    throw new BacktestError('start', 'Not enough overlapping price history for this backtest window');
+  }
+
+  const resolved = fixed ? null : resolveConstraints(constraints, universe);
+  const targetFor = t => {
+    if (fixed) return universe.map(ticker => fixed[ticker]);
+    const { means, covMatrix, scenarios } = walkForward
+      ? estimateInputs(prices, t - lookback, t, strategy, covarianceOptions)
+      : estimateInputs(prices, 0, dates.length - 1, strategy, covarianceOptions);
+    return runStrategy(strategy, means, covMatrix, gamma ?? 1, resolved, scenarios).weights;
+  };
+
+  const scheduleMonths = rebalance === 'quarterly' ? QUARTER_ENDS : ALL_MONTHS;
+
+  // Start fully invested at the target on the first day
+  let target = targetFor(warmup);
+  let holdings = target.map(w => w * initialValue);
+  const curve = [{ date: dates[warmup], value: initialValue }];
+  const rebalances = [];
+  let totalTurnover = 0;
+
+  for (let t = warmup + 1; t < dates.length; t++) {
+    holdings = holdings.map((h, i) => h * (prices[i][t] / prices[i][t - 1]));
+    const value = holdings.reduce((s, h) => s + h, 0);
+    curve.push({ date: dates[t], value });
+
+    const periodEnd = isPeriodEnd(dates, t, scheduleMonths);
+    if (walkForward && !fixed && periodEnd) target = targetFor(t);
+
+    const current = holdings.map(h => h / value);
+    const drift = Math.max(...current.map((w, i) => Math.abs(w - target[i])));
+    const trade = rebalance === 'threshold' ? drift > band : periodEnd;
+    if (!trade || t === dates.length - 1) continue;
+
+    const turnover = 0.5 * current.reduce((s, w, i) => s + Math.abs(w - target[i]), 0);
+    totalTurnover += turnover;
+    holdings = target.map(w => w * value);
+    rebalances.push({
+      date: dates[t],
+      turnover,
+      weights: Object.fromEntries(universe.map((ticker, i) => [ticker, target[i]]).filter(([, w]) => w > 0.001)),
+    });
+  }
+
+  const values = curve.map(p => p.value);
+  const metrics = computePerformanceMetrics(values, curve.map(p => p.date), riskFreeRate);
+  const years = (curve.length - 1) / TRADING_DAYS;
+
+  return {
+    mode: fixed ? 'fixed-weights' : walkForward ? 'walk-forward' : 'in-sample',
+    lookAheadBias: !fixed && !walkForward,
+    strategy: fixed ? null : strategy,
+    rebalance,
+    band: rebalance === 'threshold' ? band : null,
+    lookback: walkForward && !fixed ? lookback : null,
+    covariance: fixed ? null : { estimator: covarianceOptions.estimator, halfLife: covarianceOptions.halfLife },
+    start: curve[0].date,
+    end: curve[curve.length - 1].date,
+    tickers: universe,
+    ...metrics,
+    turnover: {
+      total: totalTurnover,
+      annualized: years > 0 ? totalTurnover / years : 0,
+      rebalances: rebalances.length,
+    },
+    rebalances,
+    equityCurve: curve,
+  };
+}
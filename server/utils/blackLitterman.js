@@ -0,0 +1,241 @@
+/**
+ * Black–Litterman expected returns: investment views blended with the returns
+ * implied by a reference portfolio.
+ *
+ * The prior is the equilibrium Π = δ Σ w_eq that makes the reference portfolio
+ * (market-cap weights, or one of the template portfolios) optimal for an
+ * investor with risk aversion δ. A view is a row p of P with target return q:
+ *
+ *   { asset: 'TLT', return: 0.04, confidence: 0.6 }               // absolute
+ *   { long: 'EEM', short: 'EFA', return: 0.02, confidence: 0.5 }   // relative
+ *
+ * `long` and `short` may also be lists of tickers, held equal-weighted. A view's
+ * uncertainty is ω = ((1 − c) / c) · τ pΣpᵀ, so confidence 1 holds it exactly
+ * and 0.5 weighs it like the prior. The posterior means are
+ *
+ *   μ = Π + τΣPᵀ (τPΣPᵀ + Ω)⁻¹ (Q − PΠ)
+ *
+ * which stays well defined for fully confident views (Ω = 0).
+ */
+
+import { invertMatrix, extractOptimizationInputs, generateTemplatePortfolios } from './portfolio.js';
+
+const TRADING_DAYS = 252;
+
+export const DEFAULT_TAU = 0.05;
+export const DEFAULT_RISK_AVERSION = 2.5;
+export const DEFAULT_EQUILIBRIUM = { template: 'Equal Weight' };
+
+/**
+ * Thrown for invalid views. `field` names the offending input.
+ */
+export class ViewError extends Error {
+  constructor(field, message) {
+    super(message);
+    this.name = 'ViewError';
+    this.field = field;
+  }
+}
+
+/**
+ * Equilibrium returns Π = δ Σ w implied by a reference portfolio.
+ * @param {number[]} weights - Reference portfolio weights
+ * @param {number[][]} covMatrix - Annualized covariance matrix
+ * @param {number} [riskAversion=DEFAULT_RISK_AVERSION] - δ
+ * @returns {number[]}
+ */
+export function equilibriumReturns(weights, covMatrix, riskAversion = DEFAULT_RISK_AVERSION) {
+  return covMatrix.map(row => riskAversion * row.reduce((s, c, j) => s + c * weights[j], 0));
+}
+
+/**
+ * Reference weights for the equilibrium: normalized market caps, or a template portfolio.
+ * @param {{ marketCaps?: Object<string, number>, template?: string }} equilibrium
+ * @returns {{ source: string, name: string, weights: number[] }}
+ */
+function referenceWeights(equilibrium, tickers, meanReturns, covMatrix) {
+  if (equilibrium.marketCaps) {
+    const caps = tickers.map(t => equilibrium.marketCaps[t] ?? 0);
+    if (caps.some(c => typeof c !== 'number' || !(c >= 0))) {
+      throw new ViewError('equilibrium.marketCaps', 'market caps must be non-negative numbers');
+    }
+    const total = caps.reduce((s, c) => s + c, 0);
+    if (!(total > 0)) throw new ViewError('equilibrium.marketCaps', 'market caps must cover at least one asset');
+    return { source: 'market-cap', name: 'Market Cap', weights: caps.map(c => c / total) };
+  }
+
+  const name = equilibrium.template ?? DEFAULT_EQUILIBRIUM.template;
+  const template = generateTemplatePortfolios(meanReturns, covMatrix, tickers).find(t => t.name === name);
+  if (!template) throw new ViewError('equilibrium.template', `Unknown template portfolio: ${name}`);
+  return { source: 'template', name, weights: template.weights };
+}
+
+/**
+ * Validate views and turn them into rows of P.
+ * @param {Object[]} views - See the module comment
+ * @param {string[]} tickers - Column order of P
+ * @returns {{ label: string, p: number[], q: number, confidence: number }[]}
+ */
+export function readViews(views, tickers) {
+  if (!Array.isArray(views)) throw new ViewError('views', 'views must be an array');
+
+  const basket = (value, field) => {
+    const members = Array.isArray(value) ? value : [value];
+    if (members.length === 0) throw new ViewError(field, `${field} must name at least one ticker`);
+    for (const ticker of members) {
+      if (!tickers.includes(ticker)) throw new ViewError(field, `Unknown ticker: ${ticker}`);
+    }
+    return members;
+  };
+
+  return views.map((view, k) => {
+    const field = `views.${k}`;
+    if (!view || typeof view !== 'object') throw new ViewError(field, 'each view must be an object');
+    const { return: q, confidence = 0.5 } = view;
+    if (typeof q !== 'number' || q < -1 || q > 1) {
+      throw new ViewError(`${field}.return`, 'return must be an annual return between -1 and 1');
+    }
+    if (typeof confidence !== 'number' || !(confidence > 0 && confidence <= 1)) {
+      throw new ViewError(`${field}.confidence`, 'confidence must be a number in (0, 1]');
+    }
+
+    const p = new Array(tickers.length).fill(0);
+    let label;
+    if (view.asset !== undefined) {
+      const [asset] = basket(view.asset, `${field}.asset`);
+      p[tickers.indexOf(asset)] = 1;
+      label = `${asset} returns ${(q * 100).toFixed(1)}%`;
+    } else if (view.long !== undefined && view.short !== undefined) {
+      const long = basket(view.long, `${field}.long`);
+      const short = basket(view.short, `${field}.short`);
+      if (long.some(t => short.includes(t))) {
+        throw new ViewError(field, 'a ticker cannot be on both sides of a relative view');
+      }
+      for (const t of long) p[tickers.indexOf(t)] += 1 / long.length;
+      for (const t of short) p[tickers.indexOf(t)] -= 1 / short.length;
+      label = `${long.join('+')} outperforms ${short.join('+')} by ${(q * 100).toFixed(1)}%`;
+    } else {
+      throw new ViewError(field, 'a view needs either asset, or long and short');
+    }
+    return { label, p, q, confidence };
+  });
+}
+
+/**
+ * Black–Litterman posterior means.
+ * @param {number[]} prior - Equilibrium returns Π
+ * @param {number[][]} covMatrix - Σ
+ * @param {{ p: number[], q: number, confidence: number }[]} views - From readViews
+ * @param {number} [tau=DEFAULT_TAU] - Scale of the uncertainty in Π
+ * @returns {number[]}
+ */
+export function posteriorReturns(prior, covMatrix, views, tau = DEFAULT_TAU) {
+  if (views.length === 0) return [...prior];
+
+  // τΣPᵀ (n × k) and τPΣPᵀ + Ω (k × k)
+  const tauSigmaPt = covMatrix.map(row => views.map(v => tau * row.reduce((s, c, j) => s + c * v.p[j], 0)));
+  const middle = views.map(a => views.map((_, l) => a.p.reduce((s, pi, i) => s + pi * tauSigmaPt[i][l], 0)));
+  views.forEach((v, k) => {
+    middle[k][k] += ((1 - v.confidence) / v.confidence) * middle[k][k];
+  });
+
+  const surprise = views.map(v => v.q - v.p.reduce((s, pi, i) => s + pi * prior[i], 0));
+  const middleInv = invertMatrix(middle.map(r => [...r]));
+  const solved = middleInv.map(r => r.reduce((s, x, l) => s + x * surprise[l], 0));
+
+  // Conflicting fully confident views make the middle matrix singular; the regularized inverse then misses them
+  const posterior = prior.map((pi, i) => pi + tauSigmaPt[i].reduce((s, x, l) => s + x * solved[l], 0));
+  views.forEach((v, k) => {
+    const implied = v.p.reduce((s, pi, i) => s + pi * posterior[i], 0);
+    if (v.confidence === 1 && Math.abs(implied - v.q) > 1e-6) {
+      throw new ViewError(`views.${k}`, 'Fully confident views contradict each other');
+    }
+  });
+  return posterior;
+}
+
+/**
+ * Replace the summary means with Black–Litterman posterior means.
+ *
+ * @param {Object} marketData - From fetchAllMarketData
+ * @param {string[]} tickers - Universe
+ * @param {Object} options
+ * @param {Object[]} options.views - See the module comment
+ * @param {{ marketCaps?: Object<string, number>, template?: string }} [options.equilibrium] - Reference portfolio
+ * @param {number} [options.tau]
+ * @param {number} [options.riskAversion] - δ
+ * @returns {{ marketData: Object, blackLitterman: Object }} Market data with posterior means, and a report
+ */
+export function applyViews(marketData, tickers, {
+  views,
+  equilibrium = DEFAULT_EQUILIBRIUM,
+  tau = DEFAULT_TAU,
+  riskAversion = DEFAULT_RISK_AVERSION,
+}) {
+  if (!equilibrium || typeof equilibrium !== 'object') {
+    throw new ViewError('equilibrium', 'equilibrium must be { template } or { marketCaps }');
+  }
+  if (typeof tau !== 'number' || !(tau > 0 && tau <= 1)) throw new ViewError('tau', 'tau must be a number in (0, 1]');
+  if (typeof riskAversion !== 'number' || !(riskAversion > 0)) {
+    throw new ViewError('riskAversion', 'riskAversion must be a positive number');
+  }
+
+  const { validTickers, meanReturns, covMatrix } = extractOptimizationInputs(marketData, tickers);
+  const parsed = readViews(views, validTickers);
+  const reference = referenceWeights(equilibrium, validTickers, meanReturns, covMatrix);
+  const prior = equilibriumReturns(reference.weights, covMatrix, riskAversion);
+  const posterior = posteriorReturns(prior, covMatrix, parsed, tau);
+
+  const summary = { ...marketData.summary };
+  validTickers.forEach((ticker, i) => {
+    summary[ticker] = { ...summary[ticker], mean: posterior[i] };
+  });
+
+  const viewReturn = (p, returns) => p.reduce((s, pi, i) => s + pi * returns[i], 0);
+  return {
+    marketData: { ...marketData, summary },
+    blackLitterman: {
+      equilibrium: { source: reference.source, name: reference.name },
+      tau,
+      riskAversion,
+      views: parsed.map(v => ({
+        label: v.label,
+        return: v.q,
+        confidence: v.confidence,
+        equilibriumReturn: viewReturn(v.p, prior),
+        posteriorReturn: viewReturn(v.p, posterior),
+      })),
+      expectedReturns: validTickers.map((ticker, i) => ({
+        ticker,
+        historical: meanReturns[i],
+        equilibrium: prior[i],
+        posterior: posterior[i],
+      })),
+    },
+  };
+}
+
+/**
+ * Move return scenarios to the posterior means, for the strategies that
+ * optimize over scenarios rather than the summary means. Each asset's gross
+ * returns are scaled by one factor, chosen so their mean moves by the
+ * posterior-minus-historical expected return over the scenario horizon;
+ * scaling keeps them positive, so CRRA utility stays defined.
+ *
+ * @param {{ tickers: string[], returns: number[][], horizon: number }} scenarios - From scenariosFromHistories
+ * @param {{ expectedReturns: { ticker: string, historical: number, posterior: number }[] }} report - From applyViews
+ * @returns {Object} The scenarios with shifted returns
+ * @throws {ViewError} When the views take an asset's mean gross return to zero or below
+ */
+export function shiftScenarios(scenarios, { expectedReturns }) {
+  const S = scenarios.returns.length;
+  const factors = scenarios.tickers.map((ticker, i) => {
+    const expected = expectedReturns.find(e => e.ticker === ticker);
+    if (!expected) return 1;
+    const meanGross = scenarios.returns.reduce((s, row) => s + row[i], 0) / S;
+    const shifted = meanGross + (expected.posterior - expected.historical) * scenarios.horizon / TRADING_DAYS;
+    if (!(shifted > 0)) throw new ViewError('views', `The views imply a total loss on ${ticker} over the scenario horizon`);
+    return shifted / meanGross;
+  });
+  return { ...scenarios, returns: scenarios.returns.map(row => row.map((r, i) => r * factors[i])) };
+}
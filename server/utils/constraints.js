@@ -0,0 +1,287 @@
+/**
+ * User-configurable optimization constraints.
+ *
+ * POST /api/optimize accepts a `constraints` object keyed by ticker and asset class:
+ *
+ *   {
+ *     minWeight: 0.04,            // smallest position that may be held
+ *     maxWeight: 0.30,            // cap on any single asset
+ *     minHoldings: 10,            // holding-count floor
+ *     maxHoldings: 12,            // cardinality limit
+ *     tickers: { SPY: { min: 0.05, max: 0.40 } },
+ *     exclude: ['XLE'],
+ *     assetClasses: { equity: { min: 0.3, max: 0.6 } },
+ *     maxTurnover: 0.20,          // one-way: ½ Σ|w − current|
+ *     currentPortfolio: { SPY: 0.6, BND: 0.4 },
+ *   }
+ *
+ * resolveConstraints validates it against the optimization universe and turns it
+ * into the index-based bounds, groups and turnover budget that optimizePortfolio
+ * works with. Anything that cannot be satisfied raises a ConstraintError naming
+ * the offending constraint, so the route can answer with a 400.
+ */
+
+import { ASSET_CLASSES, getAssetClass } from './assets.js';
+
+export const DEFAULT_CONSTRAINTS = {
+  minWeight: 0.04,
+  maxWeight: 0.30,
+  minHoldings: 10,
+  maxHoldings: null,
+};
+
+/**
+ * A constraint that is malformed or cannot be satisfied.
+ * `constraint` is the path of the offending field, e.g. "assetClasses.equity".
+ */
+export class ConstraintError extends Error {
+  constructor(constraint, message) {
+    super(message);
+    this.name = 'ConstraintError';
+    this.constraint = constraint;
+  }
+}
+
+const pct = x => `${(x * 100).toFixed(1)}%`;
+const sum = values => values.reduce((s, v) => s + v, 0);
+
+function readWeight(value, constraint) {
+  if (typeof value !== 'number' || !Number.isFinite(value) || value < 0 || value > 1) {
+    throw new ConstraintError(constraint, `${constraint} must be a weight between 0 and 1`);
+  }
+  return value;
+}
+
+function readCount(value, constraint) {
+  if (!Number.isInteger(value) || value < 1) {
+    throw new ConstraintError(constraint, `${constraint} must be a positive integer`);
+  }
+  return value;
+}
+
+function readObject(value, constraint) {
+  if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+    throw new ConstraintError(constraint, `${constraint} must be an object`);
+  }
+  return value;
+}
+
+/**
+ * Accepts either { TICKER: weight } or [{ ticker, weight }].
+ */
+function readPortfolio(value, constraint) {
+  const entries = Array.isArray(value)
+    ? value.map(h => [h?.ticker, h?.weight])
+    : Object.entries(readObject(value, constraint));
+
+  const weights = {};
+  for (const [ticker, weight] of entries) {
+    if (typeof ticker !== 'string') {
+      throw new ConstraintError(constraint, `${constraint} entries need a ticker`);
+    }
+    weights[ticker] = (weights[ticker] || 0) + readWeight(weight, `${constraint}.${ticker}`);
+  }
+
+  const total = sum(Object.values(weights));
+  if (Math.abs(total - 1) > 0.01) {
+    throw new ConstraintError(constraint, `${constraint} weights must sum to 100% (got ${pct(total)})`);
+  }
+  for (const ticker of Object.keys(weights)) weights[ticker] /= total;
+  return weights;
+}
+
+/**
+ * Validate user constraints and translate them into optimizer inputs.
+ *
+ * @param {Object} [constraints] - Constraints as sent to POST /api/optimize
+ * @param {string[]} tickers - Optimization universe, in optimizer order
+ * @param {(ticker: string) => string|null} [classify=getAssetClass] - Asset class lookup
+ * @returns {{
+ *   minWeight: number, maxWeight: number, minHoldings: number, maxHoldings: number|null,
+ *   lower: number[], upper: number[],
+ *   groups: Array<{ name: string, members: number[], min: number, max: number }>,
+ *   turnover: { current: number[], outside: number, max: number, radius: number }|null
+ * }}
+ */
+export function resolveConstraints(constraints = {}, tickers, classify = getAssetClass) {
+  readObject(constraints, 'constraints');
+  const n = tickers.length;
+  const indexOf = new Map(tickers.map((t, i) => [t, i]));
+
+  const minWeight = constraints.minWeight !== undefined
+    ? readWeight(constraints.minWeight, 'minWeight')
+    : DEFAULT_CONSTRAINTS.minWeight;
+  const maxWeight = constraints.maxWeight !== undefined
+    ? readWeight(constraints.maxWeight, 'maxWeight')
+    : DEFAULT_CONSTRAINTS.maxWeight;
+  if (minWeight > maxWeight) {
+    throw new ConstraintError('minWeight', `minWeight (${pct(minWeight)}) exceeds maxWeight (${pct(maxWeight)})`);
+  }
+
+  const maxHoldings = constraints.maxHoldings !== undefined
+    ? readCount(constraints.maxHoldings, 'maxHoldings')
+    : DEFAULT_CONSTRAINTS.maxHoldings;
+  let minHoldings = DEFAULT_CONSTRAINTS.minHoldings;
+  if (constraints.minHoldings !== undefined) {
+    minHoldings = readCount(constraints.minHoldings, 'minHoldings');
+    if (maxHoldings !== null && minHoldings > maxHoldings) {
+      throw new ConstraintError('minHoldings', `minHoldings (${minHoldings}) exceeds maxHoldings (${maxHoldings})`);
+    }
+  }
+  if (maxHoldings !== null) minHoldings = Math.min(minHoldings, maxHoldings);
+
+  const lower = new Array(n).fill(0);
+  const upper = new Array(n).fill(maxWeight);
+
+  // Exclusions
+  const exclude = constraints.exclude ?? [];
+  if (!Array.isArray(exclude)) {
+    throw new ConstraintError('exclude', 'exclude must be an array of tickers');
+  }
+  const excluded = new Set();
+  for (const ticker of exclude) {
+    if (!indexOf.has(ticker)) {
+      throw new ConstraintError('exclude', `Unknown ticker in exclude: ${ticker}`);
+    }
+    excluded.add(ticker);
+    upper[indexOf.get(ticker)] = 0;
+  }
+
+  // Per-ticker bounds; a ticker's own max overrides the global maxWeight
+  for (const [ticker, bounds] of Object.entries(readObject(constraints.tickers ?? {}, 'tickers'))) {
+    const path = `tickers.${ticker}`;
+    if (!indexOf.has(ticker)) {
+      throw new ConstraintError(path, `Unknown ticker in constraints: ${ticker}`);
+    }
+    readObject(bounds, path);
+    const i = indexOf.get(ticker);
+    if (bounds.min !== undefined) lower[i] = readWeight(bounds.min, `${path}.min`);
+    if (bounds.max !== undefined) upper[i] = readWeight(bounds.max, `${path}.max`);
+    if (excluded.has(ticker)) {
+      if (lower[i] > 0) {
+        throw new ConstraintError(path, `${ticker} is excluded but has a minimum weight of ${pct(lower[i])}`);
+      }
+      upper[i] = 0;
+    }
+    if (lower[i] > upper[i]) {
+      throw new ConstraintError(path, `${ticker} minimum (${pct(lower[i])}) exceeds its maximum (${pct(upper[i])})`);
+    }
+  }
+
+  if (sum(lower) > 1 + 1e-9) {
+    throw new ConstraintError('tickers', `Per-ticker minimums sum to ${pct(sum(lower))}, more than 100%`);
+  }
+  if (sum(upper) < 1 - 1e-9) {
+    const eligible = upper.filter(u => u > 0).length;
+    throw new ConstraintError(
+      excluded.size > 0 ? 'exclude' : 'maxWeight',
+      `The ${eligible} eligible assets can hold at most ${pct(sum(upper))} at their maximum weights`
+    );
+  }
+
+  // Asset-class bounds
+  const groups = [];
+  const classBounds = readObject(constraints.assetClasses ?? {}, 'assetClasses');
+  for (const [assetClass, bounds] of Object.entries(classBounds)) {
+    const path = `assetClasses.${assetClass}`;
+    if (!ASSET_CLASSES.includes(assetClass)) {
+      throw new ConstraintError(path, `Unknown asset class ${assetClass} (expected one of ${ASSET_CLASSES.join(', ')})`);
+    }
+    readObject(bounds, path);
+    const min = bounds.min !== undefined ? readWeight(bounds.min, `${path}.min`) : 0;
+    const max = bounds.max !== undefined ? readWeight(bounds.max, `${path}.max`) : 1;
+    if (min > max) {
+      throw new ConstraintError(path, `${assetClass} minimum (${pct(min)}) exceeds its maximum (${pct(max)})`);
+    }
+
+    const members = tickers.map((t, i) => i).filter(i => classify(tickers[i]) === assetClass);
+    const reachable = sum(members.map(i => upper[i]));
+    const required = sum(members.map(i => lower[i]));
+    if (min > reachable + 1e-9) {
+      throw new ConstraintError(path, `${assetClass} needs at least ${pct(min)} but its eligible assets can hold at most ${pct(reachable)}`);
+    }
+    if (max < required - 1e-9) {
+      throw new ConstraintError(path, `${assetClass} is capped at ${pct(max)} but its per-ticker minimums already add up to ${pct(required)}`);
+    }
+    groups.push({ name: path, members, min, max });
+  }
+
+  if (sum(groups.map(g => g.min)) > 1 + 1e-9) {
+    throw new ConstraintError('assetClasses', 'Asset-class minimums sum to more than 100%');
+  }
+  const grouped = new Set(groups.flatMap(g => g.members));
+  const capacity = sum(groups.map(g => Math.min(g.max, sum(g.members.map(i => upper[i])))))
+    + sum(upper.filter((_, i) => !grouped.has(i)));
+  if (capacity < 1 - 1e-9) {
+    throw new ConstraintError('assetClasses', `Asset-class maximums leave only ${pct(capacity)} investable`);
+  }
+
+  // Cardinality
+  if (maxHoldings !== null) {
+    const required = lower.filter(l => l > 0).length;
+    if (required > maxHoldings) {
+      throw new ConstraintError('maxHoldings', `${required} tickers have minimum weights but maxHoldings is ${maxHoldings}`);
+    }
+    const best = [...upper].sort((a, b) => b - a).slice(0, maxHoldings);
+    if (sum(best) < 1 - 1e-9) {
+      throw new ConstraintError('maxHoldings', `${maxHoldings} holdings at their maximum weights reach only ${pct(sum(best))}`);
+    }
+  }
+
+  // Turnover against the client's current portfolio
+  let turnover = null;
+  if (constraints.maxTurnover !== undefined) {
+    const max = readWeight(constraints.maxTurnover, 'maxTurnover');
+    if (constraints.currentPortfolio === undefined) {
+      throw new ConstraintError('currentPortfolio', 'maxTurnover requires a currentPortfolio');
+    }
+    const held = readPortfolio(constraints.currentPortfolio, 'currentPortfolio');
+    const current = tickers.map(t => held[t] || 0);
+    // Holdings outside the universe must be sold in full
+    const outside = 1 - sum(current);
+    const radius = 2 * max - outside;
+    if (radius < -1e-9) {
+      throw new ConstraintError('maxTurnover', `Selling the ${pct(outside)} held outside the universe already exceeds maxTurnover (${pct(max)})`);
+    }
+    turnover = { current, outside, max, radius: Math.max(0, radius) };
+  }
+
+  return { minWeight, maxWeight, minHoldings, maxHoldings, lower, upper, groups, turnover };
+}
+
+/**
+ * One-way turnover ½ Σ|w − current| of moving from the current portfolio to `weights`.
+ */
+export function computeTurnover(weights, turnover) {
+  const traded = sum(weights.map((w, i) => Math.abs(w - turnover.current[i])));
+  return (traded + turnover.outside) / 2;
+}
+
+/**
+ * Check a solved portfolio against every hard constraint, naming the first one
+ * that is violated. Reaching this means the constraints are jointly infeasible
+ * even though each passed validation on its own.
+ *
+ * @throws {ConstraintError}
+ */
+export function assertConstraintsSatisfied(weights, resolved, tickers, tol = 1e-6) {
+  const { lower, upper, groups, turnover, maxHoldings } = resolved;
+
+  for (let i = 0; i < weights.length; i++) {
+    if (weights[i] < lower[i] - tol || weights[i] > upper[i] + tol) {
+      throw new ConstraintError(`tickers.${tickers[i]}`, `Could not keep ${tickers[i]} within its bounds alongside the other constraints`);
+    }
+  }
+  for (const group of groups) {
+    const total = sum(group.members.map(i => weights[i]));
+    if (total < group.min - tol || total > group.max + tol) {
+      throw new ConstraintError(group.name, `${group.name} bounds cannot be met together with the other constraints`);
+    }
+  }
+  if (turnover && computeTurnover(weights, turnover) > turnover.max + tol) {
+    throw new ConstraintError('maxTurnover', `maxTurnover (${pct(turnover.max)}) is too tight to reach a portfolio satisfying the other constraints`);
+  }
+  if (maxHoldings !== null && weights.filter(w => w > tol).length > maxHoldings) {
+    throw new ConstraintError('maxHoldings', `maxHoldings (${maxHoldings}) cannot be met together with the other constraints`);
+  }
+}
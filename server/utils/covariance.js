@@ -0,0 +1,242 @@
+/**
+ * Covariance estimation from the daily prices in assets/.
+ *
+ * Every estimator works on daily log returns over the dates all requested
+ * tickers traded, optionally only the last `lookback` of them, and returns an
+ * annualized matrix:
+ *
+ *   - 'sample': the unbiased sample covariance;
+ *   - 'ledoit-wolf': the sample covariance shrunk toward a scaled identity
+ *     with the Ledoit–Wolf (2004) optimal intensity;
+ *   - 'constant-correlation': shrunk toward the matrix that keeps each asset's
+ *     variance but gives every pair the average correlation, with the
+ *     Ledoit–Wolf (2003) optimal intensity;
+ *   - 'ewma': exponentially weighted, each day's weight halving every
+ *     `halfLife` trading days into the past.
+ */
+
+import { computeReturns, computeCovarianceMatrix } from './portfolio.js';
+import { alignPrices } from './backtest.js';
+
+const TRADING_DAYS = 252;
+
+export const COVARIANCE_ESTIMATORS = ['sample', 'ledoit-wolf', 'constant-correlation', 'ewma'];
+
+// About a quarter of trading days
+export const DEFAULT_HALF_LIFE = 63;
+
+const MIN_LOOKBACK = 60;
+
+/**
+ * Thrown for invalid covariance options. `field` names the offending input.
+ */
+export class CovarianceError extends Error {
+  constructor(field, message) {
+    super(message);
+    this.name = 'CovarianceError';
+    this.field = field;
+  }
+}
+
+/**
+ * Validate covariance options: an estimator name, or { estimator, lookback, halfLife }.
+ * @param {string|{ estimator?: string, lookback?: number|null, halfLife?: number }} options
+ * @returns {{ estimator: string, lookback: number|null, halfLife: number|null }}
+ */
+export function readCovarianceOptions(options) {
+  const isPlainObject = typeof options === 'object' && options !== null && !Array.isArray(options);
+  if (typeof options !== 'string' && !isPlainObject) {
+    throw new CovarianceError('covariance', 'covariance must be an estimator name or { estimator, lookback, halfLife }');
+  }
+  const { estimator = 'sample', lookback = null, halfLife } = typeof options === 'string' ? { estimator: options } : options;
+  if (!COVARIANCE_ESTIMATORS.includes(estimator)) {
+    throw new CovarianceError('covariance.estimator', `estimator must be one of: ${COVARIANCE_ESTIMATORS.join(', ')}`);
+  }
+  if (lookback !== null && (!Number.isInteger(lookback) || lookback < MIN_LOOKBACK)) {
+    throw new CovarianceError('covariance.lookback', `lookback must be an integer number of trading days (at least ${MIN_LOOKBACK})`);
+  }
+  if (halfLife !== undefined && estimator !== 'ewma') {
+    throw new CovarianceError('covariance.halfLife', 'halfLife applies only to the ewma estimator');
+  }
+  if (estimator === 'ewma' && halfLife !== undefined && !(typeof halfLife === 'number' && halfLife >= 1 && halfLife <= 2520)) {
+    throw new CovarianceError('covariance.halfLife', 'halfLife must be a number of trading days between 1 and 2520');
+  }
+  return { estimator, lookback, halfLife: estimator === 'ewma' ? halfLife ?? DEFAULT_HALF_LIFE : null };
+}
+
+/**
+ * Demeaned returns (T × n, one row per day) and their covariance with divisor T.
+ */
+function centered(returnsMatrix) {
+  const n = returnsMatrix.length;
+  const T = returnsMatrix[0].length;
+  const means = returnsMatrix.map(r => r.reduce((s, x) => s + x, 0) / T);
+  const rows = Array.from({ length: T }, (_, t) => returnsMatrix.map((r, i) => r[t] - means[i]));
+  const S = Array.from({ length: n }, () => new Array(n).fill(0));
+  for (const x of rows) {
+    for (let i = 0; i < n; i++) {
+      for (let j = i; j < n; j++) S[i][j] += x[i] * x[j];
+    }
+  }
+  for (let i = 0; i < n; i++) {
+    for (let j = i; j < n; j++) {
+      S[i][j] /= T;
+      S[j][i] = S[i][j];
+    }
+  }
+  return { rows, S };
+}
+
+/**
+ * Blend (1 − δ) S + δ F, annualized.
+ */
+function shrink(S, F, intensity) {
+  return S.map((row, i) => row.map((s, j) => ((1 - intensity) * s + intensity * F[i][j]) * TRADING_DAYS));
+}
+
+/**
+ * Ledoit–Wolf shrinkage toward μI, μ the average variance.
+ */
+function ledoitWolf(returnsMatrix) {
+  const { rows, S } = centered(returnsMatrix);
+  const n = S.length;
+  const T = rows.length;
+  const mu = S.reduce((s, row, i) => s + row[i], 0) / n;
+  const F = S.map((row, i) => row.map((_, j) => (i === j ? mu : 0)));
+
+  // Squared distance of S from the target, and the variance of S around it (norms scaled by 1/n)
+  const d2 = S.reduce((s, row, i) => s + row.reduce((r, v, j) => r + (v - F[i][j]) ** 2, 0), 0) / n;
+  const normS2 = S.reduce((s, row) => s + row.reduce((r, v) => r + v * v, 0), 0);
+  let b2 = 0;
+  for (const x of rows) {
+    const xx = x.reduce((s, v) => s + v * v, 0);
+    const xSx = x.reduce((s, xi, i) => s + xi * S[i].reduce((r, v, j) => r + v * x[j], 0), 0);
+    b2 += xx * xx - 2 * xSx + normS2;
+  }
+  b2 /= n * T * T;
+
+  const intensity = d2 > 0 ? Math.min(b2, d2) / d2 : 1;
+  return { matrix: shrink(S, F, intensity), shrinkage: intensity };
+}
+
+/**
+ * Ledoit–Wolf shrinkage toward the constant-correlation matrix.
+ */
+function constantCorrelation(returnsMatrix) {
+  const { rows, S } = centered(returnsMatrix);
+  const n = S.length;
+  const T = rows.length;
+  const sd = S.map((row, i) => Math.sqrt(row[i]));
+
+  let rhoSum = 0;
+  for (let i = 0; i < n; i++) {
+    for (let j = i + 1; j < n; j++) rhoSum += S[i][j] / (sd[i] * sd[j]);
+  }
+  const rBar = rhoSum / (n * (n - 1) / 2);
+  const F = S.map((row, i) => row.map((v, j) => (i === j ? v : rBar * sd[i] * sd[j])));
+
+  // π: asymptotic variances of the sample entries; ρ: their covariances with the target
+  let pi = 0;
+  let rho = 0;
+  for (let i = 0; i < n; i++) {
+    for (let j = 0; j < n; j++) {
+      let piij = 0;
+      let thetaii = 0;
+      let thetajj = 0;
+      for (const x of rows) {
+        const yij = x[i] * x[j] - S[i][j];
+        piij += yij * yij;
+        if (i !== j) {
+          thetaii += (x[i] * x[i] - S[i][i]) * yij;
+          thetajj += (x[j] * x[j] - S[j][j]) * yij;
+        }
+      }
+      pi += piij / T;
+      rho += i === j
+        ? piij / T
+        : (rBar / 2) * ((sd[j] / sd[i]) * (thetaii / T) + (sd[i] / sd[j]) * (thetajj / T));
+    }
+  }
+  const gamma = S.reduce((s, row, i) => s + row.reduce((r, v, j) => r + (v - F[i][j]) ** 2, 0), 0);
+
+  const intensity = gamma > 0 ? Math.max(0, Math.min(1, (pi - rho) / gamma / T)) : 1;
+  return { matrix: shrink(S, F, intensity), shrinkage: intensity };
+}
+
+/**
+ * Exponentially weighted covariance around the weighted means.
+ */
+function ewma(returnsMatrix, halfLife) {
+  const n = returnsMatrix.length;
+  const T = returnsMatrix[0].length;
+  const decay = 0.5 ** (1 / halfLife);
+  const raw = Array.from({ length: T }, (_, t) => decay ** (T - 1 - t));
+  const total = raw.reduce((s, w) => s + w, 0);
+  const weights = raw.map(w => w / total);
+
+  const means = returnsMatrix.map(r => r.reduce((s, x, t) => s + weights[t] * x, 0));
+  const cov = Array.from({ length: n }, () => new Array(n).fill(0));
+  for (let i = 0; i < n; i++) {
+    for (let j = i; j < n; j++) {
+      let sum = 0;
+      for (let t = 0; t < T; t++) sum += weights[t] * (returnsMatrix[i][t] - means[i]) * (returnsMatrix[j][t] - means[j]);
+      cov[i][j] = sum * TRADING_DAYS;
+      cov[j][i] = cov[i][j];
+    }
+  }
+  return { matrix: cov, shrinkage: null };
+}
+
+/**
+ * Annualized covariance of daily returns with the chosen estimator.
+ * @param {number[][]} returnsMatrix - N arrays of daily log returns (same length)
+ * @param {{ estimator?: string, halfLife?: number|null }} [options]
+ * @returns {{ matrix: number[][], shrinkage: number|null }} Shrinkage intensity for the shrinkage estimators
+ */
+export function estimateCovariance(returnsMatrix, { estimator = 'sample', halfLife = DEFAULT_HALF_LIFE } = {}) {
+  switch (estimator) {
+    case 'ledoit-wolf':
+      return ledoitWolf(returnsMatrix);
+    case 'constant-correlation':
+      return constantCorrelation(returnsMatrix);
+    case 'ewma':
+      return ewma(returnsMatrix, halfLife ?? DEFAULT_HALF_LIFE);
+    default:
+      return { matrix: computeCovarianceMatrix(returnsMatrix), shrinkage: null };
+  }
+}
+
+/**
+ * Estimate a covariance matrix for a set of tickers from their price histories.
+ * Tickers without a history are left out.
+ * @param {Object<string, { date: string, close: number }[]>} histories - From fetchPriceHistory
+ * @param {string[]} tickers
+ * @param {{ estimator: string, lookback: number|null, halfLife: number|null }} options - From readCovarianceOptions
+ * @returns {{ tickers: string[], matrix: number[][], estimate: { estimator: string, lookback: number|null,
+ *   halfLife: number|null, shrinkage: number|null, observations: number, start: string, end: string } }}
+ */
+export function covarianceFromHistories(histories, tickers, { estimator, lookback, halfLife }) {
+  const available = tickers.filter(t => histories[t]);
+  if (available.length < 2) throw new CovarianceError('tickers', 'At least two tickers with price history are needed');
+  const { dates, prices } = alignPrices(histories, available, null, null);
+  const from = lookback === null ? 0 : Math.max(0, dates.length - 1 - lookback);
+  if (dates.length - from <= MIN_LOOKBACK) {
+    throw new CovarianceError('tickers', 'Not enough overlapping price history to estimate a covariance matrix');
+  }
+
+  const returns = prices.map(series => computeReturns(series.slice(from)));
+  const { matrix, shrinkage } = estimateCovariance(returns, { estimator, halfLife });
+  return {
+    tickers: available,
+    matrix,
+    estimate: {
+      estimator,
+      lookback,
+      halfLife,
+      shrinkage,
+      observations: returns[0].length,
+      start: dates[from],
+      end: dates[dates.length - 1],
+    },
+  };
+}
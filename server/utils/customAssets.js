@@ -0,0 +1,337 @@
+/**
+ * Custom assets: price histories uploaded by a user (company stock, mutual
+ * funds, a stable-value fund, ...) and used in that user's optimizations only.
+ *
+ * Uploads live in memory under a session id returned by the first upload and
+ * sent back in the X-Session-Id header; sessions expire after SESSION_TTL_MS
+ * without use. Uploads need no account, so memory is bounded instead: beyond
+ * MAX_SESSIONS sessions or MAX_STORED_PRICES prices in all, the least
+ * recently used sessions are dropped.
+ *
+ * An upload rarely spans the dataset's whole estimation window, so it is
+ * attached to the dataset by regression rather than by re-estimating the
+ * covariance on a shorter window (which would discard history and need not
+ * stay positive semi-definite). Over the dates the upload shares with the
+ * dataset, its daily log returns y are regressed on the dataset's, y = a + βᵀx + e.
+ * Then, with Σ and μ the dataset's full-window covariance and historical means:
+ *
+ *   cov(y, x) = Σβ,   var(y) = βᵀΣβ + var(e)
+ *   mean(y)   = ȳ + βᵀ(μ − x̄)        (x̄, ȳ over the shared dates)
+ *
+ * and the mean is shrunk toward the market exactly as for the dataset's own
+ * assets. Two uploads covary through their betas only (βᵢᵀΣβⱼ).
+ */
+
+import crypto from 'crypto';
+import { invertMatrix, computeReturns, CASH_TICKER } from './portfolio.js';
+import { alignPrices } from './backtest.js';
+import { ASSET_CLASSES, getAsset } from './assets.js';
+import { loadDataset } from './dataset.js';
+import { isCalendarDate } from './estimationPeriod.js';
+
+const TRADING_DAYS = 252;
+
+export const SESSION_TTL_MS = 24 * 60 * 60 * 1000;
+export const MAX_ASSETS_PER_SESSION = 10;
+export const MAX_SESSIONS = 200;
+
+// Daily prices held across all sessions, and in one upload (about 80 years)
+export const MAX_STORED_PRICES = 1_000_000;
+export const MAX_UPLOAD_PRICES = 20_000;
+
+// At least a year of daily returns shared with the dataset
+export const MIN_OVERLAP_DAYS = 252;
+
+// Daily moves this large usually mean an unadjusted split or a bad print
+const SUSPICIOUS_MOVE = 0.5;
+
+const TICKER_PATTERN = /^[A-Z0-9][A-Z0-9.-]{0,11}$/;
+
+// Key of the upload among the dataset histories while aligning (never a valid ticker)
+const UPLOAD_KEY = '_upload';
+
+// In order from least to most recently used
+const sessions = new Map();
+
+/**
+ * Thrown for invalid uploads and unknown sessions. `field` names the offending input.
+ */
+export class CustomAssetError extends Error {
+  constructor(field, message) {
+    super(message);
+    this.name = 'CustomAssetError';
+    this.field = field;
+  }
+}
+
+/**
+ * Parse a Date,Open,High,Low,Close,... CSV (only Date and Close are required).
+ * @param {string} text
+ * @returns {{ date: string, close: number }[]} Sorted by date
+ */
+export function parsePriceCsv(text) {
+  if (typeof text !== 'string' || !text.trim()) throw new CustomAssetError('file', 'the CSV is empty');
+  const lines = text.split(/\r?\n/).filter(line => line.trim());
+  const header = lines[0].split(',').map(h => h.trim().toLowerCase());
+  const dateCol = header.indexOf('date');
+  const closeCol = header.indexOf('close');
+  if (dateCol < 0 || closeCol < 0) throw new CustomAssetError('file', 'the CSV header needs Date and Close columns');
+
+  const seen = new Set();
+  const rows = lines.slice(1).map((line, k) => {
+    const cells = line.split(',');
+    const date = cells[dateCol]?.trim();
+    const close = Number(cells[closeCol]);
+    if (!isCalendarDate(date)) {
+      throw new CustomAssetError('file', `line ${k + 2}: date must be a valid date formatted YYYY-MM-DD`);
+    }
+    if (!Number.isFinite(close) || close <= 0) throw new CustomAssetError('file', `line ${k + 2}: Close must be a positive number`);
+    if (seen.has(date)) throw new CustomAssetError('file', `line ${k + 2}: duplicate date ${date}`);
+    seen.add(date);
+    return { date, close };
+  });
+  return rows.sort((a, b) => (a.date < b.date ? -1 : 1));
+}
+
+const mean = xs => xs.reduce((s, x) => s + x, 0) / xs.length;
+
+/**
+ * Regress an uploaded history on the dataset's assets (see the module comment).
+ * @param {{ date: string, close: number }[]} history
+ * @param {Object} dataset - From loadDataset
+ * @param {Object<string, { date: string, close: number }[]>} histories - Dataset price histories
+ */
+function attachToDataset(history, dataset, histories) {
+  const { tickers, matrix: sigma } = dataset.covariance;
+  const { dates, prices } = alignPrices(
+    { ...histories, [UPLOAD_KEY]: history },
+    [...tickers, UPLOAD_KEY],
+    dataset.start,
+    dataset.end,
+  );
+  const returns = prices.map(series => computeReturns(series));
+  const y = returns.pop();
+  const T = y.length;
+  if (T < MIN_OVERLAP_DAYS) {
+    throw new CustomAssetError('file', `only ${T} daily returns overlap the dataset (${dataset.start} to ${dataset.end}); need ${MIN_OVERLAP_DAYS}`);
+  }
+
+  const xBar = returns.map(mean);
+  const yBar = mean(y);
+  const cov = (a, aBar, b, bBar) => a.reduce((s, v, t) => s + (v - aBar) * (b[t] - bBar), 0) / (T - 1);
+  const sxx = returns.map((xi, i) => returns.map((xj, j) => (j < i ? 0 : cov(xi, xBar[i], xj, xBar[j]))));
+  sxx.forEach((row, i) => row.forEach((_, j) => { if (j < i) row[j] = sxx[j][i]; }));
+  const sxy = returns.map((xi, i) => cov(xi, xBar[i], y, yBar));
+
+  // A light ridge keeps nearly collinear ETFs (SPY, VOO, ...) from blowing up the betas
+  const ridge = 1e-8 * sxx.reduce((s, row, i) => s + row[i], 0) / sxx.length;
+  const inverse = invertMatrix(sxx.map((row, i) => row.map((v, j) => (i === j ? v + ridge : v))));
+  const beta = inverse.map(row => row.reduce((s, v, j) => s + v * sxy[j], 0));
+  const residualVariance = Math.max(cov(y, yBar, y, yBar) - beta.reduce((s, b, i) => s + b * sxy[i], 0), 0) * TRADING_DAYS;
+
+  const historicalMeans = tickers.map(t => dataset.assets.find(a => a.ticker === t).historicalMean);
+  const historicalMean = yBar * TRADING_DAYS
+    + beta.reduce((s, b, i) => s + b * (historicalMeans[i] - xBar[i] * TRADING_DAYS), 0);
+  const sigmaBeta = sigma.map(row => row.reduce((s, v, j) => s + v * beta[j], 0));
+  const variance = beta.reduce((s, b, i) => s + b * sigmaBeta[i], 0) + residualVariance;
+  const volatility = Math.sqrt(variance);
+
+  const { marketReturn, marketSharpe, highSharpeMultiple, tau: taus } = dataset.shrinkage;
+  const sharpe = historicalMean / volatility;
+  const tau = sharpe > highSharpeMultiple * marketSharpe ? taus.highSharpe : taus.default;
+
+  const maxMove = Math.max(...y.map(Math.abs));
+  return {
+    datasetVersion: dataset.version,
+    overlap: { start: dates[0], end: dates[dates.length - 1], observations: T },
+    beta,
+    residualVariance,
+    covariances: sigmaBeta,
+    mean: (1 - tau) * marketReturn + tau * historicalMean,
+    historicalMean,
+    volatility,
+    tau,
+    warnings: maxMove > SUSPICIOUS_MOVE
+      ? [`a daily move of ${(Math.expm1(maxMove) * 100).toFixed(0)}% or more; check for unadjusted splits`]
+      : [],
+  };
+}
+
+function touch(session) {
+  session.expiresAt = Date.now() + SESSION_TTL_MS;
+  if (sessions.delete(session.id)) sessions.set(session.id, session);
+  return session;
+}
+
+const storedPrices = () => [...sessions.values()]
+  .reduce((n, session) => n + [...session.assets.values()].reduce((m, a) => m + a.history.length, 0), 0);
+
+/**
+ * Drop the least recently used sessions, other than `keep`, until within the limits.
+ */
+function evictSessions(keep) {
+  let stored = storedPrices();
+  for (const [id, session] of sessions) {
+    if (sessions.size <= MAX_SESSIONS && stored <= MAX_STORED_PRICES) return;
+    if (id === keep.id) continue;
+    for (const asset of session.assets.values()) stored -= asset.history.length;
+    sessions.delete(id);
+  }
+}
+
+function sweepSessions() {
+  const now = Date.now();
+  for (const [id, session] of sessions) {
+    if (session.expiresAt < now) sessions.delete(id);
+  }
+}
+
+/**
+ * Look up a session.
+ * @param {string|undefined} sessionId - From the X-Session-Id header
+ * @returns {{ id: string, assets: Map<string, Object> }|null} null when no id is given
+ */
+export function getSession(sessionId) {
+  sweepSessions();
+  if (!sessionId) return null;
+  const session = sessions.get(sessionId);
+  if (!session) throw new CustomAssetError('session', 'Unknown or expired session; upload the assets again');
+  return touch(session);
+}
+
+/**
+ * Public description of an uploaded asset.
+ */
+export function describeCustomAsset(asset) {
+  const { ticker, name, assetClass, history, fit } = asset;
+  return {
+    ticker,
+    name,
+    assetClass,
+    firstDate: history[0].date,
+    lastDate: history[history.length - 1].date,
+    days: history.length,
+    overlap: fit.overlap,
+    expectedReturn: fit.mean,
+    historicalMean: fit.historicalMean,
+    volatility: fit.volatility,
+    tau: fit.tau,
+    warnings: fit.warnings,
+  };
+}
+
+/**
+ * Validate an uploaded price history and add it to a session (a new one when no id is given).
+ * @param {string|undefined} sessionId
+ * @param {{ ticker: string, name?: string, assetClass: string, csv: string }} upload
+ * @param {(tickers: string[]) => Promise<Object>} fetchHistories - Price history loader (fetchPriceHistory)
+ * @returns {Promise<{ sessionId: string, asset: Object }>}
+ */
+export async function addCustomAsset(sessionId, { ticker, name, assetClass, csv }, fetchHistories) {
+  const session = getSession(sessionId) ?? touch({ id: crypto.randomUUID(), assets: new Map() });
+
+  const symbol = typeof ticker === 'string' ? ticker.trim().toUpperCase() : '';
+  if (!TICKER_PATTERN.test(symbol)) {
+    throw new CustomAssetError('ticker', 'ticker must be 1–12 letters, digits, dots or dashes');
+  }
+  if (symbol === CASH_TICKER || getAsset(symbol)) {
+    throw new CustomAssetError('ticker', `${symbol} is already a bundled asset; pick another ticker`);
+  }
+  if (!session.assets.has(symbol) && session.assets.size >= MAX_ASSETS_PER_SESSION) {
+    throw new CustomAssetError('ticker', `a session can hold at most ${MAX_ASSETS_PER_SESSION} uploaded assets`);
+  }
+  if (!ASSET_CLASSES.includes(assetClass)) {
+    throw new CustomAssetError('assetClass', `assetClass must be one of: ${ASSET_CLASSES.join(', ')}`);
+  }
+  if (name !== undefined && (typeof name !== 'string' || name.length > 60)) {
+    throw new CustomAssetError('name', 'name must be a string of at most 60 characters');
+  }
+
+  const history = parsePriceCsv(csv);
+  if (history.length > MAX_UPLOAD_PRICES) {
+    throw new CustomAssetError('file', `the CSV can hold at most ${MAX_UPLOAD_PRICES} daily prices`);
+  }
+  const dataset = loadDataset();
+  const histories = await fetchHistories(dataset.covariance.tickers);
+  const asset = {
+    ticker: symbol,
+    name: name?.trim() || symbol,
+    assetClass,
+    history,
+    fit: attachToDataset(history, dataset, histories),
+  };
+
+  session.assets.set(symbol, asset);
+  sessions.delete(session.id);
+  sessions.set(session.id, session);
+  evictSessions(session);
+  return { sessionId: session.id, asset: describeCustomAsset(asset) };
+}
+
+/**
+ * Remove an uploaded asset from a session.
+ * @returns {boolean} Whether the session held it
+ */
+export function removeCustomAsset(sessionId, ticker) {
+  const session = getSession(sessionId);
+  if (!session) throw new CustomAssetError('session', 'X-Session-Id is required');
+  return session.assets.delete(String(ticker).toUpperCase());
+}
+
+/**
+ * Add a session's uploads to market data built on the dataset: summary
+ * entries (with name and class) and rows of the extended covariance matrix.
+ * Fits made against an older dataset are redone first.
+ * @param {Object} marketData - From fetchAllMarketData
+ * @param {{ assets: Map<string, Object> }|null} session
+ * @param {(tickers: string[]) => Promise<Object>} fetchHistories - Price history loader (fetchPriceHistory)
+ * @returns {Promise<Object>} Market data including the session's assets
+ */
+export async function withCustomAssets(marketData, session, fetchHistories) {
+  if (!session || session.assets.size === 0) return marketData;
+
+  // Statistics recomputed from price histories (an estimation period) already include the uploads
+  if ([...session.assets.keys()].every(t => marketData.summary[t])) {
+    const summary = { ...marketData.summary };
+    for (const { ticker, name, assetClass } of session.assets.values()) {
+      summary[ticker] = { ...summary[ticker], name, assetClass };
+    }
+    return { ...marketData, summary };
+  }
+
+  const dataset = loadDataset();
+  const uploads = [...session.assets.values()];
+  const stale = uploads.filter(a => a.fit.datasetVersion !== dataset.version);
+  if (stale.length > 0) {
+    const histories = await fetchHistories(dataset.covariance.tickers);
+    for (const asset of stale) asset.fit = attachToDataset(asset.history, dataset, histories);
+  }
+
+  const { tickers, matrix } = dataset.covariance;
+  const summary = { ...marketData.summary };
+  for (const { ticker, name, assetClass, fit } of uploads) {
+    summary[ticker] = { mean: fit.mean, vol: fit.volatility, name, assetClass };
+  }
+  const cross = (a, b) => a.fit.beta.reduce((s, v, i) => s + v * b.fit.covariances[i], 0)
+    + (a === b ? a.fit.residualVariance : 0);
+  return {
+    ...marketData,
+    summary,
+    covariance: {
+      ...marketData.covariance,
+      tickers: [...tickers, ...uploads.map(a => a.ticker)],
+      matrix: [
+        ...matrix.map((row, i) => [...row, ...uploads.map(a => a.fit.covariances[i])]),
+        ...uploads.map(a => [...a.fit.covariances, ...uploads.map(b => cross(a, b))]),
+      ],
+    },
+  };
+}
+
+/**
+ * The session's uploaded price histories, keyed by ticker.
+ * @returns {Object<string, { date: string, close: number }[]>}
+ */
+export function customHistories(session) {
+  return Object.fromEntries([...(session?.assets.values() ?? [])].map(a => [a.ticker, a.history]));
+}
@@ -0,0 +1,238 @@
+/**
+ * Asset dataset: per-asset expected returns and volatilities plus the
+ * covariance matrix the optimizers start from, built from the daily prices in
+ * assets/ and stored as a versioned JSON file.
+ *
+ * Building the dataset:
+ *   1. reads every assets/*.csv, taking the ticker from the `ticker` column
+ *      when present (else the file name) and the asset class from the registry
+ *      in assets.js (else the `asset_class` column);
+ *   2. drops assets with fewer than MIN_HISTORY_DAYS daily prices;
+ *   3. aligns the rest on the dates they all traded and computes annualized
+ *      means and volatilities of daily log returns, and their covariance;
+ *   4. shrinks each mean toward the market's (SPY) mean, keeping a share tau
+ *      of the historical mean: 0.2 for assets whose Sharpe ratio exceeds 1.5×
+ *      the market's, 0.4 otherwise.
+ *
+ * Rebuild with `npm run dataset:rebuild`. The server reloads the file when it
+ * changes on disk.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import csv from 'csv-parser';
+import { computeReturns, computeStats, computeCovarianceMatrix } from './portfolio.js';
+import { alignPrices } from './backtest.js';
+import { getAssetClass } from './assets.js';
+
+export const ASSETS_DIR = path.join(process.cwd(), 'assets');
+export const DATASET_PATH = path.join(process.cwd(), 'data', 'dataset.json');
+
+// Bumped whenever the layout of dataset.json changes
+export const DATASET_FORMAT = 1;
+
+// At least five years of daily prices
+export const MIN_HISTORY_DAYS = 1260;
+
+export const MARKET_TICKER = 'SPY';
+
+// Share of the historical mean kept by the shrinkage, by Sharpe ratio relative to the market
+const TAU_HIGH_SHARPE = 0.2;
+const TAU_DEFAULT = 0.4;
+const HIGH_SHARPE_MULTIPLE = 1.5;
+
+// Used when the market ticker is missing from the dataset
+const FALLBACK_MARKET_SHARPE = 0.7;
+
+const ASSET_CLASS_ALIASES = {
+  equity: 'equity', equities: 'equity', stock: 'equity', stocks: 'equity',
+  bond: 'bonds', bonds: 'bonds', 'fixed income': 'bonds',
+  alt: 'alts', alts: 'alts', alternative: 'alts', alternatives: 'alts',
+};
+
+/**
+ * Thrown when the dataset file is missing or cannot be used.
+ */
+export class DatasetError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'DatasetError';
+  }
+}
+
+/**
+ * Ticker from an asset file name, e.g. "spy_us_d.csv" → "SPY", "hylb.csv" → "HYLB".
+ */
+export function tickerFromFileName(fileName) {
+  return fileName.replace(/\.csv$/i, '').split('_')[0].toUpperCase();
+}
+
+/**
+ * Normalize an asset class label ('bond', 'Equity', 'alt', ...) to one of ASSET_CLASSES.
+ * @returns {'equity'|'bonds'|'alts'|null}
+ */
+export function normalizeAssetClass(label) {
+  return ASSET_CLASS_ALIASES[String(label ?? '').trim().toLowerCase()] ?? null;
+}
+
+/**
+ * Read one asset file: its ticker and class columns, and closing prices sorted by date
+ * (one per date, invalid closes skipped).
+ * @returns {Promise<{ ticker: string|null, assetClass: string|null, history: { date: string, close: number }[] }>}
+ */
+function readAssetFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const closes = new Map();
+    let ticker = null;
+    let assetClass = null;
+    fs.createReadStream(filePath)
+      .pipe(csv())
+      .on('data', (data) => {
+        const close = parseFloat(data.Close);
+        if (data.Date && Number.isFinite(close) && close > 0) closes.set(data.Date.trim(), close);
+        if (!ticker && data.ticker?.trim()) ticker = data.ticker.trim().toUpperCase();
+        if (!assetClass && data.asset_class?.trim()) assetClass = data.asset_class;
+      })
+      .on('end', () => resolve({
+        ticker,
+        assetClass,
+        history: [...closes.entries()].sort(([a], [b]) => (a < b ? -1 : 1)).map(([date, close]) => ({ date, close })),
+      }))
+      .on('error', (error) => reject(error));
+  });
+}
+
+/**
+ * Shrink historical means toward the market's (step 4 above).
+ * @param {{ mean: number, vol: number }[]} stats - Annualized, from computeStats
+ * @param {number} marketIndex - Position of the market in stats, or -1 to shrink toward the average mean
+ * @returns {{ shrinkage: Object, assets: { mean: number, historicalMean: number, volatility: number,
+ *   sharpe: number, tau: number }[] }} The shrinkage parameters as stored in the dataset, and per-asset results
+ */
+export function shrinkMeans(stats, marketIndex) {
+  const marketReturn = marketIndex >= 0
+    ? stats[marketIndex].mean
+    : stats.reduce((s, st) => s + st.mean, 0) / stats.length;
+  const marketSharpe = marketIndex >= 0 ? stats[marketIndex].mean / stats[marketIndex].vol : FALLBACK_MARKET_SHARPE;
+
+  return {
+    shrinkage: {
+      market: marketIndex >= 0 ? MARKET_TICKER : null,
+      marketReturn,
+      marketSharpe,
+      highSharpeMultiple: HIGH_SHARPE_MULTIPLE,
+      tau: { highSharpe: TAU_HIGH_SHARPE, default: TAU_DEFAULT },
+    },
+    assets: stats.map(({ mean, vol }) => {
+      const sharpe = mean / vol;
+      const tau = sharpe > HIGH_SHARPE_MULTIPLE * marketSharpe ? TAU_HIGH_SHARPE : TAU_DEFAULT;
+      return {
+        mean: (1 - tau) * marketReturn + tau * mean,
+        historicalMean: mean,
+        volatility: vol,
+        sharpe,
+        tau,
+      };
+    }),
+  };
+}
+
+/**
+ * Build the dataset from a folder of daily price files.
+ * @param {string} [assetsDir=ASSETS_DIR]
+ * @param {Object} [options]
+ * @param {number} [options.minHistoryDays=MIN_HISTORY_DAYS]
+ * @returns {Promise<Object>} The dataset, as written by writeDataset
+ */
+export async function buildDataset(assetsDir = ASSETS_DIR, { minHistoryDays = MIN_HISTORY_DAYS } = {}) {
+  const files = fs.readdirSync(assetsDir).filter(f => f.toLowerCase().endsWith('.csv')).sort();
+  const hash = crypto.createHash('sha256');
+
+  const seen = new Map();
+  const histories = {};
+  const assets = [];
+  const excluded = [];
+  for (const file of files) {
+    const contents = fs.readFileSync(path.join(assetsDir, file));
+    hash.update(file).update(contents);
+
+    const { ticker: column, assetClass: label, history } = await readAssetFile(path.join(assetsDir, file));
+    const ticker = column ?? tickerFromFileName(file);
+    if (seen.has(ticker)) {
+      excluded.push({ ticker, file, reason: `duplicate of ${seen.get(ticker)}` });
+      continue;
+    }
+    seen.set(ticker, file);
+    if (history.length < minHistoryDays) {
+      excluded.push({ ticker, file, reason: `only ${history.length} days of prices (need ${minHistoryDays})` });
+      continue;
+    }
+    const assetClass = getAssetClass(ticker) ?? normalizeAssetClass(label);
+    if (!assetClass) {
+      excluded.push({ ticker, file, reason: label ? `unknown asset class: ${label}` : 'not in the asset registry and no asset_class column' });
+      continue;
+    }
+    histories[ticker] = history;
+    assets.push({ ticker, file, assetClass, firstDate: history[0].date, lastDate: history[history.length - 1].date });
+  }
+  if (assets.length < 2) throw new DatasetError(`Only ${assets.length} usable asset files in ${assetsDir}`);
+
+  const tickers = assets.map(a => a.ticker);
+  const { dates, prices } = alignPrices(histories, tickers, null, null);
+  if (dates.length < 2) throw new DatasetError('The usable assets share no trading dates');
+  const returns = prices.map(series => computeReturns(series));
+  const stats = returns.map(r => computeStats(r));
+
+  const { shrinkage, assets: shrunk } = shrinkMeans(stats, tickers.indexOf(MARKET_TICKER));
+
+  // The version names the build date and the exact input files
+  const builtAt = new Date().toISOString();
+  return {
+    format: DATASET_FORMAT,
+    version: `${builtAt.slice(0, 10).replaceAll('-', '')}-${hash.digest('hex').slice(0, 8)}`,
+    builtAt,
+    start: dates[0],
+    end: dates[dates.length - 1],
+    observations: returns[0].length,
+    minHistoryDays,
+    shrinkage,
+    assets: assets.map((asset, i) => ({ ...asset, ...shrunk[i] })),
+    excluded,
+    covariance: { tickers, matrix: computeCovarianceMatrix(returns) },
+  };
+}
+
+/**
+ * Write a dataset to disk.
+ * @param {Object} dataset - From buildDataset
+ * @param {string} [filePath=DATASET_PATH]
+ */
+export function writeDataset(dataset, filePath = DATASET_PATH) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify(dataset, null, 2) + '\n');
+}
+
+let loaded = null;
+
+/**
+ * Load the dataset, re-reading the file only when it has changed on disk.
+ * @param {string} [filePath=DATASET_PATH]
+ * @returns {Object} The dataset, as built by buildDataset
+ */
+export function loadDataset(filePath = DATASET_PATH) {
+  let stat;
+  try {
+    stat = fs.statSync(filePath);
+  } catch {
+    throw new DatasetError(`No dataset at ${filePath}; run \`npm run dataset:rebuild\``);
+  }
+  if (loaded?.filePath === filePath && loaded.mtimeMs === stat.mtimeMs) return loaded.dataset;
+
+  const dataset = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  if (dataset.format !== DATASET_FORMAT) {
+    throw new DatasetError(`Dataset format ${dataset.format} is not supported (expected ${DATASET_FORMAT}); run \`npm run dataset:rebuild\``);
+  }
+  loaded = { filePath, mtimeMs: stat.mtimeMs, dataset };
+  return dataset;
+}
@@ -0,0 +1,187 @@
+/**
+ * Estimation periods: market statistics recomputed from the daily price files
+ * over a chosen window instead of the dataset's full common history, e.g.
+ * "only the last five years" or "everything but 2020".
+ *
+ * Prices are aligned on the dates every requested ticker traded between
+ * `start` and `end`; daily log returns dated inside an excluded range are then
+ * dropped (the return into the first day after a range still counts, since it
+ * starts from a price inside the window). Means are shrunk toward the market
+ * exactly as in the dataset build (see dataset.js), with the market's own
+ * statistics taken over the same window.
+ */
+
+import { computeReturns, computeStats, computeCovarianceMatrix } from './portfolio.js';
+import { alignPrices } from './backtest.js';
+import { estimateCovariance } from './covariance.js';
+import { shrinkMeans, MARKET_TICKER } from './dataset.js';
+
+// A year of daily returns at the least
+export const MIN_WINDOW_DAYS = 252;
+
+const MAX_EXCLUDE_RANGES = 20;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Thrown for invalid estimation periods. `field` names the offending input.
+ */
+export class EstimationPeriodError extends Error {
+  constructor(field, message) {
+    super(message);
+    this.name = 'EstimationPeriodError';
+    this.field = field;
+  }
+}
+
+/**
+ * Whether a string is a real calendar date formatted YYYY-MM-DD (Date.parse rolls 2021-02-30 over to March).
+ */
+export function isCalendarDate(value) {
+  if (typeof value !== 'string' || !DATE_PATTERN.test(value)) return false;
+  const time = Date.parse(value);
+  return !Number.isNaN(time) && new Date(time).toISOString().slice(0, 10) === value;
+}
+
+function readDate(value, field) {
+  if (!isCalendarDate(value)) {
+    throw new EstimationPeriodError(field, `${field} must be a valid date formatted YYYY-MM-DD`);
+  }
+  return value;
+}
+
+/**
+ * Validate an estimation period. Excluded ranges are { start, end } objects or
+ * "YYYY-MM-DD:YYYY-MM-DD" strings, as an array or one comma-separated string.
+ * @param {{ start?: string, end?: string, excludeRanges?: string|Array<string|{ start: string, end: string }> }} options
+ * @returns {{ start: string|null, end: string|null, excludeRanges: { start: string, end: string }[] }|null}
+ *   null when no option is given (use the dataset)
+ */
+export function readEstimationPeriod({ start, end, excludeRanges } = {}) {
+  if (start === undefined && end === undefined && excludeRanges === undefined) return null;
+
+  const period = {
+    start: start === undefined ? null : readDate(start, 'start'),
+    end: end === undefined ? null : readDate(end, 'end'),
+    excludeRanges: [],
+  };
+  if (period.start && period.end && period.start >= period.end) {
+    throw new EstimationPeriodError('end', 'end must be after start');
+  }
+
+  const ranges = typeof excludeRanges === 'string'
+    ? excludeRanges.split(',').filter(r => r.trim())
+    : excludeRanges ?? [];
+  if (!Array.isArray(ranges)) throw new EstimationPeriodError('excludeRanges', 'excludeRanges must be an array of date ranges');
+  if (ranges.length > MAX_EXCLUDE_RANGES) {
+    throw new EstimationPeriodError('excludeRanges', `at most ${MAX_EXCLUDE_RANGES} ranges can be excluded`);
+  }
+  period.excludeRanges = ranges.map((range, k) => {
+    const field = `excludeRanges[${k}]`;
+    const [from, to] = typeof range === 'string' ? range.trim().split(':') : [range?.start, range?.end];
+    const excluded = { start: readDate(from, `${field}.start`), end: readDate(to, `${field}.end`) };
+    if (excluded.start > excluded.end) throw new EstimationPeriodError(field, `${field} ends before it starts`);
+    return excluded;
+  });
+  return period;
+}
+
+/**
+ * Price histories restricted to an estimation period, for what works from
+ * prices rather than statistics (return scenarios, tail risk). Each series
+ * keeps its dates between `start` and `end`; days in an excluded range are
+ * dropped and later prices rescaled, so the series compounds only the kept
+ * daily returns.
+ * @param {Object<string, { date: string, close: number }[]>} histories - Daily prices, sorted by date
+ * @param {{ start: string|null, end: string|null, excludeRanges: { start: string, end: string }[] }|null} period
+ *   - From readEstimationPeriod; null leaves the histories whole
+ * @returns {Object<string, { date: string, close: number }[]>}
+ */
+export function clipHistories(histories, period) {
+  if (!period) return histories;
+  const excluded = date => period.excludeRanges.some(r => date >= r.start && date <= r.end);
+  return Object.fromEntries(Object.entries(histories).map(([ticker, history]) => {
+    const window = history.filter(p => (!period.start || p.date >= period.start) && (!period.end || p.date <= period.end));
+    const clipped = [];
+    window.forEach((p, t) => {
+      if (t > 0 && excluded(p.date)) return;
+      const close = t === 0 ? p.close : clipped[clipped.length - 1].close * (p.close / window[t - 1].close);
+      clipped.push({ date: p.date, close });
+    });
+    return [ticker, clipped];
+  }));
+}
+
+/**
+ * Annualized expected returns, volatilities and covariance over an estimation period.
+ * Tickers without a price history are left out.
+ * @param {Object<string, { date: string, close: number }[]>} histories - Daily prices, including the market's
+ * @param {string[]} tickers
+ * @param {{ start: string|null, end: string|null, excludeRanges: { start: string, end: string }[] }} period
+ *   - From readEstimationPeriod
+ * @param {{ estimator: string, lookback: number|null, halfLife: number|null }|null} [covarianceOptions] - From
+ *   readCovarianceOptions; by default the sample covariance over the whole period
+ * @returns {{ summary: Object<string, { mean: number, vol: number }>, covariance: { tickers: string[], matrix: number[][],
+ *   estimate?: Object }, period: { start: string, end: string, observations: number,
+ *   excludeRanges: Object[], excludedObservations: number } }}
+ */
+export function statisticsForPeriod(histories, tickers, period, covarianceOptions = null) {
+  const available = tickers.filter(t => histories[t]);
+  if (available.length < 2) throw new EstimationPeriodError('tickers', 'At least two tickers with price history are needed');
+  const withMarket = histories[MARKET_TICKER] && !available.includes(MARKET_TICKER)
+    ? [...available, MARKET_TICKER]
+    : available;
+
+  const { dates, prices } = alignPrices(histories, withMarket, period.start, period.end);
+  const kept = dates.slice(1)
+    .map((date, t) => (period.excludeRanges.some(r => date >= r.start && date <= r.end) ? -1 : t))
+    .filter(t => t >= 0);
+  if (kept.length < MIN_WINDOW_DAYS) {
+    throw new EstimationPeriodError(
+      'start',
+      `the estimation period has only ${kept.length} daily returns common to all assets; need ${MIN_WINDOW_DAYS}`,
+    );
+  }
+  const returns = prices.map(series => {
+    const daily = computeReturns(series);
+    return kept.map(t => daily[t]);
+  });
+
+  const stats = returns.map(r => computeStats(r));
+  const { assets } = shrinkMeans(stats, withMarket.indexOf(MARKET_TICKER));
+  const assetReturns = returns.slice(0, available.length);
+
+  let covariance;
+  if (covarianceOptions) {
+    const { estimator, lookback, halfLife } = covarianceOptions;
+    const from = lookback === null ? 0 : Math.max(0, kept.length - lookback);
+    const { matrix, shrinkage } = estimateCovariance(assetReturns.map(r => r.slice(from)), { estimator, halfLife });
+    covariance = {
+      tickers: available,
+      matrix,
+      estimate: {
+        estimator,
+        lookback,
+        halfLife,
+        shrinkage,
+        observations: kept.length - from,
+        start: dates[kept[from]],
+        end: dates[kept[kept.length - 1] + 1],
+      },
+    };
+  } else {
+    covariance = { tickers: available, matrix: computeCovarianceMatrix(assetReturns) };
+  }
+
+  return {
+    summary: Object.fromEntries(available.map((t, i) => [t, { mean: assets[i].mean, vol: assets[i].volatility }])),
+    covariance,
+    period: {
+      start: dates[0],
+      end: dates[dates.length - 1],
+      observations: kept.length,
+      excludeRanges: period.excludeRanges,
+      excludedObservations: dates.length - 1 - kept.length,
+    },
+  };
+}
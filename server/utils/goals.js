@@ -0,0 +1,168 @@
+/**
+ * Goal-based planning: probability that a portfolio reaches a target amount
+ * by a target date, and the monthly contribution needed to reach it with a
+ * chosen confidence.
+ *
+ * A goal looks like:
+ *
+ *   {
+ *     name: 'House deposit',
+ *     targetAmount: 80000,
+ *     targetDate: '2031-06-30',
+ *     currentSavings: 20000,
+ *     monthlyContribution: 600,
+ *   }
+ *
+ * Every portfolio is simulated with the same seed (common random numbers), so
+ * differences between portfolios are not sampling noise.
+ */
+
+import { simulateGrowthFactors, SIMULATION_METHODS } from './simulation.js';
+import { isCalendarDate } from './estimationPeriod.js';
+
+const MAX_MONTHS = 12 * 60;
+
+/**
+ * Thrown for invalid goals. `field` names the offending input.
+ */
+export class GoalError extends Error {
+  constructor(field, message) {
+    super(message);
+    this.name = 'GoalError';
+    this.field = field;
+  }
+}
+
+/**
+ * Whole months from `today` until `targetDate` (both YYYY-MM-DD).
+ */
+function monthsUntil(targetDate, today) {
+  const [ty, tm, td] = targetDate.split('-').map(Number);
+  const [y, m, d] = today.split('-').map(Number);
+  return (ty - y) * 12 + (tm - m) - (td < d ? 1 : 0);
+}
+
+/**
+ * Validate a goal and work out its horizon.
+ * @param {Object} goal - See the module comment
+ * @param {string} [today] - Valuation date, defaults to the current date
+ * @returns {Object} The goal with numeric fields checked and `months` added
+ */
+export function resolveGoal(goal, today = new Date().toISOString().slice(0, 10)) {
+  if (!goal || typeof goal !== 'object') throw new GoalError('goal', 'goal must be an object');
+  const { name = 'Goal', targetAmount, targetDate, currentSavings = 0, monthlyContribution = 0 } = goal;
+
+  if (typeof targetAmount !== 'number' || !(targetAmount > 0)) {
+    throw new GoalError('goal.targetAmount', 'targetAmount must be a positive number');
+  }
+  if (!isCalendarDate(targetDate)) {
+    throw new GoalError('goal.targetDate', 'targetDate must be a valid date formatted YYYY-MM-DD');
+  }
+  if (typeof currentSavings !== 'number' || !(currentSavings >= 0)) {
+    throw new GoalError('goal.currentSavings', 'currentSavings must be a non-negative number');
+  }
+  if (typeof monthlyContribution !== 'number' || !(monthlyContribution >= 0)) {
+    throw new GoalError('goal.monthlyContribution', 'monthlyContribution must be a non-negative number');
+  }
+
+  const months = monthsUntil(targetDate, today);
+  if (months < 1) throw new GoalError('goal.targetDate', 'targetDate must be at least a month away');
+  if (months > MAX_MONTHS) throw new GoalError('goal.targetDate', 'targetDate must be within 60 years');
+
+  return { name: String(name), targetAmount, targetDate, currentSavings, monthlyContribution, months };
+}
+
+/**
+ * Value at quantile q of a sorted array (linear interpolation).
+ */
+function quantile(sorted, q) {
+  const pos = q * (sorted.length - 1);
+  const lo = Math.floor(pos);
+  const hi = Math.ceil(pos);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+/**
+ * Success probability and required contribution for one portfolio.
+ *
+ * With terminal wealth W = S·lump + c·annuity per path, the goal is met on
+ * path p for any contribution c ≥ (target − S·lump[p]) / annuity[p]; the
+ * contribution that succeeds with probability q is the q-quantile of that
+ * per-path requirement.
+ *
+ * @param {Object} goal - From resolveGoal
+ * @param {Object} model - { method, mu, vol, dailyReturns } for simulateGrowthFactors
+ * @param {Object} options - { confidence, paths, seed }
+ */
+export function evaluateGoal(goal, model, { confidence = 0.8, paths = 5000, seed = 42 } = {}) {
+  const { lump, annuity } = simulateGrowthFactors({ ...model, months: goal.months, paths, seed });
+
+  const terminal = new Float64Array(paths);
+  const required = new Float64Array(paths);
+  let successes = 0;
+  for (let p = 0; p < paths; p++) {
+    terminal[p] = goal.currentSavings * lump[p] + goal.monthlyContribution * annuity[p];
+    if (terminal[p] >= goal.targetAmount) successes++;
+    required[p] = Math.max(0, (goal.targetAmount - goal.currentSavings * lump[p]) / annuity[p]);
+  }
+  terminal.sort();
+  required.sort();
+
+  return {
+    successProbability: successes / paths,
+    medianWealth: quantile(terminal, 0.5),
+    pessimisticWealth: quantile(terminal, 1 - confidence),
+    requiredContribution: quantile(required, confidence),
+  };
+}
+
+/**
+ * Validate a goal evaluation request.
+ * @param {Object} goal - See the module comment
+ * @param {{ confidence?: number, method?: string, today?: string }} [options] - As for evaluateGoalForPortfolios
+ * @returns {{ goal: Object, confidence: number, method: string }} The goal as resolveGoal returns it
+ */
+export function readGoalRequest(goal, { confidence = 0.8, method = 'parametric', today } = {}) {
+  const resolved = resolveGoal(goal, today);
+  if (typeof confidence !== 'number' || !(confidence > 0 && confidence < 1)) {
+    throw new GoalError('confidence', 'confidence must be a number between 0 and 1');
+  }
+  if (!SIMULATION_METHODS.includes(method)) {
+    throw new GoalError('method', `method must be one of: ${SIMULATION_METHODS.join(', ')}`);
+  }
+  return { goal: resolved, confidence, method };
+}
+
+/**
+ * Evaluate a goal against several portfolios.
+ *
+ * @param {Object} goal - See the module comment
+ * @param {{ name: string, model: Object }[]} portfolios - Simulation model per portfolio
+ * @param {Object} [options]
+ * @param {number} [options.confidence=0.8] - Confidence level for the required contribution
+ * @param {string} [options.method='parametric'] - One of SIMULATION_METHODS
+ * @param {number} [options.paths=5000]
+ * @param {number} [options.seed=42]
+ * @param {string} [options.today] - Valuation date (YYYY-MM-DD)
+ */
+export function evaluateGoalForPortfolios(goal, portfolios, {
+  confidence = 0.8,
+  method = 'parametric',
+  paths = 5000,
+  seed = 42,
+  today,
+} = {}) {
+  const { goal: resolved } = readGoalRequest(goal, { confidence, method, today });
+
+  return {
+    goal: resolved,
+    confidence,
+    method,
+    paths,
+    seed,
+    portfolios: portfolios.map(({ name, model }) => ({
+      name,
+      ...evaluateGoal(resolved, { ...model, method }, { confidence, paths, seed }),
+    })),
+  };
+}
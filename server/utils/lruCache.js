@@ -0,0 +1,32 @@
+/**
+ * A small least-recently-used cache for results keyed by request parameters,
+ * which users can vary without limit.
+ */
+
+/**
+ * Create a cache holding at most `limit` entries; adding one more drops the
+ * entry used longest ago.
+ * @param {number} limit
+ * @returns {{ has: (key: string) => boolean, get: (key: string) => *, set: (key: string, value: *) => void,
+ *   delete: (key: string) => boolean }}
+ */
+export function createLruCache(limit) {
+  // In order from least to most recently used
+  const entries = new Map();
+  return {
+    has: key => entries.has(key),
+    get(key) {
+      if (!entries.has(key)) return undefined;
+      const value = entries.get(key);
+      entries.delete(key);
+      entries.set(key, value);
+      return value;
+    },
+    set(key, value) {
+      entries.delete(key);
+      entries.set(key, value);
+      if (entries.size > limit) entries.delete(entries.keys().next().value);
+    },
+    delete: key => entries.delete(key),
+  };
+}
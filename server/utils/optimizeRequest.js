@@ -0,0 +1,246 @@
+/**
+ * The POST /api/optimize pipeline, shared with routes that evaluate the
+ * recommended portfolio (goals, projection, stress tests): validate the
+ * request, build market data for the universe plus the session's uploads,
+ * apply views, build scenarios and optimize. The request body is documented
+ * on the optimize route.
+ */
+
+import { fetchSessionMarketData } from './polygon.js';
+import { runOptimization, STRATEGIES, CASH_TICKER } from './portfolio.js';
+import { scenariosFromHistories, SCENARIO_METHODS, SCENARIO_HORIZONS, SCENARIO_STRATEGIES } from './scenarios.js';
+import { computeTailRisk } from './tailRisk.js';
+import { applyViews, shiftScenarios } from './blackLitterman.js';
+import { DEFAULT_RESAMPLING } from './resampling.js';
+import { readCovarianceOptions } from './covariance.js';
+import { getUniverse } from './universes.js';
+import { readEstimationPeriod } from './estimationPeriod.js';
+import { getSession } from './customAssets.js';
+
+/**
+ * Thrown for invalid optimize inputs not covered by a more specific error. `field` names the offending input.
+ */
+export class OptimizeRequestError extends Error {
+  constructor(field, message) {
+    super(message);
+    this.name = 'OptimizeRequestError';
+    this.field = field;
+  }
+}
+
+/**
+ * Validate the `resample` option: true for the defaults, or { draws, observations, seed }.
+ * @returns {{ draws: number, observations: number, seed: number }|string} Options, or an error message
+ */
+function readResampling(resample) {
+  if (resample === true) return { ...DEFAULT_RESAMPLING };
+  if (!resample || typeof resample !== 'object') return 'resample must be true or { draws, observations, seed }';
+  const options = { ...DEFAULT_RESAMPLING, ...resample };
+  if (!Number.isInteger(options.draws) || options.draws < 10 || options.draws > 500) {
+    return 'resample.draws must be an integer between 10 and 500';
+  }
+  if (!Number.isInteger(options.observations) || options.observations < 24 || options.observations > 1200) {
+    return 'resample.observations must be an integer between 24 and 1200';
+  }
+  if (!Number.isInteger(options.seed)) return 'resample.seed must be an integer';
+  return options;
+}
+
+/**
+ * Validate a discretized γ posterior { gammas, weights } (weights need not be normalized).
+ * @returns {{ gammas: number[], weights: number[], mean: number, credibleInterval: [number, number] }|string}
+ *   The posterior with normalized weights, or an error message
+ */
+function readGammaPosterior(posterior) {
+  const { gammas, weights } = posterior ?? {};
+  if (!Array.isArray(gammas) || !Array.isArray(weights) || gammas.length === 0 || gammas.length !== weights.length) {
+    return 'gammaPosterior must be { gammas, weights } with one weight per γ';
+  }
+  if (gammas.length > 1000) return 'gammaPosterior can have at most 1000 points';
+  if (gammas.some(g => typeof g !== 'number' || !(g > 0) || !Number.isFinite(g))) {
+    return 'gammaPosterior.gammas must be positive numbers';
+  }
+  if (weights.some(w => typeof w !== 'number' || !(w >= 0) || !Number.isFinite(w))) {
+    return 'gammaPosterior.weights must be non-negative numbers';
+  }
+  const total = weights.reduce((s, w) => s + w, 0);
+  if (!(total > 0)) return 'gammaPosterior.weights must not all be zero';
+
+  const points = gammas.map((gamma, i) => ({ gamma, weight: weights[i] / total })).sort((a, b) => a.gamma - b.gamma);
+  const quantile = (p) => {
+    let cumulative = 0;
+    for (const { gamma, weight } of points) {
+      cumulative += weight;
+      if (cumulative >= p) return gamma;
+    }
+    return points[points.length - 1].gamma;
+  };
+  return {
+    gammas: points.map(pt => pt.gamma),
+    weights: points.map(pt => pt.weight),
+    mean: points.reduce((s, pt) => s + pt.gamma * pt.weight, 0),
+    credibleInterval: [quantile(0.025), quantile(0.975)],
+  };
+}
+
+/**
+ * Validate the inputs that choose the market statistics: the universe, the
+ * covariance estimator and the estimation period.
+ * @param {{ universe?: string, covariance?: string|Object|null, start?: string, end?: string,
+ *   excludeRanges?: string|Array }} inputs - As for POST /api/optimize
+ * @returns {{ universe: Object, covariance: Object|null, period: Object|null }}
+ */
+export function readMarketInputs({ universe, covariance = null, start, end, excludeRanges } = {}) {
+  return {
+    universe: getUniverse(universe),
+    covariance: covariance === null ? null : readCovarianceOptions(covariance),
+    period: readEstimationPeriod({ start, end, excludeRanges }),
+  };
+}
+
+/**
+ * Market data and price histories for evaluating a portfolio with the
+ * statistics it was optimized with: estimated over its universe, plus any
+ * other tickers given (the estimation period aligns prices across them all).
+ * @param {string[]} tickers - Holdings and other tickers needed, uploads included
+ * @param {Object|null} session - From getSession
+ * @param {{ universe: Object, covariance: Object|null, period: Object|null }} inputs - From readMarketInputs
+ * @returns {Promise<Object>} As fetchSessionMarketData
+ */
+export function fetchPortfolioMarketData(tickers, session, { universe, covariance, period }) {
+  const extra = tickers.filter(t => t !== CASH_TICKER && !universe.tickers.includes(t) && !session?.assets.has(t));
+  return fetchSessionMarketData([...universe.tickers, ...new Set(extra)], session, { covariance, period });
+}
+
+/**
+ * Validate an optimize request and run it.
+ * Besides OptimizeRequestError, throws the ConstraintError, ViewError, CovarianceError, UniverseError,
+ * CustomAssetError and EstimationPeriodError of the steps it runs.
+ * @param {Object} body - As for POST /api/optimize
+ * @param {string|undefined} sessionId - From the X-Session-Id header
+ * @returns {Promise<{ result: Object, histories: Object<string, { date: string, close: number }[]> }>} The
+ *   optimize response, and the price histories it was built on (uploads included, clipped to the estimation period)
+ */
+export async function runOptimizeRequest(body, sessionId) {
+  const {
+    gamma: gammaInput,
+    gammaPosterior: posteriorInput = null,
+    strategy = 'max-utility',
+    constraints = {},
+    riskFreeRate = null,
+    maxLeverage = 1,
+    lossAversion = null,
+    // λ_loss = 1 is plain mean-variance, which needs no scenarios
+    scenarioMethod = Object.hasOwn(SCENARIO_STRATEGIES, strategy) || lossAversion > 1 ? 'historical' : null,
+    scenarioHorizon = SCENARIO_STRATEGIES[strategy] ?? 'annual',
+    seed = 42,
+    cvarLimit,
+    views = null,
+    equilibrium,
+    resample = null,
+    covariance = null,
+    universe: universeName,
+    start,
+    end,
+    excludeRanges,
+  } = body;
+  const gammaPosterior = posteriorInput === null ? null : readGammaPosterior(posteriorInput);
+  if (typeof gammaPosterior === 'string') {
+    throw new OptimizeRequestError('gammaPosterior', gammaPosterior);
+  }
+  const gamma = gammaPosterior ? gammaPosterior.mean : gammaInput;
+  if (typeof gamma !== 'number' || gamma <= 0) {
+    throw new OptimizeRequestError('gamma', 'gamma must be a positive number');
+  }
+  if (!Object.hasOwn(STRATEGIES, strategy)) {
+    throw new OptimizeRequestError('strategy', `strategy must be one of: ${Object.keys(STRATEGIES).join(', ')}`);
+  }
+  if (riskFreeRate !== null && (typeof riskFreeRate !== 'number' || riskFreeRate < -0.05 || riskFreeRate > 0.25)) {
+    throw new OptimizeRequestError('riskFreeRate', 'riskFreeRate must be a number between -0.05 and 0.25');
+  }
+  if (typeof maxLeverage !== 'number' || maxLeverage < 1 || maxLeverage > 3) {
+    throw new OptimizeRequestError('maxLeverage', 'maxLeverage must be a number between 1 and 3');
+  }
+  if (scenarioMethod !== null && !SCENARIO_METHODS.includes(scenarioMethod)) {
+    throw new OptimizeRequestError('scenarioMethod', `scenarioMethod must be one of: ${SCENARIO_METHODS.join(', ')}`);
+  }
+  if (!Object.hasOwn(SCENARIO_HORIZONS, scenarioHorizon)) {
+    throw new OptimizeRequestError('scenarioHorizon', `scenarioHorizon must be one of: ${Object.keys(SCENARIO_HORIZONS).join(', ')}`);
+  }
+  if (!Number.isInteger(seed)) {
+    throw new OptimizeRequestError('seed', 'seed must be an integer');
+  }
+  const resampling = resample === null || resample === false ? null : readResampling(resample);
+  if (typeof resampling === 'string') {
+    throw new OptimizeRequestError('resample', resampling);
+  }
+  if (resampling && Object.hasOwn(SCENARIO_STRATEGIES, strategy)) {
+    throw new OptimizeRequestError('resample', `resample is not available for the ${strategy} strategy`);
+  }
+  if (cvarLimit !== undefined && (typeof cvarLimit !== 'number' || !(cvarLimit > 0) || cvarLimit > 1)) {
+    throw new OptimizeRequestError('cvarLimit', 'cvarLimit must be a loss between 0 and 1');
+  }
+  if (lossAversion !== null) {
+    if (typeof lossAversion !== 'number' || !(lossAversion >= 1) || lossAversion > 10) {
+      throw new OptimizeRequestError('lossAversion', 'lossAversion must be a number between 1 and 10');
+    }
+    if (strategy !== 'max-utility') {
+      throw new OptimizeRequestError('lossAversion', 'lossAversion is only available for the max-utility strategy');
+    }
+    if (riskFreeRate !== null || resampling) {
+      throw new OptimizeRequestError('lossAversion', 'lossAversion cannot be combined with riskFreeRate or resample');
+    }
+  }
+  const { universe, covariance: covarianceOptions, period } = readMarketInputs({
+    universe: universeName, covariance, start, end, excludeRanges,
+  });
+  const session = getSession(sessionId);
+
+  // Fetch market data and price histories (cached after first call)
+  const { marketData: summaryData, histories, tickers, uploads } = await fetchSessionMarketData(
+    universe.tickers,
+    session,
+    { covariance: covarianceOptions, period },
+  );
+  const { marketData, blackLitterman } = views
+    ? applyViews(summaryData, tickers, { views, equilibrium })
+    : { marketData: summaryData, blackLitterman: null };
+  const historicalScenarios = scenarioMethod
+    ? scenariosFromHistories(histories, tickers, {
+      method: scenarioMethod,
+      horizon: SCENARIO_HORIZONS[scenarioHorizon],
+      seed,
+    })
+    : null;
+  // Views move the scenarios too, or the scenario strategies would ignore them
+  const scenarios = historicalScenarios && blackLitterman
+    ? shiftScenarios(historicalScenarios, blackLitterman)
+    : historicalScenarios;
+
+  // Run optimization
+  const options = { constraints, strategy, riskFreeRate, maxLeverage, scenarios, cvarLimit, lossAversion };
+  const result = runOptimization(marketData, tickers, gamma, { ...options, resample: resampling });
+
+  // The optimum across the posterior's credible interval (not resampled, which would triple the cost)
+  const posteriorRange = gammaPosterior && {
+    mean: gammaPosterior.mean,
+    credibleInterval: gammaPosterior.credibleInterval,
+    range: gammaPosterior.credibleInterval.map(g => {
+      const { expectedReturn, volatility, assetClassBreakdown } = runOptimization(marketData, tickers, g, options);
+      return { gamma: g, expectedReturn, volatility, assetClassBreakdown };
+    }),
+  };
+
+  const response = {
+    ...result,
+    universe: { name: universe.name, label: universe.label },
+    gammaPosterior: posteriorRange,
+    customAssets: uploads,
+    blackLitterman,
+    covariance: summaryData.covariance.estimate ?? null,
+    estimationPeriod: summaryData.period,
+    tailRisk: computeTailRisk(histories, result.portfolio, riskFreeRate ?? 0),
+    templates: result.templates.map(t => ({ ...t, tailRisk: computeTailRisk(histories, t.holdings) })),
+  };
+  return { result: response, histories };
+}
@@ -1,86 +1,190 @@
 import fs from 'fs';
 import path from 'path';
 import csv from 'csv-parser';
+import { covarianceFromHistories, CovarianceError } from './covariance.js';
+import { loadDataset, tickerFromFileName, ASSETS_DIR, DatasetError, MARKET_TICKER } from './dataset.js';
+import { statisticsForPeriod, clipHistories, EstimationPeriodError } from './estimationPeriod.js';
+import { withCustomAssets, customHistories } from './customAssets.js';
+import { createLruCache } from './lruCache.js';
 
-const ASSET_SUMMARY_PATH = path.join(process.cwd(), 'asset_summary.csv');
-const ASSET_COVARIANCE_PATH = path.join(process.cwd(), 'asset_covariance.csv');
+// Daily price histories are immutable on disk, so each file is parsed once
+const priceCache = new Map();
 
-/**
- * Reads asset summary data (mean, volatility) from the summary CSV file.
- * @returns {Promise<Object>} A promise that resolves to an object mapping tickers to their stats.
- */
-function readAssetSummary() {
-  return new Promise((resolve, reject) => {
-    const results = {};
-    fs.createReadStream(ASSET_SUMMARY_PATH)
-      .pipe(csv())
-      .on('data', (data) => {
-        results[data.Ticker] = {
-          mean: parseFloat(data.Mean),
-          vol: parseFloat(data.Volatility),
-        };
-      })
-      .on('end', () => resolve(results))
-      .on('error', (error) => reject(error));
-  });
-}
+// Estimated covariance matrices depend only on the tickers and estimator options
+const covarianceCache = createLruCache(32);
 
-/**
- * Reads the covariance matrix from the CSV file.
- * @returns {Promise<Object>} A promise that resolves to an object with tickers and the covariance matrix.
- */
-function readCovarianceMatrix() {
-  return new Promise((resolve, reject) => {
-    const rows = [];
-    let tickers = [];
-    
-    fs.createReadStream(ASSET_COVARIANCE_PATH)
-      .pipe(csv())
-      .on('data', (data) => {
-        // First column is the ticker name (row label)
-        const ticker = data[''];
-        if (ticker) {
-          tickers.push(ticker);
-          const rowValues = Object.keys(data)
-            .filter(key => key !== '')
-            .map(key => parseFloat(data[key]));
-          rows.push(rowValues);
-        }
-      })
-      .on('end', () => {
-        resolve({ tickers, matrix: rows });
-      })
-      .on('error', (error) => reject(error));
-  });
-}
+// Likewise statistics over an estimation period, by tickers, period and covariance options
+const periodCache = createLruCache(32);
 
 /**
- * Fetches all necessary market data from local CSV files.
+ * Fetches all necessary market data from the asset dataset (see dataset.js).
  * @param {string[]} tickers - The tickers to fetch data for.
- * @returns {Promise<Object>} An object containing asset summaries and covariance matrix.
+ * @param {Object} [options]
+ * @param {{ estimator: string, lookback: number|null, halfLife: number|null }} [options.covariance] - Estimate the
+ *   covariance from daily prices (see readCovarianceOptions) instead of using the dataset's matrix.
+ * @param {{ start: string|null, end: string|null, excludeRanges: Object[] }} [options.period] - Recompute every
+ *   statistic from daily prices over this estimation period (see readEstimationPeriod).
+ * @param {Object<string, { date: string, close: number }[]>} [options.histories] - Price histories for tickers
+ *   without a price file (uploaded assets), used with `period`; results using them are not cached.
+ * @returns {Promise<Object>} An object containing asset summaries, covariance matrix, the estimation period
+ *   and the dataset version.
  */
-export async function fetchAllMarketData(tickers) {
+export async function fetchAllMarketData(tickers, {
+  covariance: covarianceOptions = null,
+  period = null,
+  histories = {},
+} = {}) {
   try {
-    const [summary, covariance] = await Promise.all([
-      readAssetSummary(),
-      readCovarianceMatrix(),
-    ]);
+    const dataset = loadDataset();
+    if (period) {
+      return { ...await fetchPeriodStatistics(tickers, period, covarianceOptions, histories), version: dataset.version };
+    }
+    const covariance = covarianceOptions ? await fetchCovariance(tickers, covarianceOptions) : dataset.covariance;
 
     const filteredSummary = {};
     tickers.forEach(ticker => {
-      if (summary[ticker]) {
-        filteredSummary[ticker] = summary[ticker];
+      const asset = dataset.assets.find(a => a.ticker === ticker);
+      if (asset) {
+        filteredSummary[ticker] = { mean: asset.mean, vol: asset.volatility };
       }
     });
 
     return {
       summary: filteredSummary,
       covariance,
+      period: {
+        start: dataset.start,
+        end: dataset.end,
+        observations: dataset.observations,
+        excludeRanges: [],
+        excludedObservations: 0,
+      },
+      version: dataset.version,
     };
   } catch (error) {
-    console.error('Failed to read or process asset CSVs:', error);
+    if (error instanceof CovarianceError || error instanceof DatasetError || error instanceof EstimationPeriodError) {
+      throw error;
+    }
+    console.error('Failed to read the asset dataset:', error);
     throw new Error('Could not load asset data.');
   }
 }
 
+/**
+ * Market data and daily price histories for a universe plus a session's
+ * uploaded assets (see customAssets.js), as the optimize and frontier routes use them.
+ * @param {string[]} universeTickers - The universe's tickers, without uploads
+ * @param {Object|null} session - From getSession
+ * @param {Object} [options] - `covariance` and `period`, as for fetchAllMarketData
+ * @returns {Promise<{ marketData: Object, histories: Object, tickers: string[], uploads: string[] }>} `tickers`
+ *   lists the universe's tickers, then the uploads'; `histories` are clipped to the period (see clipHistories)
+ */
+export async function fetchSessionMarketData(universeTickers, session, { covariance = null, period = null } = {}) {
+  const uploads = customHistories(session);
+  const tickers = [...universeTickers, ...Object.keys(uploads)];
+  let marketData = await withCustomAssets(
+    period
+      ? await fetchAllMarketData(tickers, { covariance, period, histories: uploads })
+      : await fetchAllMarketData(universeTickers, { covariance }),
+    session,
+    fetchPriceHistory,
+  );
+  const histories = { ...await fetchPriceHistory(universeTickers), ...uploads };
+  if (!period && covariance && tickers.length > universeTickers.length) {
+    // Estimated matrices are cached per universe; re-estimate with the uploads included
+    marketData = { ...marketData, covariance: covarianceFromHistories(histories, tickers, covariance) };
+  }
+  return { marketData, histories: clipHistories(histories, period), tickers, uploads: Object.keys(uploads) };
+}
 
+/**
+ * Statistics over an estimation period from the daily price files (see statisticsForPeriod).
+ */
+async function fetchPeriodStatistics(tickers, period, covarianceOptions, extraHistories) {
+  const compute = async () => statisticsForPeriod(
+    { ...await fetchPriceHistory([...tickers, MARKET_TICKER]), ...extraHistories },
+    tickers,
+    period,
+    covarianceOptions,
+  );
+  if (Object.keys(extraHistories).length > 0) return compute();
+
+  const key = JSON.stringify([tickers, period, covarianceOptions]);
+  if (!periodCache.has(key)) periodCache.set(key, compute());
+  try {
+    return await periodCache.get(key);
+  } catch (error) {
+    periodCache.delete(key);
+    throw error;
+  }
+}
+
+/**
+ * Reads one asset's daily closing prices, sorted by date.
+ * @param {string} filePath - Path to a Date,Open,High,Low,Close,... CSV
+ * @returns {Promise<{ date: string, close: number }[]>}
+ */
+function readPriceFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const rows = [];
+    fs.createReadStream(filePath)
+      .pipe(csv())
+      .on('data', (data) => {
+        const close = parseFloat(data.Close);
+        if (data.Date && Number.isFinite(close) && close > 0) {
+          rows.push({ date: data.Date, close });
+        }
+      })
+      .on('end', () => resolve(rows.sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0))))
+      .on('error', (error) => reject(error));
+  });
+}
+
+/**
+ * Lists the tickers that have a daily price file in assets/.
+ * @returns {string[]}
+ */
+export function listPriceTickers() {
+  return fs.readdirSync(ASSETS_DIR)
+    .filter(f => f.toLowerCase().endsWith('.csv'))
+    .map(tickerFromFileName);
+}
+
+/**
+ * Fetches daily closing price histories from the asset CSV files.
+ * Tickers without a price file are left out of the result.
+ * @param {string[]} tickers - The tickers to fetch histories for.
+ * @returns {Promise<Object<string, { date: string, close: number }[]>>}
+ */
+export async function fetchPriceHistory(tickers) {
+  const files = {};
+  for (const f of fs.readdirSync(ASSETS_DIR)) {
+    if (f.toLowerCase().endsWith('.csv')) files[tickerFromFileName(f)] = path.join(ASSETS_DIR, f);
+  }
+
+  const histories = {};
+  await Promise.all(tickers.filter(t => files[t]).map(async ticker => {
+    if (!priceCache.has(ticker)) priceCache.set(ticker, readPriceFile(files[ticker]));
+    try {
+      histories[ticker] = await priceCache.get(ticker);
+    } catch (error) {
+      priceCache.delete(ticker);
+      throw error;
+    }
+  }));
+  return histories;
+}
+
+/**
+ * Estimates a covariance matrix from the daily price files, cached by tickers and options.
+ * @param {string[]} tickers - The tickers to estimate it for.
+ * @param {{ estimator: string, lookback: number|null, halfLife: number|null }} options - From readCovarianceOptions
+ * @returns {Promise<{ tickers: string[], matrix: number[][], estimate: Object }>}
+ */
+export async function fetchCovariance(tickers, options) {
+  const key = JSON.stringify([tickers, options.estimator, options.lookback, options.halfLife]);
+  if (!covarianceCache.has(key)) {
+    covarianceCache.set(key, covarianceFromHistories(await fetchPriceHistory(tickers), tickers, options));
+  }
+  return covarianceCache.get(key);
+}
@@ -5,12 +5,23 @@
  *
  * We use a constrained mean-variance approach:
  * 1. Compute analytical unconstrained optimum: w* = (1/γ) * Σ⁻¹ * μ
- * 2. Project onto the simplex (weights ≥ 0, sum to 1)
- * 3. Refine with coordinate descent
+ * 2. Project onto the simplex (weights ≥ 0, sum to 1) as a warm start
+ * 3. Solve the box/budget-constrained QP with accelerated projected gradient
+ *    and report KKT residuals so optimality can be verified
  */
 
+import { utility } from '../../src/utils/crra.js';
+import { ASSET_CLASSES, getAssetClass, getAssetName } from './assets.js';
+import { ConstraintError, resolveConstraints, assertConstraintsSatisfied, computeTurnover } from './constraints.js';
+import { resampleWeights } from './resampling.js';
+
 const TRADING_DAYS = 252;
 
+/**
+ * Ticker used for the cash / T-bill leg when a risk-free rate is given.
+ */
+export const CASH_TICKER = 'CASH';
+
 /**
  * Compute daily log returns from closing prices.
  * @param {number[]} prices - Array of daily closing prices
@@ -160,6 +171,79 @@ export function computeExpectedUtility(mu, variance, gamma) {
   return mu - 0.5 * gamma * variance;
 }
 
+/**
+ * Expected CRRA utility of one unit of wealth invested at `weights`, averaged
+ * over equally likely gross-return scenarios (see scenarios.js).
+ * @param {number[]} weights - Risky asset weights
+ * @param {number[][]} scenarios - S × n gross returns
+ * @param {number} gamma - Risk aversion coefficient
+ * @param {number} [cashGrowth=0] - Terminal value of any cash position, added to every scenario
+ */
+export function computeScenarioUtility(weights, scenarios, gamma, cashGrowth = 0) {
+  let total = 0;
+  for (const gross of scenarios) {
+    let wealth = cashGrowth;
+    for (let i = 0; i < weights.length; i++) wealth += weights[i] * gross[i];
+    total += utility(wealth, gamma);
+  }
+  return total / scenarios.length;
+}
+
+/**
+ * Historical value at risk and conditional value at risk (expected shortfall) of
+ * the scenario losses L = 1 − w'R at confidence α. VaR is the α-quantile of L;
+ * CVaR = VaR + E[max(0, L − VaR)] / (1 − α), the mean of the worst (1 − α)
+ * share of scenarios with the boundary scenario split (Rockafellar & Uryasev).
+ * @param {number[]} weights - Risky asset weights
+ * @param {number[][]} scenarios - S × n gross returns
+ * @param {number} [alpha=0.95]
+ * @param {number} [cashGrowth=0] - Terminal value of any cash position
+ * @returns {{ var: number, cvar: number }}
+ */
+export function computeScenarioCVaR(weights, scenarios, alpha = 0.95, cashGrowth = 0) {
+  return computeTailLoss(scenarios.map(gross => 1 - gross.reduce((s, r, i) => s + weights[i] * r, cashGrowth)), alpha);
+}
+
+/**
+ * Expected shortfall below a zero return, E[max(0, 1 − w'R)]: the first lower
+ * partial moment of the scenario returns, the downside a loss-averse investor
+ * feels beyond what the same swing up would give back.
+ * @param {number[]} weights - Risky asset weights
+ * @param {number[][]} scenarios - S × n gross returns
+ * @param {number} [cashGrowth=0] - Terminal value of any cash position
+ * @returns {number} Mean loss per scenario horizon, 0 when no scenario loses
+ */
+export function computeExpectedLoss(weights, scenarios, cashGrowth = 0) {
+  const total = scenarios.reduce((s, gross) => s + Math.max(0, 1 - gross.reduce((v, r, i) => v + weights[i] * r, cashGrowth)), 0);
+  return total / scenarios.length;
+}
+
+/**
+ * VaR and CVaR at confidence α of a sample of equally likely losses, as defined
+ * for computeScenarioCVaR.
+ * @param {number[]} losses
+ * @param {number} alpha
+ * @returns {{ var: number, cvar: number }}
+ */
+export function computeTailLoss(losses, alpha) {
+  const sorted = [...losses].sort((a, b) => a - b);
+  const S = sorted.length;
+  const valueAtRisk = sorted[Math.min(S - 1, Math.ceil(alpha * S) - 1)];
+  const excess = sorted.reduce((s, l) => s + Math.max(0, l - valueAtRisk), 0);
+  return { var: valueAtRisk, cvar: valueAtRisk + excess / ((1 - alpha) * S) };
+}
+
+/**
+ * Certainty-equivalent return of a CRRA expected utility over one unit of wealth:
+ * the sure return r with U(1 + r) = EU, i.e. e^EU − 1 for γ = 1 and
+ * ((1−γ)·EU)^(1/(1−γ)) − 1 otherwise.
+ */
+export function certaintyEquivalentReturn(eu, gamma) {
+  if (eu === -Infinity) return -1;
+  if (Math.abs(gamma - 1) < 1e-6) return Math.exp(eu) - 1;
+  return Math.pow((1 - gamma) * eu, 1 / (1 - gamma)) - 1;
+}
+
 /**
  * Project a weight vector onto the simplex (weights ≥ 0, sum to 1).
  * Uses the algorithm from "Efficient Projections onto the L1-Ball" (Duchi et al., 2008).
@@ -182,181 +266,1503 @@ function projectOntoSimplex(weights) {
 }
 
 /**
- * Map gamma (risk aversion) to target portfolio volatility.
- * Higher gamma = more risk averse = lower target volatility
+ * Shift θ such that Σ clip(v_i − θ, lower_i, upper_i) = target.
+ * The sum is piecewise linear and non-increasing in θ with kinks at v_i − upper_i
+ * and v_i − lower_i, so we binary-search the sorted kinks and interpolate exactly.
+ * Requires Σlower ≤ target ≤ Σupper.
+ */
+function simplexShift(v, lower, upper, target = 1) {
+  const n = v.length;
+  const sumAt = theta => {
+    let sum = 0;
+    for (let i = 0; i < n; i++) sum += Math.min(upper[i], Math.max(lower[i], v[i] - theta));
+    return sum;
+  };
+
+  const kinks = [];
+  for (let i = 0; i < n; i++) kinks.push(v[i] - upper[i], v[i] - lower[i]);
+  kinks.sort((a, b) => a - b);
+
+  // sumAt(kinks[0]) = Σupper ≥ target and sumAt(kinks[2n − 1]) = Σlower ≤ target
+  let lo = 0;
+  let hi = kinks.length - 1;
+  while (hi - lo > 1) {
+    const mid = (lo + hi) >> 1;
+    if (sumAt(kinks[mid]) >= target) lo = mid;
+    else hi = mid;
+  }
+
+  const sumLo = sumAt(kinks[lo]);
+  const sumHi = sumAt(kinks[hi]);
+  return sumLo === sumHi
+    ? kinks[lo]
+    : kinks[lo] + ((sumLo - target) * (kinks[hi] - kinks[lo])) / (sumLo - sumHi);
+}
+
+/**
+ * Euclidean projection onto the bounded simplex { w : lower ≤ w ≤ upper, Σw = 1 }.
+ * Every coordinate is w_i = clip(v_i − θ, lower_i, upper_i) for a common shift θ.
+ * @param {number[]} v - Point to project
+ * @param {number[]} lower - Per-asset lower bounds
+ * @param {number[]} upper - Per-asset upper bounds
+ * @returns {number[]} Projected weights
  */
-function gammaToTargetVolatility(gamma) {
-  // gamma < 1.5: aggressive, target 18-22% vol
-  // gamma 1.5-2.5: growth, target 13-18% vol  
-  // gamma 2.5-3.5: balanced, target 9-13% vol
-  // gamma > 3.5: conservative, target 5-9% vol
-  if (gamma < 1.5) return 0.20;
-  if (gamma < 2.0) return 0.16;
-  if (gamma < 2.5) return 0.13;
-  if (gamma < 3.0) return 0.11;
-  if (gamma < 3.5) return 0.08;
-  return 0.06;
+function projectOntoBoundedSimplex(v, lower, upper) {
+  const theta = simplexShift(v, lower, upper);
+  return v.map((x, i) => Math.min(upper[i], Math.max(lower[i], x - theta)));
 }
 
 /**
- * Optimize portfolio to match target risk level with maximum diversification.
+ * Euclidean projection onto the bounded simplex intersected with disjoint group
+ * bounds min_g ≤ Σ_{i∈g} w_i ≤ max_g.
  *
- * Strategy: Target a specific volatility based on gamma, then maximize return
- * subject to diversity constraints.
+ * From the KKT conditions each group shares a shift θ_g = clamp(θ, a_g, b_g), where
+ * a_g / b_g are the shifts at which the group alone sums to max_g / min_g. The
+ * total weight is then monotone in the global θ, which we bisect and finish by
+ * linear interpolation (the total is piecewise linear).
+ */
+function projectOntoGroupedSimplex(v, lower, upper, groups) {
+  if (groups.length === 0) return projectOntoBoundedSimplex(v, lower, upper);
+
+  const n = v.length;
+  const groupOf = new Array(n).fill(-1);
+  const ranges = groups.map(({ members, min, max }, k) => {
+    members.forEach(i => { groupOf[i] = k; });
+    const vs = members.map(i => v[i]);
+    const ls = members.map(i => lower[i]);
+    const us = members.map(i => upper[i]);
+    const sumLower = ls.reduce((s, l) => s + l, 0);
+    const sumUpper = us.reduce((s, u) => s + u, 0);
+    return [
+      max < sumUpper ? simplexShift(vs, ls, us, max) : -Infinity,
+      min > sumLower ? simplexShift(vs, ls, us, min) : Infinity,
+    ];
+  });
+
+  const weightsAt = theta => v.map((x, i) => {
+    const k = groupOf[i];
+    const shift = k < 0 ? theta : Math.min(ranges[k][1], Math.max(ranges[k][0], theta));
+    return Math.min(upper[i], Math.max(lower[i], x - shift));
+  });
+  const totalAt = theta => weightsAt(theta).reduce((s, w) => s + w, 0);
+
+  const finite = ranges.flat().filter(Number.isFinite);
+  let lo = Math.min(...v.map((x, i) => x - upper[i]), ...finite) - 1;
+  let hi = Math.max(...v.map((x, i) => x - lower[i]), ...finite) + 1;
+  for (let iter = 0; iter < 200 && hi - lo > 1e-15 * Math.max(1, Math.abs(lo)); iter++) {
+    const mid = (lo + hi) / 2;
+    if (totalAt(mid) >= 1) lo = mid;
+    else hi = mid;
+  }
+
+  const totalLo = totalAt(lo);
+  const totalHi = totalAt(hi);
+  const theta = totalLo === totalHi ? lo : lo + ((totalLo - 1) * (hi - lo)) / (totalLo - totalHi);
+  return weightsAt(theta);
+}
+
+/**
+ * Projection onto the L1 ball { w : Σ|w_i − c_i| ≤ radius } by soft-thresholding
+ * the deviations from the centre (Duchi et al., 2008).
+ */
+function projectOntoL1Ball(v, center, radius) {
+  const d = v.map((x, i) => x - center[i]);
+  const abs = d.map(Math.abs);
+  if (abs.reduce((s, x) => s + x, 0) <= radius) return [...v];
+
+  const sorted = [...abs].sort((a, b) => b - a);
+  let cumSum = 0;
+  let theta = 0;
+  for (let j = 0; j < sorted.length; j++) {
+    cumSum += sorted[j];
+    const candidate = (cumSum - radius) / (j + 1);
+    if (sorted[j] - candidate > 0) theta = candidate;
+  }
+  return d.map((x, i) => center[i] + Math.sign(x) * Math.max(0, abs[i] - theta));
+}
+
+/**
+ * Projection onto the full feasible set: bounded simplex and group bounds, optionally
+ * intersected with a turnover ball around the current portfolio. Without a turnover
+ * constraint the projection is exact in one pass; with one, Dykstra's alternating
+ * projections converge to the exact projection onto the intersection. The grouped
+ * simplex is projected last, so budget, box and group constraints always hold
+ * exactly on the returned point.
+ */
+function projectOntoFeasibleSet(v, { lower, upper, groups = [], turnover = null }) {
+  if (!turnover) return projectOntoGroupedSimplex(v, lower, upper, groups);
+
+  const projections = [
+    x => projectOntoL1Ball(x, turnover.current, turnover.radius),
+    x => projectOntoGroupedSimplex(x, lower, upper, groups),
+  ];
+
+  let x = [...v];
+  const corrections = projections.map(() => new Array(v.length).fill(0));
+  for (let iter = 0; iter < 2000; iter++) {
+    let maxChange = 0;
+    projections.forEach((project, k) => {
+      const y = x.map((xi, i) => xi + corrections[k][i]);
+      const p = project(y);
+      for (let i = 0; i < p.length; i++) {
+        corrections[k][i] = y[i] - p[i];
+        maxChange = Math.max(maxChange, Math.abs(p[i] - x[i]));
+      }
+      x = p;
+    });
+    if (maxChange < 1e-13) break;
+  }
+  return x;
+}
+
+/**
+ * Largest violation of any constraint in the feasible set (0 when feasible).
+ */
+function constraintViolation(weights, { lower, upper, groups = [], turnover = null }) {
+  let violation = Math.abs(weights.reduce((s, w) => s + w, 0) - 1);
+  for (let i = 0; i < weights.length; i++) {
+    violation = Math.max(violation, lower[i] - weights[i], weights[i] - upper[i]);
+  }
+  for (const { members, min, max } of groups) {
+    const total = members.reduce((s, i) => s + weights[i], 0);
+    violation = Math.max(violation, min - total, total - max);
+  }
+  if (turnover) {
+    const distance = weights.reduce((s, w, i) => s + Math.abs(w - turnover.current[i]), 0);
+    violation = Math.max(violation, distance - turnover.radius);
+  }
+  return Math.max(0, violation);
+}
+
+/**
+ * Largest eigenvalue of a symmetric PSD matrix via power iteration.
+ * Used as the Lipschitz constant of the quadratic term's gradient.
+ */
+function largestEigenvalue(matrix, iterations = 200) {
+  const n = matrix.length;
+  let v = new Array(n).fill(1 / Math.sqrt(n));
+  let lambda = 0;
+
+  for (let iter = 0; iter < iterations; iter++) {
+    const mv = matVec(matrix, v);
+    const norm = Math.sqrt(mv.reduce((s, x) => s + x * x, 0));
+    if (norm < 1e-300) return 0;
+    v = mv.map(x => x / norm);
+    if (Math.abs(norm - lambda) < 1e-12 * norm) return norm;
+    lambda = norm;
+  }
+
+  return lambda;
+}
+
+function matVec(matrix, v) {
+  return matrix.map(row => row.reduce((s, m, j) => s + m * v[j], 0));
+}
+
+/**
+ * Gradient of EU(w) = μ'w − 0.5γ w'Σw, i.e. μ − γΣw.
+ */
+function utilityGradient(weights, means, covMatrix, gamma) {
+  const sigmaW = matVec(covMatrix, weights);
+  return means.map((m, i) => m - gamma * sigmaW[i]);
+}
+
+/**
+ * Karush-Kuhn-Tucker residuals for max μ'w − 0.5γ w'Σw s.t. Σw = 1, lower ≤ w ≤ upper.
  *
- * @param {number[]} means - Annualized mean returns for each asset
- * @param {number[][]} covMatrix - NxN annualized covariance matrix
+ * At the optimum there is a budget multiplier ν with
+ *   g_i = ν  for free assets,  g_i ≤ ν  at the lower bound,  g_i ≥ ν  at the upper bound,
+ * where g is the utility gradient. We estimate ν from the free assets (or, if all
+ * assets sit on a bound, from the midpoint of the admissible interval) and report
+ * the largest violation of each condition.
+ *
+ * @returns {{ stationarity: number, primalFeasibility: number, budgetMultiplier: number }}
+ */
+export function computeKKTResiduals(weights, means, covMatrix, gamma, lower, upper, tol = 1e-8) {
+  const n = weights.length;
+  const g = utilityGradient(weights, means, covMatrix, gamma);
+
+  const atLower = i => weights[i] - lower[i] <= tol;
+  const atUpper = i => upper[i] - weights[i] <= tol;
+
+  const free = [];
+  let maxAtLower = -Infinity;
+  let minAtUpper = Infinity;
+  for (let i = 0; i < n; i++) {
+    if (atLower(i) && atUpper(i)) continue; // fixed asset (lower = upper) carries no condition
+    if (atLower(i)) maxAtLower = Math.max(maxAtLower, g[i]);
+    else if (atUpper(i)) minAtUpper = Math.min(minAtUpper, g[i]);
+    else free.push(i);
+  }
+
+  let nu;
+  if (free.length > 0) {
+    nu = free.reduce((s, i) => s + g[i], 0) / free.length;
+  } else if (Number.isFinite(maxAtLower) && Number.isFinite(minAtUpper)) {
+    nu = (maxAtLower + minAtUpper) / 2;
+  } else {
+    nu = Number.isFinite(maxAtLower) ? maxAtLower : (Number.isFinite(minAtUpper) ? minAtUpper : 0);
+  }
+
+  let stationarity = 0;
+  let primalFeasibility = Math.abs(weights.reduce((s, w) => s + w, 0) - 1);
+  for (let i = 0; i < n; i++) {
+    primalFeasibility = Math.max(primalFeasibility, lower[i] - weights[i], weights[i] - upper[i]);
+    if (atLower(i) && atUpper(i)) continue;
+    if (atLower(i)) stationarity = Math.max(stationarity, g[i] - nu);
+    else if (atUpper(i)) stationarity = Math.max(stationarity, nu - g[i]);
+    else stationarity = Math.max(stationarity, Math.abs(g[i] - nu));
+  }
+
+  return { stationarity, primalFeasibility: Math.max(0, primalFeasibility), budgetMultiplier: nu };
+}
+
+/**
+ * Solve the linear system A x = b by Gaussian elimination with partial pivoting.
+ * @returns {number[]|null} Solution, or null if A is numerically singular
+ */
+function solveLinearSystem(A, b) {
+  const n = A.length;
+  const aug = A.map((row, i) => [...row, b[i]]);
+
+  for (let col = 0; col < n; col++) {
+    let maxRow = col;
+    for (let row = col + 1; row < n; row++) {
+      if (Math.abs(aug[row][col]) > Math.abs(aug[maxRow][col])) maxRow = row;
+    }
+    [aug[col], aug[maxRow]] = [aug[maxRow], aug[col]];
+    if (Math.abs(aug[col][col]) < 1e-14) return null;
+
+    for (let row = col + 1; row < n; row++) {
+      const factor = aug[row][col] / aug[col][col];
+      for (let j = col; j <= n; j++) aug[row][j] -= factor * aug[col][j];
+    }
+  }
+
+  const x = new Array(n).fill(0);
+  for (let i = n - 1; i >= 0; i--) {
+    let sum = aug[i][n];
+    for (let j = i + 1; j < n; j++) sum -= aug[i][j] * x[j];
+    x[i] = sum / aug[i][i];
+  }
+  return x;
+}
+
+/**
+ * Active-set polish: hold every asset that sits on a bound fixed and solve the
+ * remaining equality-constrained QP exactly from its KKT system
+ *
+ *   γ Σ_FF w_F − ν 1 = μ_F − γ Σ_FB w_B,   1'w_F = 1 − 1'w_B
+ *
+ * (F = free assets, B = assets on a bound). Returns null if the guessed active
+ * set does not yield a point inside the bounds.
+ */
+function polishActiveSet(weights, means, covMatrix, gamma, lower, upper, tol = 1e-7) {
+  const n = weights.length;
+  const free = [];
+  const result = [...weights];
+  for (let i = 0; i < n; i++) {
+    if (weights[i] - lower[i] <= tol) result[i] = lower[i];
+    else if (upper[i] - weights[i] <= tol) result[i] = upper[i];
+    else free.push(i);
+  }
+  if (free.length === 0) return result;
+
+  const isFree = new Set(free);
+  const m = free.length;
+  const A = Array.from({ length: m + 1 }, () => new Array(m + 1).fill(0));
+  const b = new Array(m + 1).fill(0);
+  let budget = 1;
+  for (let i = 0; i < n; i++) if (!isFree.has(i)) budget -= result[i];
+
+  free.forEach((i, r) => {
+    free.forEach((j, c) => { A[r][c] = gamma * covMatrix[i][j]; });
+    A[r][m] = -1;
+    A[m][r] = 1;
+    let rhs = means[i];
+    for (let j = 0; j < n; j++) if (!isFree.has(j)) rhs -= gamma * covMatrix[i][j] * result[j];
+    b[r] = rhs;
+  });
+  b[m] = budget;
+
+  const x = solveLinearSystem(A, b);
+  if (!x) return null;
+  for (let r = 0; r < m; r++) {
+    const i = free[r];
+    if (x[r] < lower[i] - 1e-12 || x[r] > upper[i] + 1e-12) return null;
+    result[i] = Math.min(upper[i], Math.max(lower[i], x[r]));
+  }
+  return result;
+}
+
+/**
+ * Solve the constrained mean-variance QP
+ *
+ *   maximize  μ'w − 0.5γ w'Σw   s.t.  Σw = 1,  lower ≤ w ≤ upper
+ *                                    [, group bounds][, Σ|w − current| ≤ radius]
+ *
+ * with accelerated projected gradient (FISTA with adaptive restart). The step
+ * size is 1/L with L = γ·λ_max(Σ), so the iteration is fully deterministic:
+ * the same inputs always produce the same weights. With only box and budget
+ * constraints, the active set the iterates identify is polished to the exact
+ * optimum via its KKT system and KKT residuals are reported. With group or
+ * turnover constraints the reported stationarity is the norm of the projected
+ * gradient mapping L·(P(w + ∇/L) − w), which is zero exactly at the optimum.
+ *
+ * @param {number[]} means - Annualized mean returns
+ * @param {number[][]} covMatrix - Annualized covariance matrix
  * @param {number} gamma - Risk aversion coefficient
- * @returns {{ weights: number[], mu: number, variance: number, vol: number, eu: number }}
+ * @param {Object} options
+ * @param {number[]} options.lower - Per-asset lower bounds
+ * @param {number[]} options.upper - Per-asset upper bounds
+ * @param {Array<{ members: number[], min: number, max: number }>} [options.groups] - Disjoint group bounds
+ * @param {{ current: number[], radius: number }} [options.turnover] - L1 ball around the current weights
+ * @param {number[]} [options.initial] - Starting point (projected before use)
+ * @param {number} [options.tol=1e-10] - Stop when the largest weight change falls below this
+ * @param {number} [options.maxIter=20000]
+ * @returns {{ weights: number[], converged: boolean, iterations: number, kkt: Object }}
  */
-export function optimizePortfolio(means, covMatrix, gamma) {
+export function solveMeanVarianceQP(means, covMatrix, gamma, {
+  lower, upper, groups = [], turnover = null, initial, tol = 1e-10, maxIter = 20000,
+}) {
   const n = means.length;
-  const targetVol = gammaToTargetVolatility(gamma);
-  
-  // Start with equal weights
-  let weights = new Array(n).fill(1 / n);
-  
-  // Diversity and concentration constraints
-  const minWeight = 0.04;  // Minimum 4% per position
-  const maxWeight = 0.30;  // Maximum 30% in any single asset (reduced to force diversification)
-  const minHoldings = Math.min(10, Math.floor(1 / minWeight)); // At least 10 holdings
-  
-  // Helper function to enforce weight constraints
-  function enforceConstraints(w) {
-    // Cap at max weight
-    for (let i = 0; i < n; i++) {
-      if (w[i] > maxWeight) {
-        const excess = w[i] - maxWeight;
-        w[i] = maxWeight;
-        
-        // Distribute excess proportionally to assets under the cap
-        const underCap = w.map((wgt, idx) => idx).filter(idx => w[idx] < maxWeight);
-        if (underCap.length > 0) {
-          const totalUnder = underCap.reduce((sum, idx) => sum + w[idx], 0);
-          underCap.forEach(idx => {
-            const share = w[idx] / totalUnder;
-            w[idx] += excess * share;
-          });
+  const sumLower = lower.reduce((s, l) => s + l, 0);
+  const sumUpper = upper.reduce((s, u) => s + u, 0);
+  if (sumLower > 1 + 1e-12 || sumUpper < 1 - 1e-12) {
+    throw new Error(`Infeasible bounds: lower bounds sum to ${sumLower.toFixed(4)}, upper bounds sum to ${sumUpper.toFixed(4)}`);
+  }
+
+  const feasibleSet = { lower, upper, groups, turnover };
+  const boxOnly = groups.length === 0 && !turnover;
+  const project = v => projectOntoFeasibleSet(v, feasibleSet);
+
+  const L = gamma * largestEigenvalue(covMatrix);
+  const step = L > 0 ? 1 / L : 1;
+
+  let w = project(initial || new Array(n).fill(1 / n));
+  let y = [...w];
+  let t = 1;
+  let converged = false;
+  let iterations = 0;
+
+  for (let iter = 1; iter <= maxIter; iter++) {
+    iterations = iter;
+    const g = utilityGradient(y, means, covMatrix, gamma);
+    const next = project(y.map((yi, i) => yi + step * g[i]));
+
+    let maxChange = 0;
+    for (let i = 0; i < n; i++) maxChange = Math.max(maxChange, Math.abs(next[i] - w[i]));
+
+    // Restart momentum whenever it points away from the ascent direction
+    let restart = 0;
+    for (let i = 0; i < n; i++) restart += g[i] * (next[i] - w[i]);
+    const tNext = restart < 0 ? 1 : (1 + Math.sqrt(1 + 4 * t * t)) / 2;
+    const momentum = restart < 0 ? 0 : (t - 1) / tNext;
+
+    y = next.map((x, i) => x + momentum * (x - w[i]));
+    w = next;
+    t = tNext;
+
+    if (maxChange < tol) {
+      converged = true;
+      break;
+    }
+
+    // Once the iterates settle, try to jump straight to the exact optimum of the
+    // identified active set; accept it only if it passes the KKT check.
+    if (boxOnly && maxChange < 1e-3 && iter % 5 === 0) {
+      const polished = polishActiveSet(w, means, covMatrix, gamma, lower, upper);
+      if (polished) {
+        const kkt = computeKKTResiduals(polished, means, covMatrix, gamma, lower, upper);
+        if (kkt.stationarity < tol && kkt.primalFeasibility < 1e-12) {
+          return { weights: polished, converged: true, iterations, kkt };
         }
       }
     }
-    
-    // Normalize to sum to 1
-    const sum = w.reduce((s, wgt) => s + wgt, 0);
-    return w.map(wgt => wgt / sum);
   }
-  
-  // Apply initial constraints
-  weights = enforceConstraints(weights);
-  
-  // Iterative optimization: maximize return while staying near target volatility
-  const step = 0.01;
-  const volTolerance = 0.02; // Allow ±2% deviation from target vol
-  
+
+  // y may have stepped outside the bounds via momentum; w is always feasible
+  if (boxOnly) {
+    return { weights: w, converged, iterations, kkt: computeKKTResiduals(w, means, covMatrix, gamma, lower, upper) };
+  }
+
+  const g = utilityGradient(w, means, covMatrix, gamma);
+  const mapped = project(w.map((wi, i) => wi + step * g[i]));
+  const stationarity = mapped.reduce((m, x, i) => Math.max(m, Math.abs(x - w[i])), 0) / step;
+  const kkt = { stationarity, primalFeasibility: constraintViolation(w, feasibleSet) };
+  return { weights: w, converged, iterations, kkt };
+}
+
+/**
+ * Default the constraint options shared by the optimizers: per-asset bounds
+ * (0 ≤ w ≤ maxWeight unless given), groups, turnover and the holding rules.
+ */
+function resolveHoldingBounds(n, options) {
+  const minWeight = options.minWeight ?? 0.04;
+  const maxWeight = Math.max(options.maxWeight ?? 0.30, 1 / n);
+  const lower = options.lower ?? new Array(n).fill(0);
+  const upper = options.upper ?? new Array(n).fill(maxWeight);
+  const eligible = upper.filter(u => u > 0).length;
+  const maxHoldings = Math.min(options.maxHoldings ?? n, eligible);
+  const minHoldings = Math.min(options.minHoldings ?? 10, maxHoldings, Math.floor(1 / minWeight));
+  return {
+    bounds: { lower, upper, groups: options.groups ?? [], turnover: options.turnover ?? null },
+    rules: { minWeight, minHoldings, maxHoldings },
+  };
+}
+
+/**
+ * Apply the minimum-weight and holding-count rules to a relaxed solution.
+ *
+ * If the relaxed optimum holds too few positions, leaves dust below minWeight
+ * or holds too many, pick a support — required assets, then held ones by
+ * weight, then the rest by utility gradient — and re-solve on it with a
+ * minWeight floor, falling back to the original lower bounds. Shared by every
+ * solver that optimizes an objective over the feasible set.
+ *
+ * @param {{ weights: number[] }} relaxed - Optimum over the full feasible set
+ * @param {() => number[]} gradient - Objective gradient at the relaxed optimum (evaluated lazily)
+ * @param {(bounds: Object, initial: number[]) => Object} solve - Re-solves on tighter bounds
+ * @param {{ lower: number[], upper: number[], groups: Object[], turnover: Object|null }} bounds
+ * @param {{ minWeight: number, minHoldings: number, maxHoldings: number }} rules
+ */
+function enforceHoldingRules(relaxed, gradient, solve, bounds, { minWeight, minHoldings, maxHoldings }) {
+  const { lower, upper, groups, turnover } = bounds;
+  const isHeld = w => w >= minWeight - 1e-9;
+  const held = relaxed.weights.filter(isHeld).length;
+  const positions = relaxed.weights.filter(w => w > 1e-9).length;
+  const hasDust = relaxed.weights.some(w => w > 1e-9 && !isHeld(w));
+  if (held >= minHoldings && !hasDust && positions <= maxHoldings) return relaxed;
+
+  const grad = gradient();
+  const rank = i => (lower[i] > 0 ? 0 : isHeld(relaxed.weights[i]) ? 1 : 2);
+  const ranked = relaxed.weights.map((_, i) => i)
+    .filter(i => upper[i] > 0)
+    .sort((a, b) => {
+      if (rank(a) !== rank(b)) return rank(a) - rank(b);
+      if (rank(a) < 2) return relaxed.weights[b] - relaxed.weights[a] || a - b;
+      return grad[b] - grad[a] || a - b;
+    });
+  // Fill the support in rank order, skipping assets whose group could not
+  // take another minWeight-sized position without breaching its maximum
+  const target = Math.min(Math.max(held, minHoldings), maxHoldings);
+  const groupOf = new Map(groups.flatMap((g, k) => g.members.map(i => [i, k])));
+  const groupCount = groups.map(() => 0);
+  const support = new Set();
+  for (const i of ranked) {
+    if (support.size >= target) break;
+    const k = groupOf.get(i);
+    if (rank(i) > 0 && k !== undefined && (groupCount[k] + 1) * minWeight > groups[k].max + 1e-12) continue;
+    support.add(i);
+    if (k !== undefined) groupCount[k]++;
+  }
+
+  const supportUpper = upper.map((u, i) => (support.has(i) ? u : 0));
+  const attempts = [
+    lower.map((l, i) => (support.has(i) ? Math.min(upper[i], Math.max(l, minWeight)) : 0)),
+    lower,
+  ];
+  for (const supportLower of attempts) {
+    try {
+      const candidate = solve({ lower: supportLower, upper: supportUpper, groups, turnover }, relaxed.weights);
+      if (constraintViolation(candidate.weights, bounds) < 1e-6) return candidate;
+    } catch {
+      // Support bounds infeasible for this attempt; fall through to the next one
+    }
+  }
+  return relaxed;
+}
+
+/**
+ * Maximize expected utility EU = μ − 0.5γσ² under budget, bound, group, turnover
+ * and holding-count constraints.
+ *
+ * 1. Warm start from the unconstrained optimum w* = (1/γ) Σ⁻¹ μ projected onto the simplex.
+ * 2. Solve the convex QP: lower ≤ w ≤ upper (default 0 ≤ w ≤ maxWeight) plus any
+ *    group and turnover constraints.
+ * 3. If that leaves dust (positions below minWeight), too few holdings, or more than
+ *    maxHoldings, fix the support to the best assets (required ones first, then by
+ *    weight, then by marginal utility) and re-solve with minWeight as the floor on
+ *    the support and w = 0 elsewhere. If the other constraints make that support
+ *    infeasible, the minWeight floor is dropped, and failing that the step-2
+ *    solution is kept.
+ *
+ * The returned weights are the exact QP optimum for the final support, so the KKT
+ * residuals reported in `solver` certify optimality of the recommendation.
+ *
+ * @param {number[]} means - Annualized mean returns for each asset
+ * @param {number[][]} covMatrix - NxN annualized covariance matrix
+ * @param {number} gamma - Risk aversion coefficient
+ * @param {Object} [options] - Typically the output of resolveConstraints
+ * @param {number} [options.minWeight=0.04] - Minimum weight of any position that is held
+ * @param {number} [options.maxWeight=0.30] - Maximum weight in any single asset
+ * @param {number} [options.minHoldings=10] - Minimum number of positions
+ * @param {number|null} [options.maxHoldings=null] - Maximum number of positions
+ * @param {number[]} [options.lower] - Per-asset lower bounds (default 0)
+ * @param {number[]} [options.upper] - Per-asset upper bounds (default maxWeight)
+ * @param {Array} [options.groups] - Disjoint group bounds, e.g. asset classes
+ * @param {Object} [options.turnover] - { current, radius } turnover ball
+ * @returns {{ weights: number[], mu: number, variance: number, vol: number, eu: number, solver: Object }}
+ */
+export function optimizePortfolio(means, covMatrix, gamma, options = {}) {
+  const { bounds, rules } = resolveHoldingBounds(means.length, options);
+
+  const unconstrained = matVec(invertMatrix(covMatrix.map(row => [...row])), means).map(x => x / gamma);
+  const initial = projectOntoSimplex(unconstrained);
+
+  const solve = (set, start) => solveMeanVarianceQP(means, covMatrix, gamma, { ...set, initial: start });
+  const relaxed = solve(bounds, initial);
+  const gradient = () => utilityGradient(relaxed.weights, means, covMatrix, gamma);
+  const solution = enforceHoldingRules(relaxed, gradient, solve, bounds, rules);
+
+  const { weights } = solution;
+  const stats = computePortfolioStats(weights, means, covMatrix);
+  const eu = computeExpectedUtility(stats.mu, stats.variance, gamma);
+
+  return {
+    weights,
+    mu: stats.mu,
+    variance: stats.variance,
+    vol: stats.vol,
+    eu,
+    solver: {
+      method: 'projected-gradient',
+      converged: solution.converged,
+      iterations: solution.iterations,
+      kkt: solution.kkt,
+      holdings: weights.filter(w => w > 1e-9).length,
+    },
+  };
+}
+
+/**
+ * Gradient of the scenario CRRA utility: the mean over scenarios of (w'R_s)^(−γ) R_s.
+ */
+function crraGradient(weights, scenarios, gamma) {
+  const grad = new Array(weights.length).fill(0);
+  for (const gross of scenarios) {
+    const wealth = weights.reduce((s, w, i) => s + w * gross[i], 0);
+    const marginal = Math.pow(wealth, -gamma);
+    for (let i = 0; i < grad.length; i++) grad[i] += marginal * gross[i];
+  }
+  return grad.map(g => g / scenarios.length);
+}
+
+/**
+ * Maximize a smooth concave objective over the feasible set of solveMeanVarianceQP.
+ *
+ * Accelerated projected gradient ascent as in solveMeanVarianceQP, but without
+ * a known Lipschitz constant: the step is halved until it satisfies the
+ * sufficient-increase condition at the extrapolated point, and momentum is
+ * restarted whenever the objective falls.
+ *
+ * @param {(w: number[]) => number} objective
+ * @param {(w: number[]) => number[]} gradient
+ * @param {Object} options - lower, upper, groups, turnover, initial, tol, maxIter
+ * @returns {{ weights: number[], converged: boolean, iterations: number, kkt: Object }}
+ */
+function ascendOnFeasibleSet(objective, gradient, {
+  lower, upper, groups = [], turnover = null, initial, tol = 1e-9, maxIter = 5000,
+}) {
+  const n = lower.length;
+  const sumLower = lower.reduce((s, l) => s + l, 0);
+  const sumUpper = upper.reduce((s, u) => s + u, 0);
+  if (sumLower > 1 + 1e-12 || sumUpper < 1 - 1e-12) {
+    throw new Error(`Infeasible bounds: lower bounds sum to ${sumLower.toFixed(4)}, upper bounds sum to ${sumUpper.toFixed(4)}`);
+  }
+
+  const feasibleSet = { lower, upper, groups, turnover };
+  const project = v => projectOntoFeasibleSet(v, feasibleSet);
+
+  let w = project(initial || new Array(n).fill(1 / n));
+  let f = objective(w);
+  let y = w;
+  let t = 1;
+  let step = 1;
+  let converged = false;
+  let iterations = 0;
+
+  for (let iter = 1; iter <= maxIter; iter++) {
+    iterations = iter;
+    const g = gradient(y);
+    const fy = objective(y);
+    let next;
+    let fNext;
+    for (;;) {
+      next = project(y.map((yi, i) => yi + step * g[i]));
+      fNext = objective(next);
+      let linear = 0;
+      let squared = 0;
+      for (let i = 0; i < n; i++) {
+        const d = next[i] - y[i];
+        linear += g[i] * d;
+        squared += d * d;
+      }
+      if (fNext >= fy + linear - squared / (2 * step) || step < 1e-12) break;
+      step /= 2;
+    }
+
+    let maxChange = 0;
+    for (let i = 0; i < n; i++) maxChange = Math.max(maxChange, Math.abs(next[i] - w[i]));
+
+    const restart = fNext < f;
+    const tNext = restart ? 1 : (1 + Math.sqrt(1 + 4 * t * t)) / 2;
+    const momentum = restart ? 0 : (t - 1) / tNext;
+    y = momentum > 0 ? next.map((x, i) => x + momentum * (x - w[i])) : next;
+    w = next;
+    f = fNext;
+    t = tNext;
+
+    if (maxChange < tol) {
+      converged = true;
+      break;
+    }
+  }
+
+  const g = gradient(w);
+  const mapped = project(w.map((wi, i) => wi + step * g[i]));
+  const stationarity = mapped.reduce((m, x, i) => Math.max(m, Math.abs(x - w[i])), 0) / step;
+  return { weights: w, converged, iterations, kkt: { stationarity, primalFeasibility: constraintViolation(w, feasibleSet) } };
+}
+
+/**
+ * Maximize mean CRRA utility over return scenarios subject to the same feasible
+ * set as solveMeanVarianceQP.
+ *
+ * @param {number[][]} scenarios - S × n gross returns
+ * @param {number} gamma - Risk aversion coefficient
+ * @param {Object} options - lower, upper, groups, turnover, initial, tol, maxIter as for solveMeanVarianceQP
+ * @returns {{ weights: number[], converged: boolean, iterations: number, kkt: Object }}
+ */
+export function solveCrraProblem(scenarios, gamma, options) {
+  return ascendOnFeasibleSet(
+    w => computeScenarioUtility(w, scenarios, gamma),
+    w => crraGradient(w, scenarios, gamma),
+    options,
+  );
+}
+
+/**
+ * Maximize expected CRRA utility E[U(w'R)] over return scenarios, under the same
+ * constraints and holding rules as optimizePortfolio. Unlike the mean-variance
+ * objective this uses the whole return distribution, so skew and fat tails in
+ * the scenarios affect the allocation.
+ *
+ * @param {number[][]} scenarios - S × n gross returns (see scenarios.js)
+ * @param {number} gamma - Risk aversion coefficient
+ * @param {Object} [options] - Constraint options as for optimizePortfolio, plus `initial`
+ * @returns {{ weights: number[], eu: number, certaintyEquivalent: number, solver: Object }}
+ */
+export function optimizeCrraPortfolio(scenarios, gamma, options = {}) {
+  const { bounds, rules } = resolveHoldingBounds(scenarios[0].length, options);
+
+  const solve = (set, start) => solveCrraProblem(scenarios, gamma, { ...set, initial: start });
+  const relaxed = solve(bounds, options.initial);
+  const gradient = () => crraGradient(relaxed.weights, scenarios, gamma);
+  const solution = enforceHoldingRules(relaxed, gradient, solve, bounds, rules);
+
+  const { weights } = solution;
+  const eu = computeScenarioUtility(weights, scenarios, gamma);
+
+  return {
+    weights,
+    eu,
+    certaintyEquivalent: certaintyEquivalentReturn(eu, gamma),
+    solver: {
+      method: 'crra-projected-gradient',
+      converged: solution.converged,
+      iterations: solution.iterations,
+      kkt: solution.kkt,
+      holdings: weights.filter(w => w > 1e-9).length,
+      scenarios: scenarios.length,
+    },
+  };
+}
+
+/**
+ * Smoothed CVaR: the Rockafellar–Uryasev function with max(0, x) replaced by
+ * μ·ln(1 + e^(x/μ)), minimized over the threshold ζ. It is convex and smooth
+ * in w and tends to the exact CVaR as μ → 0. The optimal ζ solves
+ * Σ σ((L_s − ζ)/μ) = (1 − α)S, found by safeguarded Newton steps from the
+ * historical VaR; by the envelope theorem the gradient is then
+ * −Σ σ_s R_s / ((1 − α)S).
+ * @returns {{ value: number, gradient: number[] }}
+ */
+function smoothCvar(weights, scenarios, alpha, mu) {
+  const S = scenarios.length;
+  const tailMass = (1 - alpha) * S;
+  const losses = scenarios.map(gross => 1 - gross.reduce((s, r, i) => s + weights[i] * r, 0));
+  const sigmoid = x => (x >= 0 ? 1 / (1 + Math.exp(-x)) : Math.exp(x) / (1 + Math.exp(x)));
+  const softplus = x => (x > 0 ? x + Math.log1p(Math.exp(-x)) : Math.log1p(Math.exp(x)));
+
+  // The tail mass falls as ζ rises; keep a bracket [lo, hi] around the root
+  const sorted = [...losses].sort((a, b) => a - b);
+  let lo = sorted[0] - 50 * mu;
+  let hi = sorted[S - 1] + 50 * mu;
+  let zeta = sorted[Math.min(S - 1, Math.ceil(alpha * S) - 1)];
   for (let iter = 0; iter < 100; iter++) {
+    let excess = -tailMass;
+    let slope = 0;
+    for (const l of losses) {
+      const p = sigmoid((l - zeta) / mu);
+      excess += p;
+      slope += p * (1 - p) / mu;
+    }
+    if (Math.abs(excess) < 1e-9 * S) break;
+    if (excess > 0) lo = zeta;
+    else hi = zeta;
+    const newton = slope > 0 ? zeta + excess / slope : NaN;
+    zeta = newton > lo && newton < hi ? newton : (lo + hi) / 2;
+  }
+
+  let value = 0;
+  const gradient = new Array(weights.length).fill(0);
+  scenarios.forEach((gross, s) => {
+    const x = (losses[s] - zeta) / mu;
+    value += mu * softplus(x);
+    const share = sigmoid(x);
+    for (let i = 0; i < gradient.length; i++) gradient[i] -= share * gross[i];
+  });
+  return { value: zeta + value / tailMass, gradient: gradient.map(g => g / tailMass) };
+}
+
+// Smoothing schedule for the CVaR solver, each stage warm-started from the last.
+// A solve that already starts from a good point only needs the final stage.
+const CVAR_SMOOTHING = [1e-2, 1e-3, 1e-4];
+
+/**
+ * Maximize d'w − λ·CVaR_α(w) over the feasible set (d = 0, λ = 1 minimizes
+ * CVaR), solving a sequence of smoothed problems with shrinking μ.
+ */
+function solveCvarProblem(scenarios, { alpha, direction, lambda, initial, ...bounds }) {
+  let solution = { weights: initial };
+  let iterations = 0;
+  for (const mu of initial ? CVAR_SMOOTHING.slice(-1) : CVAR_SMOOTHING) {
+    // The solver asks for the gradient at the point it last evaluated; reuse that evaluation
+    let last = null;
+    const evaluate = w => {
+      if (last?.weights !== w) last = { weights: w, ...smoothCvar(w, scenarios, alpha, mu) };
+      return last;
+    };
+    solution = ascendOnFeasibleSet(
+      w => direction.reduce((s, d, i) => s + d * w[i], 0) - lambda * evaluate(w).value,
+      w => evaluate(w).gradient.map((g, i) => direction[i] - lambda * g),
+      { ...bounds, initial: solution.weights, tol: 1e-8, maxIter: 2000 },
+    );
+    iterations += solution.iterations;
+  }
+  return { ...solution, iterations };
+}
+
+/**
+ * Minimize conditional value at risk over return scenarios, or — when a
+ * return direction and λ are given — maximize d'w − λ·CVaR_α(w), under the same
+ * constraints and holding rules as optimizePortfolio.
+ *
+ * @param {number[][]} scenarios - S × n gross returns (see scenarios.js)
+ * @param {Object} [options] - Constraint options as for optimizePortfolio, plus:
+ * @param {number} [options.alpha=0.95] - CVaR confidence level
+ * @param {number[]} [options.direction] - Return direction d (default 0)
+ * @param {number} [options.lambda=1] - Weight on CVaR
+ * @param {number[]} [options.initial] - Starting weights
+ * @returns {{ weights: number[], var: number, cvar: number, solver: Object }}
+ */
+export function optimizeCvarPortfolio(scenarios, options = {}) {
+  const n = scenarios[0].length;
+  const { alpha = 0.95, direction = new Array(n).fill(0), lambda = 1 } = options;
+  const { bounds, rules } = resolveHoldingBounds(n, options);
+
+  const solve = (set, start) => solveCvarProblem(scenarios, { ...set, alpha, direction, lambda, initial: start });
+  const relaxed = solve(bounds, options.initial);
+  const gradient = () => smoothCvar(relaxed.weights, scenarios, alpha, CVAR_SMOOTHING[CVAR_SMOOTHING.length - 1])
+    .gradient.map((g, i) => direction[i] - lambda * g);
+  const solution = enforceHoldingRules(relaxed, gradient, solve, bounds, rules);
+
+  const { weights } = solution;
+  return {
+    weights,
+    ...computeScenarioCVaR(weights, scenarios, alpha),
+    solver: {
+      method: 'cvar-projected-gradient',
+      converged: solution.converged,
+      iterations: solution.iterations,
+      kkt: solution.kkt,
+      holdings: weights.filter(w => w > 1e-9).length,
+      scenarios: scenarios.length,
+    },
+  };
+}
+
+/**
+ * Mean-CVaR portfolio: the highest expected return whose CVaR_α stays within
+ * `limit`. The return/CVaR trade-off λ is found by bisection on log λ, since the
+ * CVaR of the solution of max μ'w − λ·CVaR(w) falls as λ grows.
+ *
+ * @param {number[]} means - Annualized mean returns
+ * @param {number[][]} scenarios - S × n gross returns
+ * @param {number} limit - Largest acceptable CVaR (a loss, on the scenario horizon)
+ * @param {Object} [options] - As for optimizeCvarPortfolio
+ * @throws {ConstraintError} When even the minimum-CVaR portfolio exceeds the limit
+ */
+export function meanCvarPortfolio(means, scenarios, limit, options = {}) {
+  const solveAt = (lambda, initial) => optimizeCvarPortfolio(scenarios, { ...options, direction: means, lambda, initial });
+
+  const maxReturn = solveAt(0);
+  if (maxReturn.cvar <= limit) return { ...maxReturn, lambda: 0 };
+  const minCvar = optimizeCvarPortfolio(scenarios, { ...options, initial: maxReturn.weights });
+  if (minCvar.cvar > limit + 1e-6) {
+    throw new ConstraintError('cvarLimit', `No portfolio keeps CVaR within ${(limit * 100).toFixed(2)}%; the lowest attainable is ${(minCvar.cvar * 100).toFixed(2)}%`);
+  }
+
+  // Invariant: CVaR at λ = hi is within the limit, at λ = lo it is not
+  let lo = -3;
+  let hi = 3;
+  let best = solveAt(10 ** hi, minCvar.weights);
+  if (best.cvar > limit) best = minCvar;
+  for (let iter = 0; iter < 10; iter++) {
+    const mid = (lo + hi) / 2;
+    const candidate = solveAt(10 ** mid, best.weights);
+    if (candidate.cvar <= limit) {
+      hi = mid;
+      best = candidate;
+    } else {
+      lo = mid;
+    }
+  }
+  return { ...best, lambda: 10 ** hi };
+}
+
+/**
+ * Smoothed expected loss: computeExpectedLoss with max(0, x) replaced by
+ * μ·ln(1 + e^(x/μ)), as in smoothCvar.
+ * @returns {{ value: number, gradient: number[] }}
+ */
+function smoothExpectedLoss(weights, scenarios, mu) {
+  const S = scenarios.length;
+  let value = 0;
+  const gradient = new Array(weights.length).fill(0);
+  for (const gross of scenarios) {
+    const x = (1 - gross.reduce((s, r, i) => s + weights[i] * r, 0)) / mu;
+    value += x > 0 ? mu * (x + Math.log1p(Math.exp(-x))) : mu * Math.log1p(Math.exp(x));
+    const share = x >= 0 ? 1 / (1 + Math.exp(-x)) : Math.exp(x) / (1 + Math.exp(x));
+    for (let i = 0; i < gradient.length; i++) gradient[i] -= share * gross[i];
+  }
+  return { value: value / S, gradient: gradient.map(g => g / S) };
+}
+
+/**
+ * Maximize μ'w − 0.5γ w'Σw − penalty·E[max(0, 1 − w'R)] over the feasible set,
+ * with the CVaR solver's smoothing schedule (only its last stage when warm).
+ */
+function solveLossAverseProblem(means, covMatrix, scenarios, gamma, penalty, { initial, warm, ...bounds }) {
+  let solution = { weights: initial };
+  let iterations = 0;
+  for (const mu of warm ? CVAR_SMOOTHING.slice(-1) : CVAR_SMOOTHING) {
+    let last = null;
+    const evaluate = w => {
+      if (last?.weights !== w) last = { weights: w, ...smoothExpectedLoss(w, scenarios, mu) };
+      return last;
+    };
+    solution = ascendOnFeasibleSet(
+      (w) => {
+        const { mu: mean, variance } = computePortfolioStats(w, means, covMatrix);
+        return computeExpectedUtility(mean, variance, gamma) - penalty * evaluate(w).value;
+      },
+      w => utilityGradient(w, means, covMatrix, gamma).map((g, i) => g - penalty * evaluate(w).gradient[i]),
+      { ...bounds, initial: solution.weights, tol: 1e-8, maxIter: 2000 },
+    );
+    iterations += solution.iterations;
+  }
+  return { ...solution, iterations };
+}
+
+/**
+ * Mean-variance utility with a loss-aversion penalty on downside deviations:
+ *
+ *   maximize  μ'w − 0.5γ w'Σw − (λ_loss − 1)·k·E[max(0, 1 − w'R)]
+ *
+ * R are gross-return scenarios and k the number of scenario horizons per
+ * year. The penalty is what a piecewise-linear prospect-theory value function
+ * (losses counted λ_loss times, gains once, relative to a zero return) takes
+ * off the expected return when the investor judges their account once every
+ * horizon (myopic loss aversion, Benartzi & Thaler 1995, who found that about
+ * a year fits observed behavior), so λ_loss = 1 gives back optimizePortfolio.
+ * The problem stays concave and is solved from the mean-variance optimum
+ * under the same constraints and holding rules.
+ *
+ * @param {number[]} means - Annualized mean returns
+ * @param {number[][]} covMatrix - Annualized covariance matrix
+ * @param {number[][]} scenarios - S × n gross returns (see scenarios.js)
+ * @param {number} gamma - Risk aversion coefficient
+ * @param {Object} options - Constraint options as for optimizePortfolio, plus:
+ * @param {number} options.lossAversion - λ_loss, at least 1
+ * @param {number} [options.periodsPerYear=1] - k, scenario horizons per year
+ * @returns {{ weights: number[], mu: number, variance: number, vol: number, eu: number, expectedLoss: number, meanVarianceExpectedLoss: number, solver: Object }}
+ *   eu is the mean-variance utility without the penalty, comparable with optimizePortfolio's;
+ *   meanVarianceExpectedLoss is the expected loss of the mean-variance optimum the solve starts from
+ */
+export function optimizeLossAversePortfolio(means, covMatrix, scenarios, gamma, options) {
+  const { lossAversion, periodsPerYear = 1 } = options;
+  const penalty = (lossAversion - 1) * periodsPerYear;
+  const { bounds, rules } = resolveHoldingBounds(means.length, options);
+  const meanVariance = optimizePortfolio(means, covMatrix, gamma, options);
+
+  const solve = (set, start, warm = true) => solveLossAverseProblem(means, covMatrix, scenarios, gamma, penalty, { ...set, initial: start, warm });
+  const relaxed = solve(bounds, meanVariance.weights, false);
+  const gradient = () => {
+    const loss = smoothExpectedLoss(relaxed.weights, scenarios, CVAR_SMOOTHING[CVAR_SMOOTHING.length - 1]);
+    return utilityGradient(relaxed.weights, means, covMatrix, gamma).map((g, i) => g - penalty * loss.gradient[i]);
+  };
+  const solution = enforceHoldingRules(relaxed, gradient, solve, bounds, rules);
+
+  const { weights } = solution;
+  const stats = computePortfolioStats(weights, means, covMatrix);
+  return {
+    weights,
+    mu: stats.mu,
+    variance: stats.variance,
+    vol: stats.vol,
+    eu: computeExpectedUtility(stats.mu, stats.variance, gamma),
+    expectedLoss: computeExpectedLoss(weights, scenarios),
+    meanVarianceExpectedLoss: computeExpectedLoss(meanVariance.weights, scenarios),
+    solver: {
+      method: 'loss-averse-projected-gradient',
+      converged: solution.converged,
+      iterations: solution.iterations,
+      kkt: solution.kkt,
+      holdings: weights.filter(w => w > 1e-9).length,
+      scenarios: scenarios.length,
+      lossAversion,
+    },
+  };
+}
+
+/**
+ * Frontier portfolio for a given risk tolerance τ = 1/γ: maximize τμ'w − 0.5 w'Σw.
+ * τ = 0 is the minimum-variance portfolio; return rises monotonically with τ.
+ */
+function solveForRiskTolerance(means, covMatrix, tau, bounds, initial) {
+  return solveMeanVarianceQP(means.map(m => m * tau), covMatrix, 1, { ...bounds, initial });
+}
+
+/**
+ * Maximum-return portfolio under box and budget constraints (a linear program):
+ * fill the highest-mean assets up to their upper bounds until the budget is spent.
+ */
+function maxReturnPortfolio(means, lower, upper) {
+  const weights = [...lower];
+  let remaining = 1 - lower.reduce((s, l) => s + l, 0);
+  const order = means.map((_, i) => i).sort((a, b) => means[b] - means[a] || a - b);
+  for (const i of order) {
+    const add = Math.min(upper[i] - lower[i], remaining);
+    weights[i] += add;
+    remaining -= add;
+    if (remaining <= 0) break;
+  }
+  return weights;
+}
+
+/**
+ * Trace the box-constrained efficient frontier from the minimum-variance portfolio to
+ * the maximum-return portfolio, at target returns spaced evenly between the two.
+ *
+ * Frontier return is piecewise linear in risk tolerance τ (the critical-line result),
+ * so each interior point is found by regula falsi on τ, warm-started from the
+ * previous point. The tangency portfolio (maximum Sharpe ratio against
+ * `riskFreeRate`) is then located by golden-section search on τ around the best
+ * traced point, since the Sharpe ratio is unimodal along the frontier.
+ *
+ * @param {number[]} means - Annualized mean returns
+ * @param {number[][]} covMatrix - Annualized covariance matrix
+ * @param {Object} [options]
+ * @param {number} [options.points=50] - Number of frontier points
+ * @param {number} [options.maxWeight=0.30] - Maximum weight in any single asset
+ * @param {number} [options.riskFreeRate=0] - Annualized risk-free rate for the tangency portfolio
+ * @returns {{ points: Array<{ weights: number[], mu: number, vol: number, sharpe: number }>, tangency: Object|null }}
+ */
+export function computeEfficientFrontier(means, covMatrix, { points = 50, maxWeight = 0.30, riskFreeRate = 0 } = {}) {
+  const n = means.length;
+  const bounds = {
+    lower: new Array(n).fill(0),
+    upper: new Array(n).fill(Math.max(maxWeight, 1 / n)),
+  };
+
+  const evaluate = (tau, initial) => {
+    const { weights } = solveForRiskTolerance(means, covMatrix, tau, bounds, initial);
     const stats = computePortfolioStats(weights, means, covMatrix);
-    const currentVol = stats.vol;
-    
-    // Score: return - penalty for vol deviation
-    const volPenalty = Math.abs(currentVol - targetVol) > volTolerance 
-      ? 100 * (Math.abs(currentVol - targetVol) - volTolerance) ** 2 
-      : 0;
-    let bestScore = stats.mu - volPenalty;
-    let improved = false;
-    
-    // Try all pairwise weight shifts
-    for (let i = 0; i < n; i++) {
-      for (let j = 0; j < n; j++) {
-        if (i === j) continue;
-        if (weights[i] < step) continue;
-        
-        // STRICT enforcement: never exceed maxWeight
-        if (weights[j] >= maxWeight - 0.001) continue;
-        
-        const trial = [...weights];
-        trial[i] -= step;
-        trial[j] += step;
-        
-        // Double-check we didn't violate max weight
-        if (trial[j] > maxWeight) continue;
-        
-        // Enforce minimum holdings
-        const nonZero = trial.filter(w => w >= minWeight).length;
-        if (nonZero < minHoldings && trial[i] < minWeight) continue;
-        
-        const trialStats = computePortfolioStats(trial, means, covMatrix);
-        const trialVolPenalty = Math.abs(trialStats.vol - targetVol) > volTolerance
-          ? 100 * (Math.abs(trialStats.vol - targetVol) - volTolerance) ** 2
-          : 0;
-        const trialScore = trialStats.mu - trialVolPenalty;
-        
-        if (trialScore > bestScore) {
-          weights = trial;
-          // Enforce constraints immediately after every change
-          weights = enforceConstraints(weights);
-          bestScore = trialScore;
-          improved = true;
-        }
+    const sharpe = stats.vol > 0 ? (stats.mu - riskFreeRate) / stats.vol : 0;
+    return { weights, mu: stats.mu, vol: stats.vol, sharpe, tau };
+  };
+
+  const minVar = evaluate(0);
+  const maxRetWeights = maxReturnPortfolio(means, bounds.lower, bounds.upper);
+  const maxRetStats = computePortfolioStats(maxRetWeights, means, covMatrix);
+  const muMin = minVar.mu;
+  const muMax = maxRetStats.mu;
+  const returnTol = 1e-6 * Math.max(muMax - muMin, 1e-12);
+
+  // Find a τ large enough to reach the top of the frontier
+  let top = evaluate(1e-2, minVar.weights);
+  while (top.mu < muMax - returnTol && top.tau < 1e6) {
+    top = evaluate(top.tau * 4, top.weights);
+  }
+
+  // Regula falsi (Illinois variant) on μ(τ) − target, bracketed by [left, right]
+  const portfolioForReturn = (target, left, right) => {
+    let a = left;
+    let b = right;
+    let fa = a.mu - target;
+    let fb = b.mu - target;
+    let side = 0;
+    for (let iter = 0; iter < 100; iter++) {
+      const tau = fb === fa ? (a.tau + b.tau) / 2 : b.tau - (fb * (b.tau - a.tau)) / (fb - fa);
+      const p = evaluate(tau, fb < 0 ? b.weights : a.weights);
+      const f = p.mu - target;
+      if (Math.abs(f) < returnTol || b.tau - a.tau < 1e-12 * b.tau) return p;
+      if (f < 0) {
+        a = p; fa = f;
+        if (side === -1) fb /= 2;
+        side = -1;
+      } else {
+        b = p; fb = f;
+        if (side === 1) fa /= 2;
+        side = 1;
       }
     }
-    
-    if (!improved) break;
+    return Math.abs(fa) < Math.abs(fb) ? a : b;
+  };
+
+  const count = Math.max(2, Math.floor(points));
+  const frontier = [minVar];
+  for (let k = 1; k < count - 1; k++) {
+    const target = muMin + ((muMax - muMin) * k) / (count - 1);
+    frontier.push(portfolioForReturn(target, frontier[frontier.length - 1], top));
   }
-  
-  // Final enforcement of constraints
-  weights = enforceConstraints(weights);
-  
-  // Clean up: remove positions below minimum weight
-  const numHoldings = weights.filter(w => w >= minWeight).length;
-  if (numHoldings >= minHoldings) {
-    const filtered = weights.map(w => w >= minWeight ? w : 0);
-    const sum = filtered.reduce((s, w) => s + w, 0);
-    if (sum > 0) {
-      weights = filtered.map(w => w / sum);
-      weights = enforceConstraints(weights); // Re-enforce after cleanup
+  const maxRetSharpe = maxRetStats.vol > 0 ? (maxRetStats.mu - riskFreeRate) / maxRetStats.vol : 0;
+  frontier.push({ weights: maxRetWeights, mu: maxRetStats.mu, vol: maxRetStats.vol, sharpe: maxRetSharpe, tau: top.tau });
+
+  // Tangency: golden-section search on τ between the neighbours of the best traced point
+  let tangency = null;
+  const bestIdx = frontier.reduce((b, p, i) => (p.sharpe > frontier[b].sharpe ? i : b), 0);
+  if (frontier[bestIdx].mu > riskFreeRate) {
+    const phi = (Math.sqrt(5) - 1) / 2;
+    let a = frontier[Math.max(0, bestIdx - 1)].tau;
+    let b = frontier[Math.min(frontier.length - 1, bestIdx + 1)].tau;
+    const warm = frontier[bestIdx].weights;
+    let pc = evaluate(b - phi * (b - a), warm);
+    let pd = evaluate(a + phi * (b - a), warm);
+    for (let iter = 0; iter < 60 && b - a > 1e-6 * b; iter++) {
+      if (pc.sharpe >= pd.sharpe) {
+        b = pd.tau;
+        pd = pc;
+        pc = evaluate(b - phi * (b - a), pc.weights);
+      } else {
+        a = pc.tau;
+        pc = pd;
+        pd = evaluate(a + phi * (b - a), pd.weights);
+      }
+    }
+    tangency = [pc, pd, frontier[bestIdx]].reduce((best, p) => (p.sharpe > best.sharpe ? p : best));
+  }
+
+  return { points: frontier, tangency };
+}
+
+/**
+ * Allocation strategies selectable on /api/optimize. 'max-utility' uses the
+ * mean estimates (and the return scenarios too when it penalizes losses),
+ * 'max-crra' and 'min-cvar' the return scenarios and 'mean-cvar' both; the
+ * others depend on the covariance matrix alone.
+ */
+export const STRATEGIES = {
+  'max-utility': 'Maximum Expected Utility',
+  'max-crra': 'Maximum CRRA Utility',
+  'min-cvar': 'Minimum CVaR',
+  'mean-cvar': 'Mean-CVaR',
+  'min-variance': 'Minimum Variance',
+  'max-diversification': 'Maximum Diversification',
+  'inverse-volatility': 'Inverse Volatility',
+  'risk-parity': 'Risk Parity',
+};
+
+/**
+ * Diversification ratio: weighted average asset volatility over portfolio volatility.
+ */
+export function computeDiversificationRatio(weights, covMatrix) {
+  const weightedVol = weights.reduce((s, w, i) => s + w * Math.sqrt(covMatrix[i][i]), 0);
+  const { vol } = computePortfolioStats(weights, new Array(weights.length).fill(0), covMatrix);
+  return vol > 0 ? weightedVol / vol : 1;
+}
+
+/**
+ * Inverse-volatility weights over the assets in `support`: w_i ∝ 1/σ_i.
+ */
+function inverseVolatilityWeights(covMatrix, support) {
+  const raw = covMatrix.map((row, i) => (support.has(i) ? 1 / Math.sqrt(row[i]) : 0));
+  const total = raw.reduce((s, x) => s + x, 0);
+  return raw.map(x => x / total);
+}
+
+/**
+ * Equal-risk-contribution weights over the assets in `support`.
+ *
+ * Minimizes ½ y'Σy − (1/m) Σ ln y_i (Spinu, 2013), whose optimum has
+ * y_i (Σy)_i = 1/m for every asset, by cyclical coordinate descent with the
+ * closed-form coordinate update (Griveau-Billion, Richard & Roncalli, 2013),
+ * then normalizes w = y / Σy.
+ *
+ * @returns {{ weights: number[], converged: boolean, iterations: number }}
+ */
+function riskParityWeights(covMatrix, support, { tol = 1e-12, maxIter = 10000 } = {}) {
+  const n = covMatrix.length;
+  const members = [...support];
+  const budget = 1 / members.length;
+  const y = covMatrix.map((row, i) => (support.has(i) ? 1 / Math.sqrt(row[i]) : 0));
+
+  let converged = false;
+  let iterations = 0;
+  for (let iter = 1; iter <= maxIter; iter++) {
+    iterations = iter;
+    let maxChange = 0;
+    for (const i of members) {
+      let c = 0;
+      for (let j = 0; j < n; j++) if (j !== i) c += covMatrix[i][j] * y[j];
+      const next = (-c + Math.sqrt(c * c + 4 * covMatrix[i][i] * budget)) / (2 * covMatrix[i][i]);
+      maxChange = Math.max(maxChange, Math.abs(next - y[i]) / next);
+      y[i] = next;
+    }
+    if (maxChange < tol) {
+      converged = true;
+      break;
     }
   }
 
+  const total = y.reduce((s, x) => s + x, 0);
+  return { weights: y.map(x => x / total), converged, iterations };
+}
+
+/**
+ * Rule-based allocation (inverse volatility or risk parity) under constraints.
+ *
+ * The rule is applied over the eligible assets; positions below minWeight are
+ * dropped (smallest first, keeping at least minHoldings) and at most maxHoldings
+ * are kept, then the rule is re-applied on the final support. If bounds, groups
+ * or turnover still bind, the weights are projected onto the feasible set — the
+ * closest admissible portfolio — so risk contributions are then only
+ * approximately equal.
+ */
+function ruleBasedPortfolio(rule, covMatrix, options) {
+  const n = covMatrix.length;
+  const minWeight = options.minWeight ?? 0.04;
+  const upper = options.upper ?? new Array(n).fill(Math.max(options.maxWeight ?? 0.30, 1 / n));
+  const lower = options.lower ?? new Array(n).fill(0);
+  const feasibleSet = { lower, upper, groups: options.groups ?? [], turnover: options.turnover ?? null };
+
+  const support = new Set(covMatrix.map((_, i) => i).filter(i => upper[i] > 0));
+  const maxHoldings = Math.min(options.maxHoldings ?? n, support.size);
+  const minHoldings = Math.min(options.minHoldings ?? 10, maxHoldings);
+
+  // Apply the rule on the support, projecting (within the support) only if it breaks a constraint
+  const allocate = () => {
+    const result = rule(covMatrix, support);
+    const set = { ...feasibleSet, upper: upper.map((u, i) => (support.has(i) ? u : 0)) };
+    const projected = constraintViolation(result.weights, set) > 1e-9;
+    return { ...result, weights: projected ? projectOntoFeasibleSet(result.weights, set) : result.weights, projected };
+  };
+
+  let result = allocate();
+  while (support.size > minHoldings) {
+    const candidates = [...support].filter(i => !(lower[i] > 0));
+    if (candidates.length === 0) break;
+    const smallest = candidates.reduce((a, b) => (result.weights[b] < result.weights[a] ? b : a));
+    if (support.size <= maxHoldings && result.weights[smallest] >= minWeight - 1e-9) break;
+    support.delete(smallest);
+    result = allocate();
+  }
+
+  return result;
+}
+
+/**
+ * Maximize a scale-free ratio (e.g. Sharpe or diversification ratio) under the
+ * constraints. Such ratios are maximized on the path of
+ * max τ·d'w − ½w'Σw for a direction d (the expected returns for Sharpe, the
+ * asset volatilities for diversification), so we golden-section search log τ
+ * on the convex constraints and then hand the best τ to optimizePortfolio to
+ * apply the holding-count rules.
+ */
+function maximizeRatioOnPath(direction, covMatrix, ratio, options) {
+  const n = covMatrix.length;
+  const upper = options.upper ?? new Array(n).fill(Math.max(options.maxWeight ?? 0.30, 1 / n));
+  const bounds = {
+    lower: options.lower ?? new Array(n).fill(0),
+    upper,
+    groups: options.groups ?? [],
+    turnover: options.turnover ?? null,
+  };
+
+  let warm;
+  const ratioAt = logTau => {
+    const tau = Math.exp(logTau);
+    const { weights } = solveMeanVarianceQP(direction.map(v => v * tau), covMatrix, 1, { ...bounds, initial: warm });
+    warm = weights;
+    return ratio(weights);
+  };
+
+  const phi = (Math.sqrt(5) - 1) / 2;
+  let a = Math.log(1e-4);
+  let b = Math.log(1e3);
+  let c = b - phi * (b - a);
+  let d = a + phi * (b - a);
+  let rc = ratioAt(c);
+  let rd = ratioAt(d);
+  for (let iter = 0; iter < 50 && b - a > 1e-4; iter++) {
+    if (rc >= rd) {
+      b = d; d = c; rd = rc;
+      c = b - phi * (b - a);
+      rc = ratioAt(c);
+    } else {
+      a = c; c = d; rc = rd;
+      d = a + phi * (b - a);
+      rd = ratioAt(d);
+    }
+  }
+
+  const tau = Math.exp((a + b) / 2);
+  return optimizePortfolio(direction.map(v => v * tau), covMatrix, 1, options);
+}
+
+/**
+ * Maximum-diversification portfolio: maximize σ'w / √(w'Σw) under the constraints.
+ */
+function maxDiversificationPortfolio(covMatrix, options) {
+  const vols = covMatrix.map((row, i) => Math.sqrt(row[i]));
+  return maximizeRatioOnPath(vols, covMatrix, w => computeDiversificationRatio(w, covMatrix), options);
+}
+
+/**
+ * Tangency (maximum-Sharpe) portfolio of risky assets under the constraints.
+ * @param {number[]} means - Annualized mean returns
+ * @param {number[][]} covMatrix - Annualized covariance matrix
+ * @param {number} riskFreeRate - Annual risk-free rate
+ * @param {Object} [options] - Constraint options as for optimizePortfolio
+ */
+export function tangencyPortfolio(means, covMatrix, riskFreeRate, options = {}) {
+  const sharpe = w => {
+    const { mu, vol } = computePortfolioStats(w, means, covMatrix);
+    return vol > 0 ? (mu - riskFreeRate) / vol : -Infinity;
+  };
+  const result = maximizeRatioOnPath(means.map(m => m - riskFreeRate), covMatrix, sharpe, options);
+  // optimizePortfolio reports statistics against the excess-return direction; restate them
+  const stats = computePortfolioStats(result.weights, means, covMatrix);
+  return { ...result, mu: stats.mu, variance: stats.variance, vol: stats.vol };
+}
+
+/**
+ * Merton two-fund split between a risky fund and cash.
+ *
+ * The share in the risky fund that maximizes r_f + a(μ − r_f) − ½γa²σ² is
+ * a = (μ − r_f) / (γσ²), clipped to [0, maxLeverage]; 1 − a goes to cash
+ * (negative when borrowing at r_f to lever up).
+ *
+ * @param {{ mu: number, vol: number }} fund - Risky fund statistics
+ * @param {number} gamma - Risk aversion coefficient
+ * @param {number} riskFreeRate - Annual risk-free rate
+ * @param {number} [maxLeverage=1] - Cap on the risky share (1 = no borrowing)
+ * @returns {{ riskyWeight: number, cashWeight: number, unconstrained: number, leverageCapped: boolean, mu: number, vol: number, variance: number, eu: number }}
+ */
+export function twoFundAllocation(fund, gamma, riskFreeRate, maxLeverage = 1) {
+  const variance = fund.vol ** 2;
+  const unconstrained = variance > 0 ? (fund.mu - riskFreeRate) / (gamma * variance) : maxLeverage;
+  const riskyWeight = Math.min(Math.max(unconstrained, 0), maxLeverage);
+  const mu = riskFreeRate + riskyWeight * (fund.mu - riskFreeRate);
+  const portfolioVariance = riskyWeight ** 2 * variance;
+  return {
+    riskyWeight,
+    cashWeight: 1 - riskyWeight,
+    unconstrained,
+    leverageCapped: unconstrained > maxLeverage,
+    mu,
+    vol: Math.sqrt(portfolioVariance),
+    variance: portfolioVariance,
+    eu: computeExpectedUtility(mu, portfolioVariance, gamma),
+  };
+}
+
+/**
+ * Build a portfolio with the chosen strategy. The result has the same shape as
+ * optimizePortfolio's, with `mu` and `eu` always evaluated on the real means and
+ * the user's γ so strategies can be compared like for like.
+ *
+ * @param {string} strategy - One of the STRATEGIES keys
+ * @param {number[]} means - Annualized mean returns
+ * @param {number[][]} covMatrix - Annualized covariance matrix
+ * @param {number} gamma - Risk aversion coefficient
+ * @param {Object} [options] - Constraint options as for optimizePortfolio, plus
+ *   `cvarLimit` for 'mean-cvar' (default: the 95% CVaR of the 'max-utility' portfolio)
+ *   and `lossAversion` with `periodsPerYear` for 'max-utility' (see optimizeLossAversePortfolio)
+ * @param {number[][]|null} [scenarios] - Gross-return scenarios, required by 'max-crra', 'min-cvar',
+ *   'mean-cvar' and a loss-averse 'max-utility'
+ */
+export function runStrategy(strategy, means, covMatrix, gamma, options = {}, scenarios = null) {
+  const n = means.length;
+  let weights;
+  let solver;
+
+  switch (strategy) {
+    case 'max-utility':
+      if (options.lossAversion > 1) {
+        if (!scenarios) throw new Error('A loss-aversion penalty needs return scenarios');
+        return optimizeLossAversePortfolio(means, covMatrix, scenarios, gamma, options);
+      }
+      return optimizePortfolio(means, covMatrix, gamma, options);
+    case 'max-crra': {
+      if (!scenarios) throw new Error('The max-crra strategy needs return scenarios');
+      // The mean-variance optimum is a close, feasible starting point
+      const initial = optimizePortfolio(means, covMatrix, gamma, options).weights;
+      const result = optimizeCrraPortfolio(scenarios, gamma, { ...options, initial });
+      ({ weights, solver } = result);
+      break;
+    }
+    case 'min-cvar':
+    case 'mean-cvar': {
+      if (!scenarios) throw new Error(`The ${strategy} strategy needs return scenarios`);
+      if (strategy === 'min-cvar') {
+        ({ weights, solver } = optimizeCvarPortfolio(scenarios, options));
+        break;
+      }
+      // By default, keep the tail risk of the mean-variance optimum and look for more return
+      const mvWeights = optimizePortfolio(means, covMatrix, gamma, options).weights;
+      const limit = options.cvarLimit ?? computeScenarioCVaR(mvWeights, scenarios).cvar;
+      const result = meanCvarPortfolio(means, scenarios, limit, { ...options, initial: mvWeights });
+      weights = result.weights;
+      solver = { ...result.solver, cvarLimit: limit, lambda: result.lambda };
+      break;
+    }
+    case 'min-variance': {
+      const result = optimizePortfolio(new Array(n).fill(0), covMatrix, 1, options);
+      ({ weights, solver } = result);
+      break;
+    }
+    case 'max-diversification': {
+      const result = maxDiversificationPortfolio(covMatrix, options);
+      ({ weights, solver } = result);
+      break;
+    }
+    case 'inverse-volatility':
+    case 'risk-parity': {
+      const rule = strategy === 'risk-parity'
+        ? riskParityWeights
+        : (cov, support) => ({ weights: inverseVolatilityWeights(cov, support), converged: true, iterations: 0 });
+      const result = ruleBasedPortfolio(rule, covMatrix, options);
+      weights = result.weights;
+      solver = {
+        method: strategy,
+        converged: result.converged,
+        iterations: result.iterations,
+        projected: result.projected,
+        holdings: weights.filter(w => w > 1e-9).length,
+      };
+      break;
+    }
+    default:
+      throw new Error(`Unknown strategy: ${strategy}`);
+  }
+
   const stats = computePortfolioStats(weights, means, covMatrix);
   const eu = computeExpectedUtility(stats.mu, stats.variance, gamma);
+  return { weights, mu: stats.mu, variance: stats.variance, vol: stats.vol, eu, solver };
+}
+
+/**
+ * Decompose portfolio volatility into per-asset contributions (Euler allocation).
+ *
+ * marginal_i = (Σw)_i / σ_p is the change in σ_p per unit of weight; the
+ * component contribution w_i · marginal_i sums to σ_p across assets. The
+ * per-asset diversification ratio σ_i / marginal_i is above 1 when the asset
+ * adds less risk at the margin than it carries on its own (null when the asset
+ * hedges, i.e. its marginal contribution is not positive).
+ *
+ * @param {number[]} weights - Portfolio weights
+ * @param {number[][]} covMatrix - Annualized covariance matrix
+ * @returns {{ volatility: number[], marginal: number[], component: number[], percent: number[], diversification: number[] }}
+ */
+export function computeRiskContributions(weights, covMatrix) {
+  const sigmaW = matVec(covMatrix, weights);
+  const variance = weights.reduce((s, w, i) => s + w * sigmaW[i], 0);
+  const portfolioVol = Math.sqrt(variance);
 
-  return { weights, mu: stats.mu, variance: stats.variance, vol: stats.vol, eu };
+  const volatility = covMatrix.map((row, i) => Math.sqrt(row[i]));
+  const marginal = sigmaW.map(x => (portfolioVol > 0 ? x / portfolioVol : 0));
+  const component = weights.map((w, i) => w * marginal[i]);
+  const percent = weights.map((w, i) => (variance > 0 ? (w * sigmaW[i]) / variance : 0));
+  const diversification = marginal.map((m, i) => (m > 0 ? volatility[i] / m : null));
+
+  return { volatility, marginal, component, percent, diversification };
 }
 
-const BOND_TICKERS = ['BND', 'TLT', 'IEF', 'SHY', 'AGG', 'LQD', "bndx","scho","mbb","igib","scmb",
-    "vteb","emlc","ebnd","pff","hylb",
-    "qlta","jnk","vclt","govt","tipz"];
-const EQUITY_TICKERS = ['SPY', 'QQQ', 'IWM', 'VTI', 'EFA', 'EEM', 'XLK', 'XLF', 'XLE', 'XLV', "voo","schx","vb","schg","vug","vtv",
-    "vea","acwi","iemg","iefa",
-    "dia","xlre","iyw","ihf","xly"];
-const ALT_TICKERS = ['VNQ', 'GLD', 'SLV', 'DBC', "dbmf","ffut","qai",
-    "alty","espo","esgu","tan",
-    "bug","gdx","vde","lit","bjk"];
+/**
+ * Aggregate per-holding risk contributions by asset class.
+ * @param {{ ticker: string, weight: number, volatility: number, riskContribution: number, riskContributionPct: number }[]} holdings
+ * @param {(ticker: string) => string|null} [classify=getAssetClass] - Asset class lookup
+ * @returns {Object<string, { weight: number, marginalRisk: number|null, riskContribution: number, riskContributionPct: number, diversificationRatio: number|null }>}
+ */
+export function computeAssetClassRisk(holdings, classify = getAssetClass) {
+  const totals = {};
+  for (const cls of ASSET_CLASSES) {
+    totals[cls] = { weight: 0, standalone: 0, riskContribution: 0, riskContributionPct: 0 };
+  }
+  for (const h of holdings) {
+    const assetClass = classify(h.ticker);
+    if (!assetClass) continue;
+    const t = totals[assetClass];
+    t.weight += h.weight;
+    t.standalone += h.weight * h.volatility;
+    t.riskContribution += h.riskContribution;
+    t.riskContributionPct += h.riskContributionPct;
+  }
+
+  const result = {};
+  for (const [cls, t] of Object.entries(totals)) {
+    result[cls] = {
+      weight: t.weight,
+      marginalRisk: t.weight > 0 ? t.riskContribution / t.weight : null,
+      riskContribution: t.riskContribution,
+      riskContributionPct: t.riskContributionPct,
+      diversificationRatio: t.riskContribution > 0 ? t.standalone / t.riskContribution : null,
+    };
+  }
+  return result;
+}
 
 /**
  * Compute asset class breakdown (bonds / equity / alts) from holdings.
  * @param {{ ticker: string, weight: number }[]} holdings
+ * @param {(ticker: string) => string|null} [classify=getAssetClass] - Asset class lookup
  * @returns {{ bonds: number, equity: number, alts: number }}
  */
-export function computeAssetClassBreakdown(holdings) {
-  let bonds = 0, equity = 0, alts = 0;
+export function computeAssetClassBreakdown(holdings, classify = getAssetClass) {
+  const breakdown = { bonds: 0, equity: 0, alts: 0 };
   for (const { ticker, weight } of holdings) {
-    if (BOND_TICKERS.includes(ticker)) bonds += weight;
-    else if (EQUITY_TICKERS.includes(ticker)) equity += weight;
-    else if (ALT_TICKERS.includes(ticker)) alts += weight;
+    const assetClass = classify(ticker);
+    if (assetClass) breakdown[assetClass] += weight;
   }
-  return { bonds, equity, alts };
+  return breakdown;
 }
 
 /**
  * Generate optimized template portfolios for comparison / efficient frontier display.
- * Each template is optimized to maximize return at its target volatility level.
+ * Each risk-profile template maximizes expected utility at its own representative γ;
+ * the mean-free strategies are added alongside for comparison. All but the
+ * equal-weight baseline are built under `constraints`, so they compare like for
+ * like with a portfolio optimized under the same ones.
  * @param {number[]} means - Annualized mean returns for each asset
  * @param {number[][]} covMatrix - NxN annualized covariance matrix
  * @param {string[]} assetNames - Asset ticker names
- * @returns {Array<{ name: string, weights: number[], gamma: number }>}
+ * @param {Object} [constraints={}] - Resolved constraint options as for optimizePortfolio
+ * @returns {Array<{ name: string, weights: number[], gamma: number|null }>}
  */
-export function generateTemplatePortfolios(means, covMatrix, assetNames) {
+export function generateTemplatePortfolios(means, covMatrix, assetNames, constraints = {}) {
   const templates = [];
 
   // Equal weight (baseline, not optimized)
@@ -367,18 +1773,18 @@ export function generateTemplatePortfolios(means, covMatrix, assetNames) {
   // Map risk levels to gamma values (inverse relationship)
   // Higher gamma = more risk averse = lower volatility
   const riskProfiles = [
-    { name: 'Very Conservative', gamma: 5.0 },   // ~5-6% vol
-    { name: 'Conservative', gamma: 4.0 },        // ~6-8% vol
-    { name: 'Moderate', gamma: 3.0 },            // ~9-11% vol
-    { name: 'Balanced', gamma: 2.5 },            // ~11-13% vol
-    { name: 'Growth', gamma: 2.0 },              // ~14-16% vol
-    { name: 'Aggressive', gamma: 1.5 },          // ~17-20% vol
-    { name: 'Very Aggressive', gamma: 1.0 },     // ~20-22% vol
+    { name: 'Very Conservative', gamma: 5.0 },
+    { name: 'Conservative', gamma: 4.0 },
+    { name: 'Moderate', gamma: 3.0 },
+    { name: 'Balanced', gamma: 2.5 },
+    { name: 'Growth', gamma: 2.0 },
+    { name: 'Aggressive', gamma: 1.5 },
+    { name: 'Very Aggressive', gamma: 1.0 },
   ];
 
   // Generate optimized portfolio for each risk profile
   for (const profile of riskProfiles) {
-    const optimal = optimizePortfolio(means, covMatrix, profile.gamma);
+    const optimal = optimizePortfolio(means, covMatrix, profile.gamma, constraints);
     templates.push({ 
       name: profile.name, 
       weights: optimal.weights,
@@ -386,13 +1792,35 @@ export function generateTemplatePortfolios(means, covMatrix, assetNames) {
     });
   }
 
+  // Mean-free strategies (EU is evaluated at the user's gamma)
+  for (const strategy of ['min-variance', 'max-diversification', 'inverse-volatility', 'risk-parity']) {
+    const result = runStrategy(strategy, means, covMatrix, 1, constraints);
+    templates.push({ name: STRATEGIES[strategy], weights: result.weights, gamma: null });
+  }
+
   return templates;
 }
 
 /**
- * Full pipeline: from raw price data to optimized portfolio.
+ * Statistics of a resampled fund on the original inputs, in runStrategy's shape.
+ */
+function resampledFund(resampled, means, covMatrix, gamma) {
+  const stats = computePortfolioStats(resampled.weights, means, covMatrix);
+  return {
+    weights: resampled.weights,
+    mu: stats.mu,
+    variance: stats.variance,
+    vol: stats.vol,
+    eu: computeExpectedUtility(stats.mu, stats.variance, gamma),
+    solver: { method: 'resampled', draws: resampled.draws, holdings: resampled.weights.filter(w => w > 1e-9).length },
+  };
+}
+
+/**
+ * Filter tickers to those with market data and pull out their mean vector
+ * and covariance submatrix.
  */
-export function runOptimization(marketData, tickers, gamma) {
+export function extractOptimizationInputs(marketData, tickers) {
   const { summary, covariance } = marketData;
 
   // Filter tickers to only those that exist in both summary and covariance data
@@ -414,54 +1842,195 @@ export function runOptimization(marketData, tickers, gamma) {
   const covMatrix = tickerIndices.map(i => 
     tickerIndices.map(j => covariance.matrix[i][j])
   );
+
+  return { validTickers, meanReturns, covMatrix };
+}
+
+/**
+ * Full pipeline: from raw price data to optimized portfolio.
+ * `constraints` is the user-facing object described in constraints.js;
+ * `strategy` is one of the STRATEGIES keys.
+ *
+ * When `riskFreeRate` is given the portfolio gains a cash leg: the risky fund
+ * (the constrained tangency portfolio for 'max-utility', otherwise the
+ * strategy's portfolio) is mixed with cash by the Merton rule, with at most
+ * `maxLeverage` in the risky fund. Constraints then apply to the risky fund.
+ *
+ * `scenarios` ({ tickers, returns, horizon } from scenarios.js) drives the
+ * 'max-crra', 'min-cvar' and 'mean-cvar' strategies; `cvarLimit` caps the
+ * 'mean-cvar' tail loss. When scenarios are given, every portfolio's
+ * certainty-equivalent return is the CRRA one over the scenarios, annualized;
+ * otherwise it is the mean-variance EU, which is already a certainty-equivalent
+ * return.
+ *
+ * With `resample` ({ draws, observations, seed }, see resampling.js) the risky
+ * fund is the average of the strategy's portfolios over resampled inputs, and
+ * every position reports the range its weight took across the draws.
+ *
+ * `lossAversion` (λ_loss > 1, from the prospect-theory assessment) makes
+ * 'max-utility' without a cash leg penalize the scenarios' losses below zero
+ * (see optimizeLossAversePortfolio); the result's `lossAversion` compares the
+ * expected loss per scenario horizon with the plain mean-variance optimum's.
+ */
+export function runOptimization(marketData, tickers, gamma, {
+  constraints = {},
+  strategy = 'max-utility',
+  riskFreeRate = null,
+  maxLeverage = 1,
+  scenarios = null,
+  cvarLimit,
+  resample = null,
+  lossAversion = null,
+} = {}) {
+  const { validTickers, meanReturns, covMatrix } = extractOptimizationInputs(marketData, tickers);
+
+  // Uploaded assets carry their own name and class in the summary
+  const classify = ticker => marketData.summary[ticker]?.assetClass ?? getAssetClass(ticker);
+  const nameOf = ticker => marketData.summary[ticker]?.name ?? getAssetName(ticker);
+
+  // Scenario columns in the order of validTickers
+  const scenarioReturns = scenarios && scenarios.returns.map(row => validTickers.map(ticker => {
+    const i = scenarios.tickers.indexOf(ticker);
+    if (i < 0) throw new Error(`No return scenarios for ${ticker}`);
+    return row[i];
+  }));
+  const periodsPerYear = scenarios ? TRADING_DAYS / scenarios.horizon : 1;
+  const cashGrowth = (1 + (riskFreeRate ?? 0)) ** (1 / periodsPerYear);
+  const certaintyEquivalent = (weights, g, cashWeight = 0) => {
+    if (!scenarioReturns) return null;
+    const eu = computeScenarioUtility(weights, scenarioReturns, g, cashWeight * cashGrowth);
+    return (1 + certaintyEquivalentReturn(eu, g)) ** periodsPerYear - 1;
+  };
+
+  // Build the portfolio under the user's constraints (defaults when none are given)
+  const resolved = resolveConstraints(constraints, validTickers, classify);
+  const withCash = riskFreeRate !== null;
+  const lossAverse = strategy === 'max-utility' && !withCash && lossAversion > 1;
+  const buildFund = (means, cov) => (withCash && strategy === 'max-utility'
+    ? tangencyPortfolio(means, cov, riskFreeRate, resolved)
+    : runStrategy(strategy, means, cov, gamma, { ...resolved, cvarLimit, lossAversion, periodsPerYear }, scenarioReturns));
+  if (resample && resolved.maxHoldings !== null) {
+    throw new ConstraintError('maxHoldings', 'maxHoldings cannot be combined with resampling: averaged portfolios hold every asset any draw held');
+  }
+  const resampled = resample ? resampleWeights(buildFund, meanReturns, covMatrix, resample) : null;
+  const fund = resampled ? resampledFund(resampled, meanReturns, covMatrix, gamma) : buildFund(meanReturns, covMatrix);
+  assertConstraintsSatisfied(fund.weights, resolved, validTickers);
+
+  // Two-fund separation: split between the risky fund and cash
+  const split = withCash ? twoFundAllocation(fund, gamma, riskFreeRate, maxLeverage) : null;
+  const optimum = split
+    ? { ...split, weights: fund.weights.map(w => w * split.riskyWeight), solver: fund.solver }
+    : fund;
+
+  // Drop dust (resampled averages spread many tiny weights) and rescale what is left to sum to 1;
+  // everything below describes these held weights, the portfolio actually reported
+  const isDust = w => Math.abs(w) <= 0.001;
+  const optimumCash = split ? split.cashWeight : 0;
+  const heldTotal = [...optimum.weights, optimumCash].reduce((s, w) => s + (isDust(w) ? 0 : w), 0);
+  const cashWeight = isDust(optimumCash) ? 0 : optimumCash / heldTotal;
+  const heldWeights = optimum.weights.map(w => (isDust(w) ? 0 : w / heldTotal));
+  const heldStats = computePortfolioStats(heldWeights, meanReturns, covMatrix);
+  const heldMu = heldStats.mu + cashWeight * (riskFreeRate ?? 0);
+  const optimal = {
+    weights: heldWeights,
+    mu: heldMu,
+    vol: heldStats.vol,
+    eu: computeExpectedUtility(heldMu, heldStats.variance, gamma),
+    solver: optimum.solver,
+  };
   
-  // Optimize
-  const optimal = optimizePortfolio(meanReturns, covMatrix, gamma);
-  
-  // Generate optimized template portfolios at different risk levels
-  const templates = generateTemplatePortfolios(meanReturns, covMatrix, validTickers);
+  // Generate optimized template portfolios at different risk levels, under the same constraints
+  const templates = generateTemplatePortfolios(meanReturns, covMatrix, validTickers, resolved);
   const templateResults = templates.map(t => {
     const stats = computePortfolioStats(t.weights, meanReturns, covMatrix);
     // Use the template's own gamma for EU calculation if available, otherwise use user's gamma
     const templateGamma = t.gamma !== null ? t.gamma : gamma;
     const eu = computeExpectedUtility(stats.mu, stats.variance, templateGamma);
-    return { name: t.name, weights: t.weights, ...stats, eu, gamma: templateGamma };
+    const ce = certaintyEquivalent(t.weights, templateGamma) ?? eu;
+    return { name: t.name, weights: t.weights, ...stats, eu, ce, gamma: templateGamma };
   });
 
-  // Asset name mapping
-  const assetNames = {
-    'SPY': 'S&P 500 ETF', 'QQQ': 'Nasdaq 100 ETF', 'IWM': 'Russell 2000 ETF',
-    'VTI': 'Total Stock Market ETF', 'VOO': 'Vanguard S&P 500 ETF',
-    'BND': 'Total Bond Market ETF', 'AGG': 'Core Bond ETF', 
-    'TLT': 'Long-Term Treasury ETF', 'IEF': 'Intermediate Treasury ETF',
-    'SHY': 'Short-Term Treasury ETF', 'LQD': 'Investment Grade Corp Bonds',
-    'GLD': 'Gold ETF', 'SLV': 'Silver ETF', 'DBC': 'Commodities ETF',
-    'VNQ': 'Real Estate ETF', 'EFA': 'Developed Markets ETF',
-    'EEM': 'Emerging Markets ETF', 'XLK': 'Technology Sector ETF',
-    'XLF': 'Financial Sector ETF', 'XLE': 'Energy Sector ETF',
-    'XLV': 'Healthcare Sector ETF'
-  };
-  
-  const portfolio = validTickers.map((ticker, i) => ({
+  // Where the risk comes from: Euler decomposition of portfolio volatility
+  const risk = computeRiskContributions(optimal.weights, covMatrix);
+  const riskyScale = (split ? split.riskyWeight : 1) / heldTotal;
+  const positions = validTickers.map((ticker, i) => ({
     ticker,
-    name: assetNames[ticker] || ticker.replace('.CSV', ''),
+    name: nameOf(ticker),
     weight: optimal.weights[i],
-  })).filter(p => p.weight > 0.001)
-    .sort((a, b) => b.weight - a.weight);
+    ...(resampled && { weightRange: { low: resampled.low[i] * riskyScale, high: resampled.high[i] * riskyScale } }),
+    volatility: risk.volatility[i],
+    marginalRisk: risk.marginal[i],
+    riskContribution: risk.component[i],
+    riskContributionPct: risk.percent[i],
+    diversificationRatio: risk.diversification[i],
+  }));
+  if (cashWeight !== 0) {
+    positions.push({
+      ticker: CASH_TICKER,
+      name: cashWeight > 0 ? 'Cash / T-Bills' : 'Borrowing at the risk-free rate',
+      weight: cashWeight,
+      volatility: 0,
+      marginalRisk: 0,
+      riskContribution: 0,
+      riskContributionPct: 0,
+      diversificationRatio: null,
+    });
+  }
+  const portfolio = positions.filter(p => p.weight !== 0).sort((a, b) => b.weight - a.weight);
 
-  const assetClassBreakdown = computeAssetClassBreakdown(portfolio);
+  const assetClassBreakdown = { ...computeAssetClassBreakdown(portfolio, classify), cash: cashWeight };
+  const assetClassRisk = computeAssetClassRisk(positions, classify);
 
   return {
+    strategy,
+    riskFreeRate,
+    cash: split && {
+      weight: cashWeight,
+      riskyWeight: 1 - cashWeight,
+      unconstrainedRiskyWeight: split.unconstrained,
+      leverageCapped: split.leverageCapped,
+      maxLeverage,
+      fund: {
+        expectedReturn: fund.mu,
+        volatility: fund.vol,
+        sharpe: fund.vol > 0 ? (fund.mu - riskFreeRate) / fund.vol : null,
+      },
+    },
     portfolio,
     assetClassBreakdown,
+    assetClassRisk,
+    diversificationRatio: computeDiversificationRatio(optimal.weights, covMatrix),
     expectedReturn: optimal.mu,
     volatility: optimal.vol,
     expectedUtility: optimal.eu,
+    certaintyEquivalentReturn: certaintyEquivalent(optimal.weights, gamma, cashWeight) ?? optimal.eu,
+    scenarios: scenarios && {
+      method: scenarios.method,
+      count: scenarioReturns.length,
+      horizonDays: scenarios.horizon,
+      start: scenarios.start,
+      end: scenarios.end,
+    },
+    solver: optimal.solver,
+    resampling: resampled && {
+      draws: resampled.draws,
+      observations: resampled.observations,
+      seed: resampled.seed,
+      interval: resampled.interval,
+    },
+    turnover: resolved.turnover ? computeTurnover(optimal.weights, resolved.turnover) : null,
+    lossAversion: lossAverse ? {
+      coefficient: lossAversion,
+      horizonDays: scenarios.horizon,
+      expectedLoss: computeExpectedLoss(optimal.weights, scenarioReturns),
+      meanVarianceExpectedLoss: fund.meanVarianceExpectedLoss,
+    } : null,
     templates: templateResults.map(t => ({
       name: t.name,
       expectedReturn: t.mu,
       volatility: t.vol,
       expectedUtility: t.eu,
+      certaintyEquivalentReturn: t.ce,
       holdings: validTickers.map((ticker, i) => ({
         ticker,
         weight: t.weights[i],
@@ -470,3 +2039,37 @@ export function runOptimization(marketData, tickers, gamma) {
     tickers: validTickers,
   };
 }
+
+/**
+ * Full pipeline: from raw price data to the efficient frontier, with the
+ * tangency portfolio and the individual assets for plotting alongside it.
+ * The frontier is traced under the per-asset cap alone, which the result's
+ * `constraints` reports; the constraints runOptimization takes do not apply.
+ */
+export function runFrontier(marketData, tickers, { points = 50, riskFreeRate = 0, maxWeight = 0.30 } = {}) {
+  const { validTickers, meanReturns, covMatrix } = extractOptimizationInputs(marketData, tickers);
+  const frontier = computeEfficientFrontier(meanReturns, covMatrix, { points, maxWeight, riskFreeRate });
+
+  const formatPoint = p => ({
+    expectedReturn: p.mu,
+    volatility: p.vol,
+    sharpe: p.sharpe,
+    holdings: validTickers.map((ticker, i) => ({
+      ticker,
+      weight: p.weights[i],
+    })).filter(h => h.weight > 0.001),
+  });
+
+  return {
+    riskFreeRate,
+    constraints: { maxWeight, userConstraints: false },
+    frontier: frontier.points.map(formatPoint),
+    tangency: frontier.tangency ? formatPoint(frontier.tangency) : null,
+    assets: validTickers.map((ticker, i) => ({
+      ticker,
+      expectedReturn: meanReturns[i],
+      volatility: Math.sqrt(covMatrix[i][i]),
+    })),
+    tickers: validTickers,
+  };
+}
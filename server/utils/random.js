@@ -0,0 +1,36 @@
+/**
+ * Seeded randomness shared by the simulation, scenario and resampling code, so
+ * a request with the same inputs and seed always gives the same answer.
+ */
+
+/**
+ * Seeded pseudo-random generator (mulberry32) with a Box–Muller normal sampler.
+ * @param {number} seed - 32-bit integer seed
+ * @returns {{ uniform: () => number, normal: () => number, integer: (n: number) => number }}
+ */
+export function createRng(seed) {
+  let state = seed >>> 0;
+  const uniform = () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  let spare = null;
+  const normal = () => {
+    if (spare !== null) {
+      const z = spare;
+      spare = null;
+      return z;
+    }
+    const u1 = uniform() || Number.MIN_VALUE;
+    const u2 = uniform();
+    const radius = Math.sqrt(-2 * Math.log(u1));
+    spare = radius * Math.sin(2 * Math.PI * u2);
+    return radius * Math.cos(2 * Math.PI * u2);
+  };
+
+  return { uniform, normal, integer: n => Math.floor(uniform() * n) };
+}
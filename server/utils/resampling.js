@@ -0,0 +1,115 @@
+/**
+ * Resampled efficiency (Michaud): average the optimal weights over many
+ * plausible versions of the inputs instead of trusting one point estimate.
+ *
+ * Each draw simulates `observations` monthly returns from N(μ/12, Σ/12),
+ * re-estimates annualized means and covariance from them, and optimizes on the
+ * estimates. Averaging the draws' weights damps the optimizer's sensitivity to
+ * estimation error, and the spread of each asset's weight across draws shows
+ * how firmly the data supports it. The average of feasible portfolios is
+ * feasible for any convex constraint set, so budget, bounds, groups and
+ * turnover still hold; holding-count rules do not survive averaging.
+ */
+
+import { createRng } from './random.js';
+
+const MONTHS = 12;
+
+export const DEFAULT_RESAMPLING = { draws: 100, observations: 240, seed: 42 };
+
+// Central share of the draws covered by the reported weight ranges
+export const RESAMPLING_INTERVAL = 0.9;
+
+/**
+ * Lower-triangular L with L Lᵀ = matrix, for a symmetric positive semi-definite
+ * matrix; pivots that round to zero or below are treated as zero.
+ * @param {number[][]} matrix
+ * @returns {number[][]}
+ */
+export function choleskyDecomposition(matrix) {
+  const n = matrix.length;
+  const L = Array.from({ length: n }, () => new Array(n).fill(0));
+  for (let i = 0; i < n; i++) {
+    for (let j = 0; j <= i; j++) {
+      let sum = matrix[i][j];
+      for (let k = 0; k < j; k++) sum -= L[i][k] * L[j][k];
+      if (i === j) L[i][i] = Math.sqrt(Math.max(sum, 0));
+      else L[i][j] = L[j][j] > 0 ? sum / L[j][j] : 0;
+    }
+  }
+  return L;
+}
+
+/**
+ * One draw of estimated inputs: sample means and covariance of `observations`
+ * simulated monthly returns, annualized.
+ */
+function drawEstimates(means, cholesky, observations, rng) {
+  const n = means.length;
+  const samples = [];
+  for (let t = 0; t < observations; t++) {
+    const z = Array.from({ length: n }, () => rng.normal());
+    samples.push(means.map((m, i) => m / MONTHS + cholesky[i].reduce((s, l, k) => s + l * z[k], 0) / Math.sqrt(MONTHS)));
+  }
+
+  const sampleMeans = means.map((_, i) => samples.reduce((s, r) => s + r[i], 0) / observations);
+  const covMatrix = means.map((_, i) => means.map((__, j) => {
+    let c = 0;
+    for (const r of samples) c += (r[i] - sampleMeans[i]) * (r[j] - sampleMeans[j]);
+    return (c / (observations - 1)) * MONTHS;
+  }));
+  return { means: sampleMeans.map(m => m * MONTHS), covMatrix };
+}
+
+/**
+ * Value at quantile q of a sorted array (linear interpolation).
+ */
+function quantile(sorted, q) {
+  const pos = q * (sorted.length - 1);
+  const lo = Math.floor(pos);
+  const hi = Math.ceil(pos);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+/**
+ * Resampled weights for any portfolio builder.
+ *
+ * @param {(means: number[], covMatrix: number[][]) => { weights: number[] }} build - Optimizer to resample
+ * @param {number[]} means - Annualized mean returns
+ * @param {number[][]} covMatrix - Annualized covariance matrix
+ * @param {Object} [options]
+ * @param {number} [options.draws=100] - Number of resampled optimizations
+ * @param {number} [options.observations=240] - Simulated months per draw (the estimation sample size)
+ * @param {number} [options.seed=42] - RNG seed
+ * @returns {{ weights: number[], low: number[], high: number[], std: number[], draws: number, observations: number, seed: number, interval: number }}
+ *   `low`/`high` bound the central RESAMPLING_INTERVAL of each asset's weight across draws
+ */
+export function resampleWeights(build, means, covMatrix, {
+  draws = DEFAULT_RESAMPLING.draws,
+  observations = DEFAULT_RESAMPLING.observations,
+  seed = DEFAULT_RESAMPLING.seed,
+} = {}) {
+  const n = means.length;
+  const rng = createRng(seed);
+  const cholesky = choleskyDecomposition(covMatrix);
+
+  const byAsset = Array.from({ length: n }, () => []);
+  for (let d = 0; d < draws; d++) {
+    const estimate = drawEstimates(means, cholesky, observations, rng);
+    build(estimate.means, estimate.covMatrix).weights.forEach((w, i) => byAsset[i].push(w));
+  }
+
+  const tail = (1 - RESAMPLING_INTERVAL) / 2;
+  const weights = byAsset.map(ws => ws.reduce((s, w) => s + w, 0) / draws);
+  const sorted = byAsset.map(ws => [...ws].sort((a, b) => a - b));
+  return {
+    weights,
+    low: sorted.map(ws => quantile(ws, tail)),
+    high: sorted.map(ws => quantile(ws, 1 - tail)),
+    std: byAsset.map((ws, i) => Math.sqrt(ws.reduce((s, w) => s + (w - weights[i]) ** 2, 0) / draws)),
+    draws,
+    observations,
+    seed,
+    interval: RESAMPLING_INTERVAL,
+  };
+}
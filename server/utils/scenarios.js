@@ -0,0 +1,99 @@
+/**
+ * Return scenarios built from the daily prices in assets/, for optimizers that
+ * need the whole return distribution rather than its mean and covariance.
+ *
+ * Each scenario is a vector of gross returns (P_end / P_start) over the same
+ * horizon for every asset, so a buy-and-hold portfolio w ends the horizon with
+ * wealth w'R per unit invested.
+ *
+ *   - 'historical': every overlapping window of `horizon` trading days,
+ *     starting `step` days apart (by default daily for daily scenarios,
+ *     weekly for monthly ones and twelve starts per horizon beyond that);
+ *   - 'bootstrap': `count` synthetic horizons, each chaining random 21-day
+ *     blocks (one horizon-long block for shorter horizons) drawn jointly
+ *     across assets so cross-asset dependence is kept.
+ */
+
+import { alignPrices } from './backtest.js';
+import { createRng } from './random.js';
+
+const BLOCK_DAYS = 21;
+
+export const SCENARIO_METHODS = ['historical', 'bootstrap'];
+
+/**
+ * Named scenario horizons in trading days.
+ */
+export const SCENARIO_HORIZONS = { daily: 1, monthly: 21, annual: 252 };
+
+/**
+ * Strategies that optimize over scenarios, and the horizon each uses by default.
+ */
+export const SCENARIO_STRATEGIES = { 'max-crra': 'annual', 'min-cvar': 'monthly', 'mean-cvar': 'monthly' };
+
+/**
+ * Build gross-return scenarios from aligned prices.
+ * @param {number[][]} prices - prices[i][t] for asset i on aligned day t
+ * @param {Object} [options]
+ * @param {'historical'|'bootstrap'} [options.method='historical']
+ * @param {number} [options.horizon=252] - Scenario horizon in trading days
+ * @param {number} [options.step] - Days between historical window starts
+ * @param {number} [options.count=2000] - Number of bootstrap scenarios
+ * @param {number} [options.seed=42] - Bootstrap RNG seed
+ * @returns {number[][]} S scenarios × n assets of gross returns
+ */
+export function buildReturnScenarios(prices, {
+  method = 'historical',
+  horizon = 252,
+  step = horizon < 21 ? 1 : Math.max(5, Math.round(horizon / 12)),
+  count = 2000,
+  seed = 42,
+} = {}) {
+  const T = prices[0].length;
+  const scenarios = [];
+
+  if (method === 'bootstrap') {
+    const blockDays = Math.min(BLOCK_DAYS, horizon);
+    const blocks = T - blockDays;
+    if (blocks < 1) throw new Error('Not enough price history to bootstrap return scenarios');
+    const rng = createRng(seed);
+    const blocksPerHorizon = Math.max(1, Math.round(horizon / blockDays));
+    for (let s = 0; s < count; s++) {
+      const gross = new Array(prices.length).fill(1);
+      for (let b = 0; b < blocksPerHorizon; b++) {
+        const start = rng.integer(blocks);
+        prices.forEach((series, i) => {
+          gross[i] *= series[start + blockDays] / series[start];
+        });
+      }
+      scenarios.push(gross);
+    }
+  } else {
+    for (let t = 0; t + horizon < T; t += step) {
+      scenarios.push(prices.map(series => series[t + horizon] / series[t]));
+    }
+    if (scenarios.length < 2) throw new Error('Not enough price history for historical return scenarios');
+  }
+
+  return scenarios;
+}
+
+/**
+ * Build scenarios for a set of tickers from their price histories.
+ * @param {Object<string, { date: string, close: number }[]>} histories - From fetchPriceHistory
+ * @param {string[]} tickers
+ * @param {Object} [options] - As for buildReturnScenarios
+ * @returns {{ tickers: string[], returns: number[][], method: string, horizon: number, start: string, end: string }}
+ */
+export function scenariosFromHistories(histories, tickers, options = {}) {
+  const available = tickers.filter(t => histories[t]);
+  const { dates, prices } = alignPrices(histories, available, null, null);
+  return {
+    tickers: available,
+    returns: buildReturnScenarios(prices, options),
+    method: options.method ?? 'historical',
+    horizon: options.horizon ?? 252,
+    start: dates[0],
+    end: dates[dates.length - 1],
+  };
+}
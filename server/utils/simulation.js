@@ -0,0 +1,201 @@
+/**
+ * Monte Carlo wealth projection.
+ *
+ * Wealth is stepped monthly: W ← max(0, W · e^r + c), where r is the
+ * portfolio's monthly log return and c the contribution (negative for a
+ * withdrawal) due that month. A path that reaches zero stays depleted.
+ *
+ * Monthly log returns come from one of two models:
+ *   - 'parametric': r ~ N(μ/12, σ²/12), with μ and σ from computePortfolioStats
+ *     (the summary means are annualized log-return means);
+ *   - 'bootstrap': r is the sum of a random block of 21 consecutive daily
+ *     portfolio log returns from the price files in assets/, which keeps the
+ *     fat tails and short-range dependence of the real data.
+ *
+ * All randomness comes from a seeded generator (see random.js), so a request
+ * with the same inputs and seed always returns the same bands.
+ */
+
+import { alignPrices } from './backtest.js';
+import { CASH_TICKER } from './portfolio.js';
+import { createRng } from './random.js';
+
+const MONTHS = 12;
+const DAYS_PER_MONTH = 21;
+
+export const SIMULATION_METHODS = ['parametric', 'bootstrap'];
+export const CONTRIBUTION_FREQUENCIES = ['monthly', 'annual'];
+export const PERCENTILES = [5, 10, 25, 50, 75, 90, 95];
+
+/**
+ * Thrown for invalid simulation requests. `field` names the offending input.
+ */
+export class SimulationError extends Error {
+  constructor(field, message) {
+    super(message);
+    this.name = 'SimulationError';
+    this.field = field;
+  }
+}
+
+/**
+ * Daily log returns of a portfolio held at constant weights, over the dates
+ * all of its risky holdings traded. A CASH holding earns the risk-free rate.
+ * @param {Object<string, { date: string, close: number }[]>} histories - From fetchPriceHistory
+ * @param {{ ticker: string, weight: number }[]} holdings
+ * @param {number} [riskFreeRate=0] - Annual rate earned (or paid, if negative weight) on cash
+ * @returns {number[]}
+ */
+export function portfolioDailyReturns(histories, holdings, riskFreeRate = 0) {
+  const risky = holdings.filter(h => h.ticker !== CASH_TICKER);
+  const cashWeight = holdings.reduce((s, h) => s + (h.ticker === CASH_TICKER ? h.weight : 0), 0);
+  const cashGrowth = cashWeight * (1 + riskFreeRate / 252);
+  const { prices } = alignPrices(histories, risky.map(h => h.ticker), null, null);
+  const returns = [];
+  for (let t = 1; t < prices[0].length; t++) {
+    const growth = risky.reduce((s, h, i) => s + h.weight * (prices[i][t] / prices[i][t - 1]), cashGrowth);
+    returns.push(Math.log(growth));
+  }
+  return returns;
+}
+
+/**
+ * Value at the p-th percentile of a sorted array (linear interpolation).
+ */
+function percentile(sorted, p) {
+  const pos = (p / 100) * (sorted.length - 1);
+  const lo = Math.floor(pos);
+  const hi = Math.ceil(pos);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+/**
+ * Build the monthly log-return sampler for a simulation model.
+ */
+function createMonthSampler(rng, { method, mu, vol, dailyReturns }) {
+  if (method === 'bootstrap') {
+    const blocks = dailyReturns.length - DAYS_PER_MONTH + 1;
+    if (blocks < 1) throw new SimulationError('method', 'Not enough price history to bootstrap from');
+    return () => {
+      const start = rng.integer(blocks);
+      let r = 0;
+      for (let d = start; d < start + DAYS_PER_MONTH; d++) r += dailyReturns[d];
+      return r;
+    };
+  }
+  const monthlyMean = mu / MONTHS;
+  const monthlyVol = vol / Math.sqrt(MONTHS);
+  return () => monthlyMean + monthlyVol * rng.normal();
+}
+
+/**
+ * Simulate wealth paths and summarize them per year.
+ *
+ * @param {Object} params
+ * @param {'parametric'|'bootstrap'} [params.method='parametric']
+ * @param {number} [params.mu] - Annualized mean log return (parametric)
+ * @param {number} [params.vol] - Annualized volatility (parametric)
+ * @param {number[]} [params.dailyReturns] - Historical daily portfolio log returns (bootstrap)
+ * @param {number} params.initialBalance - Starting wealth
+ * @param {number} params.years - Horizon in whole years
+ * @param {number} [params.contribution=0] - Amount added each period (negative withdraws)
+ * @param {'monthly'|'annual'} [params.frequency='monthly'] - When contributions are made
+ * @param {number} [params.paths=5000] - Number of simulated paths
+ * @param {number} [params.seed=42] - RNG seed
+ * @returns {{ bands: Object[], probabilityOfLoss: number, probabilityOfDepletion: number, totalContributed: number, finalWealth: number[] }}
+ *   `bands[y]` holds the percentiles of wealth after y years; `finalWealth` is sorted.
+ */
+export function simulateWealth({
+  method = 'parametric',
+  mu,
+  vol,
+  dailyReturns,
+  initialBalance,
+  years,
+  contribution = 0,
+  frequency = 'monthly',
+  paths = 5000,
+  seed = 42,
+}) {
+  const rng = createRng(seed);
+  const sampleMonth = createMonthSampler(rng, { method, mu, vol, dailyReturns });
+
+  // yearly[y][p] = wealth of path p after y years
+  const yearly = Array.from({ length: years + 1 }, () => new Float64Array(paths));
+  let depleted = 0;
+  for (let p = 0; p < paths; p++) {
+    let wealth = initialBalance;
+    yearly[0][p] = wealth;
+    let hitZero = false;
+    for (let m = 1; m <= years * MONTHS; m++) {
+      if (!hitZero) {
+        wealth *= Math.exp(sampleMonth());
+        if (frequency === 'monthly' || m % MONTHS === 0) wealth += contribution;
+        if (wealth <= 0) {
+          wealth = 0;
+          hitZero = true;
+        }
+      }
+      if (m % MONTHS === 0) yearly[m / MONTHS][p] = wealth;
+    }
+    if (hitZero) depleted++;
+  }
+
+  const periodsPerYear = frequency === 'monthly' ? MONTHS : 1;
+  const totalContributed = contribution * periodsPerYear * years;
+
+  const bands = yearly.map((values, year) => {
+    const sorted = Float64Array.from(values).sort();
+    const band = { year, mean: sorted.reduce((s, x) => s + x, 0) / paths };
+    for (const q of PERCENTILES) band[`p${q}`] = percentile(sorted, q);
+    return band;
+  });
+
+  const finalWealth = Float64Array.from(yearly[years]).sort();
+  // A loss is ending with less than the net amount paid in (withdrawals count negative)
+  const breakEven = initialBalance + totalContributed;
+  const losses = finalWealth.reduce((n, w) => n + (w < breakEven ? 1 : 0), 0);
+
+  return {
+    bands,
+    probabilityOfLoss: losses / paths,
+    probabilityOfDepletion: depleted / paths,
+    totalContributed,
+    finalWealth,
+  };
+}
+
+/**
+ * Simulate per-path growth factors for a lump sum and a level monthly contribution.
+ *
+ * For path p, terminal wealth with initial balance W₀ and a contribution c at
+ * the end of every month is W₀ · lump[p] + c · annuity[p], where lump[p] is the
+ * growth of $1 over the horizon and annuity[p] the terminal value of $1 paid
+ * monthly. Because wealth is linear in c path by path, success probabilities
+ * and required contributions follow without re-simulating.
+ *
+ * @param {Object} params - method, mu, vol, dailyReturns as for simulateWealth
+ * @param {number} params.months - Horizon in months
+ * @param {number} [params.paths=5000]
+ * @param {number} [params.seed=42]
+ * @returns {{ lump: Float64Array, annuity: Float64Array }}
+ */
+export function simulateGrowthFactors({ method = 'parametric', mu, vol, dailyReturns, months, paths = 5000, seed = 42 }) {
+  const rng = createRng(seed);
+  const sampleMonth = createMonthSampler(rng, { method, mu, vol, dailyReturns });
+  const lump = new Float64Array(paths);
+  const annuity = new Float64Array(paths);
+
+  for (let p = 0; p < paths; p++) {
+    let growth = 1;
+    let saved = 0;
+    for (let m = 0; m < months; m++) {
+      const g = Math.exp(sampleMonth());
+      growth *= g;
+      saved = saved * g + 1;
+    }
+    lump[p] = growth;
+    annuity[p] = saved;
+  }
+  return { lump, annuity };
+}
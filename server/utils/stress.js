@@ -0,0 +1,166 @@
+/**
+ * Stress testing: portfolio P&L under historical episodes and hypothetical shocks.
+ *
+ * Historical episodes replay the actual price moves between two dates in
+ * assets/*.csv. Hypothetical scenarios fix the return of some tickers or asset
+ * classes and propagate it to every other asset through the covariance matrix:
+ * with the shocked combinations written as A·r = s, the other assets move by
+ * their conditional expectation E[r | A·r = s] = Σ Aᵀ (A Σ Aᵀ)⁻¹ s. A class
+ * shock constrains the equal-weighted average of that class's members.
+ *
+ * A CASH holding is treated as flat in every scenario.
+ *
+ * A hypothetical scenario looks like:
+ *
+ *   { name: 'Equity crash', shocks: { equity: -0.30, TLT: 0.10 } }
+ */
+
+import { ASSET_CLASSES, getAssetClass } from './assets.js';
+import { invertMatrix, CASH_TICKER } from './portfolio.js';
+
+/**
+ * Built-in historical episodes (peak-to-trough windows).
+ */
+export const HISTORICAL_EPISODES = {
+  'covid-2020': { name: '2020 COVID Crash', start: '2020-02-19', end: '2020-03-23' },
+  'rate-shock-2022': { name: '2022 Rate Shock', start: '2022-01-03', end: '2022-10-12' },
+  'energy-2015': { name: '2015–16 Energy Selloff', start: '2015-06-01', end: '2016-02-11' },
+};
+
+/**
+ * Thrown for invalid stress requests. `field` names the offending input.
+ */
+export class StressError extends Error {
+  constructor(field, message) {
+    super(message);
+    this.name = 'StressError';
+    this.field = field;
+  }
+}
+
+/**
+ * Close on the first trading day on/after `date` (or on/before it, when `before`).
+ */
+function closeNear(history, date, before = false) {
+  if (before) {
+    for (let i = history.length - 1; i >= 0; i--) if (history[i].date <= date) return history[i];
+  } else {
+    for (const point of history) if (point.date >= date) return point;
+  }
+  return null;
+}
+
+/**
+ * Per-holding attribution: contribution_i = w_i · r_i, summing to the portfolio P&L.
+ */
+function attribute(holdings, assetReturns) {
+  const returnOf = ticker => (ticker === CASH_TICKER ? 0 : assetReturns[ticker] ?? null);
+  const attribution = holdings.map(h => ({
+    ticker: h.ticker,
+    weight: h.weight,
+    assetReturn: returnOf(h.ticker),
+    contribution: returnOf(h.ticker) === null ? null : h.weight * returnOf(h.ticker),
+  }));
+  const covered = attribution.filter(a => a.contribution !== null);
+  return {
+    portfolioReturn: covered.reduce((s, a) => s + a.contribution, 0),
+    coverage: covered.reduce((s, a) => s + a.weight, 0),
+    attribution: attribution.sort((a, b) => (a.contribution ?? 0) - (b.contribution ?? 0)),
+  };
+}
+
+/**
+ * Replay a historical episode.
+ * @param {{ ticker: string, weight: number }[]} holdings
+ * @param {Object<string, { date: string, close: number }[]>} histories - From fetchPriceHistory
+ * @param {{ name: string, start: string, end: string }} episode
+ */
+export function runHistoricalScenario(holdings, histories, episode) {
+  const assetReturns = {};
+  for (const { ticker } of holdings) {
+    const history = histories[ticker];
+    if (!history?.length || history[0].date > episode.start) continue;
+    const from = closeNear(history, episode.start);
+    const to = closeNear(history, episode.end, true);
+    if (from && to && to.date > from.date) assetReturns[ticker] = to.close / from.close - 1;
+  }
+  return { type: 'historical', name: episode.name, start: episode.start, end: episode.end, ...attribute(holdings, assetReturns) };
+}
+
+/**
+ * Conditional expected returns of every asset given the shocks.
+ * @param {Object<string, number>} shocks - Return per ticker or asset class key
+ * @param {string[]} tickers - Tickers of the covariance matrix
+ * @param {number[][]} covMatrix
+ * @returns {Object<string, number>} Implied return per ticker
+ */
+export function propagateShocks(shocks, tickers, covMatrix) {
+  const n = tickers.length;
+  const rows = [];
+  const targets = [];
+  for (const [key, value] of Object.entries(shocks)) {
+    const row = new Array(n).fill(0);
+    if (ASSET_CLASSES.includes(key)) {
+      const members = tickers.map((t, i) => (getAssetClass(t) === key ? i : -1)).filter(i => i >= 0);
+      if (members.length === 0) throw new StressError(`shocks.${key}`, `No assets in class ${key}`);
+      for (const i of members) row[i] = 1 / members.length;
+    } else {
+      const i = tickers.indexOf(key);
+      if (i < 0) throw new StressError(`shocks.${key}`, `Unknown ticker or asset class: ${key}`);
+      row[i] = 1;
+    }
+    rows.push(row);
+    targets.push(value);
+  }
+
+  // Σ Aᵀ and A Σ Aᵀ
+  const sigmaAt = covMatrix.map(covRow => rows.map(a => a.reduce((s, aj, j) => s + aj * covRow[j], 0)));
+  const gram = rows.map(a => rows.map((_, k) => a.reduce((s, ai, i) => s + ai * sigmaAt[i][k], 0)));
+  const gramInv = invertMatrix(gram.map(r => [...r]));
+  const solved = gramInv.map(r => r.reduce((s, x, k) => s + x * targets[k], 0));
+  const implied = sigmaAt.map(r => r.reduce((s, x, k) => s + x * solved[k], 0));
+
+  // Redundant shocks make A Σ Aᵀ singular; the regularized inverse then misses the targets
+  rows.forEach((a, k) => {
+    const hit = a.reduce((s, ai, i) => s + ai * implied[i], 0);
+    if (Math.abs(hit - targets[k]) > 1e-6) {
+      throw new StressError('shocks', 'Shocks are inconsistent: the same exposure is shocked more than once');
+    }
+  });
+
+  return Object.fromEntries(tickers.map((t, i) => [t, implied[i]]));
+}
+
+/**
+ * Apply a hypothetical scenario.
+ * @param {{ ticker: string, weight: number }[]} holdings
+ * @param {{ name: string, shocks: Object<string, number> }} scenario
+ * @param {string[]} tickers - Tickers of the covariance matrix
+ * @param {number[][]} covMatrix
+ */
+export function runHypotheticalScenario(holdings, scenario, tickers, covMatrix) {
+  const implied = propagateShocks(scenario.shocks, tickers, covMatrix);
+  // Returns below −100% are not possible for long-only holdings
+  const assetReturns = Object.fromEntries(Object.entries(implied).map(([t, r]) => [t, Math.max(r, -1)]));
+  return { type: 'hypothetical', name: scenario.name, shocks: scenario.shocks, ...attribute(holdings, assetReturns) };
+}
+
+/**
+ * Validate user-defined scenarios.
+ * @returns {{ name: string, shocks: Object<string, number> }[]}
+ */
+export function readScenarios(scenarios) {
+  if (!Array.isArray(scenarios)) throw new StressError('scenarios', 'scenarios must be an array');
+  return scenarios.map((scenario, k) => {
+    const shocks = scenario?.shocks;
+    if (!shocks || typeof shocks !== 'object' || Object.keys(shocks).length === 0) {
+      throw new StressError(`scenarios.${k}.shocks`, 'each scenario needs at least one shock');
+    }
+    for (const [key, value] of Object.entries(shocks)) {
+      if (typeof value !== 'number' || !(value >= -1) || value > 10) {
+        throw new StressError(`scenarios.${k}.shocks.${key}`, `shock for ${key} must be a return between -1 and 10`);
+      }
+    }
+    return { name: typeof scenario.name === 'string' ? scenario.name : `Scenario ${k + 1}`, shocks };
+  });
+}
@@ -0,0 +1,78 @@
+/**
+ * Tail-risk metrics of a portfolio from the daily prices in assets/.
+ *
+ * The portfolio is held at constant weights (rebalanced daily, as in
+ * portfolioDailyReturns) over the dates all of its risky holdings traded:
+ *   - VaR and CVaR of overlapping 21-day returns, as positive losses;
+ *   - the maximum peak-to-trough drawdown;
+ *   - the worst complete calendar year.
+ * A CASH holding earns (or, when negative, pays) the risk-free rate.
+ */
+
+import { alignPrices, computePerformanceMetrics } from './backtest.js';
+import { computeTailLoss, CASH_TICKER } from './portfolio.js';
+
+export const TAIL_CONFIDENCE_LEVELS = [0.95, 0.99];
+
+const HORIZON_DAYS = 21;
+
+/**
+ * Return of each complete calendar year, measured from the previous year's last close.
+ */
+function calendarYearReturns(values, dates) {
+  const lastIndex = new Map();
+  dates.forEach((date, t) => lastIndex.set(date.slice(0, 4), t));
+  const years = [...lastIndex.keys()];
+  // The first year has no prior close; the last may still be running
+  return years.slice(1, -1).map((year, k) => ({
+    year: Number(year),
+    return: values[lastIndex.get(year)] / values[lastIndex.get(years[k])] - 1,
+  }));
+}
+
+/**
+ * Tail-risk metrics for one portfolio.
+ * @param {Object<string, { date: string, close: number }[]>} histories - From fetchPriceHistory
+ * @param {{ ticker: string, weight: number }[]} holdings - Rescaled to sum to 1 (display filtering drops dust)
+ * @param {number} [riskFreeRate=0] - Annual rate on the cash holding
+ * @returns {{ horizonDays: number, var95: number, cvar95: number, var99: number, cvar99: number,
+ *   maxDrawdown: { value: number, peak: string, trough: string }, worstYear: { year: number, return: number }|null,
+ *   start: string, end: string }}
+ */
+export function computeTailRisk(histories, holdings, riskFreeRate = 0) {
+  const total = holdings.reduce((s, h) => s + h.weight, 0);
+  const risky = holdings.filter(h => h.ticker !== CASH_TICKER);
+  const cashWeight = holdings.reduce((s, h) => s + (h.ticker === CASH_TICKER ? h.weight : 0), 0) / total;
+  // An all-cash portfolio has no prices of its own; it earns the rate over the dates every asset traded
+  const calendar = risky.length > 0 ? risky.map(h => h.ticker) : Object.keys(histories);
+  const { dates, prices } = alignPrices(histories, calendar, null, null);
+
+  const values = [1];
+  for (let t = 1; t < dates.length; t++) {
+    const growth = risky.reduce(
+      (s, h, i) => s + (h.weight / total) * (prices[i][t] / prices[i][t - 1]),
+      cashWeight * (1 + riskFreeRate / 252),
+    );
+    values.push(values[t - 1] * growth);
+  }
+
+  const losses = [];
+  for (let t = 0; t + HORIZON_DAYS < values.length; t++) losses.push(1 - values[t + HORIZON_DAYS] / values[t]);
+
+  const metrics = { horizonDays: HORIZON_DAYS };
+  for (const alpha of TAIL_CONFIDENCE_LEVELS) {
+    const level = Math.round(alpha * 100);
+    const tail = computeTailLoss(losses, alpha);
+    metrics[`var${level}`] = tail.var;
+    metrics[`cvar${level}`] = tail.cvar;
+  }
+
+  const years = calendarYearReturns(values, dates);
+  return {
+    ...metrics,
+    maxDrawdown: computePerformanceMetrics(values, dates).maxDrawdown,
+    worstYear: years.length ? years.reduce((a, b) => (b.return < a.return ? b : a)) : null,
+    start: dates[0],
+    end: dates[dates.length - 1],
+  };
+}
@@ -0,0 +1,127 @@
+/**
+ * Named investment universes: the ticker menus portfolios are optimized over.
+ *
+ * Built-in universes are defined here and cannot be replaced; custom ones are
+ * defined through POST /api/universes and stored in data/universes.json
+ * (not tracked by git).
+ * Every ticker must be in the asset registry (assets.js) and in the current
+ * dataset, so the optimizer has inputs for it.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { DEFAULT_UNIVERSE, getAsset, listAssets } from './assets.js';
+import { loadDataset } from './dataset.js';
+
+const UNIVERSES_PATH = path.join(process.cwd(), 'data', 'universes.json');
+
+const NAME_PATTERN = /^[a-z0-9][a-z0-9-]{0,39}$/;
+
+export const DEFAULT_UNIVERSE_NAME = 'default';
+
+const BUILT_IN_UNIVERSES = [
+  {
+    name: DEFAULT_UNIVERSE_NAME,
+    label: 'Curated 20',
+    description: 'Broad US and international equity, Treasuries and credit, real estate, commodities and sectors',
+    tickers: DEFAULT_UNIVERSE,
+  },
+  {
+    name: 'core-10',
+    label: 'Core 10',
+    description: 'A ten-fund lineup covering the main asset classes',
+    tickers: ['SPY', 'IWM', 'EFA', 'EEM', 'BND', 'TLT', 'SHY', 'LQD', 'VNQ', 'GLD'],
+  },
+  {
+    name: 'income',
+    label: 'Income',
+    description: 'Bond-heavy menu for income: Treasuries, credit, munis, preferreds and real estate, with some equity',
+    tickers: ['BND', 'AGG', 'IEF', 'SHY', 'TIPZ', 'LQD', 'VCLT', 'HYLB', 'MBB', 'EMLC', 'VTEB', 'PFF', 'VNQ', 'VTV', 'SPY'],
+  },
+  {
+    name: 'esg',
+    label: 'ESG',
+    description: 'ESG-screened funds, with government and municipal bonds; no sector, commodity or corporate-credit funds',
+    // Registry entries flagged `esg`, so newly added screened funds join automatically
+    tickers: [...listAssets().filter(a => a.esg).map(a => a.ticker), 'GOVT', 'IEF', 'SHY', 'TIPZ', 'VTEB'],
+  },
+];
+
+/**
+ * Thrown for unknown or invalid universes. `field` names the offending input.
+ */
+export class UniverseError extends Error {
+  constructor(field, message) {
+    super(message);
+    this.name = 'UniverseError';
+    this.field = field;
+  }
+}
+
+function readCustomUniverses() {
+  try {
+    return JSON.parse(fs.readFileSync(UNIVERSES_PATH, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+}
+
+/**
+ * All universes, built-in first.
+ * @returns {{ name: string, label: string, description: string, tickers: string[], builtIn: boolean }[]}
+ */
+export function listUniverses() {
+  return [
+    ...BUILT_IN_UNIVERSES.map(u => ({ ...u, builtIn: true })),
+    ...readCustomUniverses().map(u => ({ ...u, builtIn: false })),
+  ];
+}
+
+/**
+ * Look up a universe by name.
+ * @param {string} [name=DEFAULT_UNIVERSE_NAME]
+ * @returns {{ name: string, label: string, description: string, tickers: string[], builtIn: boolean }}
+ */
+export function getUniverse(name = DEFAULT_UNIVERSE_NAME) {
+  if (typeof name !== 'string') throw new UniverseError('universe', 'universe must be a universe name');
+  const universe = listUniverses().find(u => u.name === name);
+  if (!universe) throw new UniverseError('universe', `Unknown universe: ${name}`);
+  return universe;
+}
+
+/**
+ * Validate and store a custom universe, replacing any custom one of the same name.
+ * @param {{ name: string, label?: string, description?: string, tickers: string[] }} definition
+ * @returns {{ name: string, label: string, description: string, tickers: string[], builtIn: false }}
+ */
+export function saveUniverse(definition) {
+  const { name, label = name, description = '', tickers } = definition ?? {};
+  if (typeof name !== 'string' || !NAME_PATTERN.test(name)) {
+    throw new UniverseError('name', 'name must be 1–40 lowercase letters, digits or dashes');
+  }
+  if (BUILT_IN_UNIVERSES.some(u => u.name === name)) {
+    throw new UniverseError('name', `${name} is a built-in universe and cannot be replaced`);
+  }
+  if (typeof label !== 'string' || label.length > 60) throw new UniverseError('label', 'label must be a string of at most 60 characters');
+  if (typeof description !== 'string' || description.length > 200) {
+    throw new UniverseError('description', 'description must be a string of at most 200 characters');
+  }
+  if (!Array.isArray(tickers) || tickers.some(t => typeof t !== 'string')) {
+    throw new UniverseError('tickers', 'tickers must be an array of ticker symbols');
+  }
+
+  const normalized = [...new Set(tickers.map(t => t.trim().toUpperCase()))];
+  if (normalized.length < 2) throw new UniverseError('tickers', 'a universe needs at least two tickers');
+  const unknown = normalized.filter(t => !getAsset(t));
+  if (unknown.length > 0) throw new UniverseError('tickers', `Not in the asset registry: ${unknown.join(', ')}`);
+  const available = new Set(loadDataset().assets.map(a => a.ticker));
+  const missing = normalized.filter(t => !available.has(t));
+  if (missing.length > 0) throw new UniverseError('tickers', `Not in the current dataset: ${missing.join(', ')}`);
+
+  const universe = { name, label, description, tickers: normalized };
+  const custom = readCustomUniverses().filter(u => u.name !== name);
+  fs.mkdirSync(path.dirname(UNIVERSES_PATH), { recursive: true });
+  fs.writeFileSync(UNIVERSES_PATH, JSON.stringify([...custom, universe], null, 2) + '\n');
+  return { ...universe, builtIn: false };
+}
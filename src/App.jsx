@@ -4,6 +4,7 @@ import Home from './pages/Home.jsx';
 import Assessment from './pages/Assessment.jsx';
 import Results from './pages/Results.jsx';
 import Portfolio from './pages/Portfolio.jsx';
+import Goals from './pages/Goals.jsx';
 
 export default function App() {
   return (
@@ -14,6 +15,7 @@ export default function App() {
           <Route path="/assess" element={<Assessment />} />
           <Route path="/results" element={<Results />} />
           <Route path="/portfolio" element={<Portfolio />} />
+          <Route path="/goals" element={<Goals />} />
         </Routes>
       </Layout>
     </BrowserRouter>
@@ -0,0 +1,161 @@
+import { useEffect, useState } from 'react';
+
+/**
+ * Upload daily price CSVs of assets outside the bundled universe (company
+ * stock, a 401(k) fund, ...). Uploads belong to a server-side session whose id
+ * the parent keeps; `onChange` fires after every upload or removal.
+ */
+
+const ASSET_CLASSES = [
+  { value: 'equity', label: 'Equity' },
+  { value: 'bonds', label: 'Bonds' },
+  { value: 'alts', label: 'Alternatives' },
+];
+
+const formatPct = (val) => `${(val * 100).toFixed(1)}%`;
+
+export default function CustomAssetUpload({ sessionId, onSessionChange, onChange }) {
+  const [assets, setAssets] = useState([]);
+  const [ticker, setTicker] = useState('');
+  const [name, setName] = useState('');
+  const [assetClass, setAssetClass] = useState('equity');
+  const [file, setFile] = useState(null);
+  const [uploading, setUploading] = useState(false);
+  const [error, setError] = useState(null);
+  const [warnings, setWarnings] = useState([]);
+
+  useEffect(() => {
+    if (!sessionId) {
+      setAssets([]);
+      return;
+    }
+    fetch('/api/assets/uploads', { headers: { 'X-Session-Id': sessionId } })
+      .then(res => res.json().then(data => ({ ok: res.ok, data })))
+      .then(({ ok, data }) => {
+        if (ok) setAssets(data.assets);
+        else if (data.field === 'session') onSessionChange(null);
+      })
+      .catch(err => console.error(err));
+  }, [sessionId, onSessionChange]);
+
+  const upload = async (e) => {
+    e.preventDefault();
+    if (!file) return;
+    setUploading(true);
+    setError(null);
+    setWarnings([]);
+    try {
+      const params = new URLSearchParams({ ticker, assetClass, ...(name.trim() && { name: name.trim() }) });
+      const res = await fetch(`/api/assets/upload?${params}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'text/csv', ...(sessionId && { 'X-Session-Id': sessionId }) },
+        body: await file.text(),
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        if (data.field === 'session') onSessionChange(null);
+        throw new Error(data.error);
+      }
+      setAssets(prev => [...prev.filter(a => a.ticker !== data.asset.ticker), data.asset]);
+      setWarnings(data.asset.warnings);
+      setTicker('');
+      setName('');
+      e.target.reset();
+      setFile(null);
+      if (data.sessionId !== sessionId) onSessionChange(data.sessionId);
+      onChange();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const remove = async (symbol) => {
+    const res = await fetch(`/api/assets/upload/${encodeURIComponent(symbol)}`, {
+      method: 'DELETE',
+      headers: { 'X-Session-Id': sessionId },
+    });
+    if (res.ok || res.status === 404) {
+      setAssets(prev => prev.filter(a => a.ticker !== symbol));
+      onChange();
+    }
+  };
+
+  return (
+    <div className="w-full">
+      <h3 className="text-lg font-semibold text-gray-700 mb-1">Your Own Assets</h3>
+      <p className="text-sm text-gray-500 mb-4">
+        Add a holding we don&apos;t cover with a CSV of daily prices (Date and Close columns, at least a year
+        overlapping our data). It joins every universe for this browser session only.
+      </p>
+      {assets.length > 0 && (
+        <table className="w-full text-left text-sm mb-4">
+          <thead>
+            <tr className="border-b border-gray-200">
+              <th className="py-2 font-medium text-gray-500">Asset</th>
+              <th className="py-2 font-medium text-gray-500">History</th>
+              <th className="py-2 font-medium text-gray-500 text-right">Exp. Return</th>
+              <th className="py-2 font-medium text-gray-500 text-right">Volatility</th>
+              <th className="py-2" />
+            </tr>
+          </thead>
+          <tbody>
+            {assets.map(a => (
+              <tr key={a.ticker} className="border-b border-gray-100">
+                <td className="py-2 text-gray-700">
+                  <span className="font-semibold">{a.ticker}</span>
+                  {a.name !== a.ticker && <span className="text-gray-400"> · {a.name}</span>}
+                </td>
+                <td className="py-2 text-gray-500">{a.firstDate} → {a.lastDate}</td>
+                <td className="py-2 text-right text-gray-700">{formatPct(a.expectedReturn)}</td>
+                <td className="py-2 text-right text-gray-700">{formatPct(a.volatility)}</td>
+                <td className="py-2 text-right">
+                  <button onClick={() => remove(a.ticker)} className="text-gray-400 hover:text-[#F81894]">Remove</button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      <form onSubmit={upload} className="flex flex-wrap items-center gap-3 text-sm text-gray-600">
+        <input
+          value={ticker}
+          onChange={e => setTicker(e.target.value.toUpperCase())}
+          placeholder="Ticker"
+          required
+          maxLength={12}
+          className="w-24 border border-gray-200 rounded-lg px-2 py-1 text-gray-700"
+        />
+        <input
+          value={name}
+          onChange={e => setName(e.target.value)}
+          placeholder="Name (optional)"
+          maxLength={60}
+          className="w-44 border border-gray-200 rounded-lg px-2 py-1 text-gray-700"
+        />
+        <select
+          value={assetClass}
+          onChange={e => setAssetClass(e.target.value)}
+          className="border border-gray-200 rounded-lg px-2 py-1 bg-white text-gray-700"
+        >
+          {ASSET_CLASSES.map(c => (
+            <option key={c.value} value={c.value}>{c.label}</option>
+          ))}
+        </select>
+        <input type="file" accept=".csv,text/csv" required onChange={e => setFile(e.target.files[0] ?? null)} />
+        <button
+          type="submit"
+          disabled={uploading || !file}
+          className="bg-[#F81894] hover:bg-[#99004C] disabled:opacity-50 text-white font-semibold py-1.5 px-4 rounded-lg transition-colors"
+        >
+          {uploading ? 'Uploading…' : 'Upload'}
+        </button>
+      </form>
+      {error && <p className="text-sm text-red-500 mt-2">{error}</p>}
+      {warnings.map(w => (
+        <p key={w} className="text-sm text-amber-600 mt-2">Warning: {w}</p>
+      ))}
+    </div>
+  );
+}
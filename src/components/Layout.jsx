@@ -5,6 +5,7 @@ const navLinks = [
   { path: '/assess', label: 'Assessment' },
   { path: '/results', label: 'Results' },
   { path: '/portfolio', label: 'Portfolio' },
+  { path: '/goals', label: 'Goals' },
 ];
 
 export default function Layout({ children }) {
@@ -7,7 +7,8 @@ const COLORS = [
 ];
 
 export default function PortfolioPie({ portfolio }) {
-  const data = portfolio.map(h => ({
+  // A negative cash leg (borrowing) can't be drawn as a slice
+  const data = portfolio.filter(h => h.weight > 0).map(h => ({
     name: h.ticker,
     value: parseFloat((h.weight * 100).toFixed(1)),
   }));
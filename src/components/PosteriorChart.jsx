@@ -0,0 +1,69 @@
+import { ComposedChart, Area, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ReferenceArea, ReferenceLine, ResponsiveContainer } from 'recharts';
+
+/**
+ * Posterior density of γ against the prior, with the credible interval
+ * shaded and the posterior mean marked.
+ */
+
+// Beyond this the density is negligible for almost every respondent
+const X_MAX = 8;
+
+export default function PosteriorChart({ posterior }) {
+  const data = posterior.grid
+    .filter(p => p.gamma <= X_MAX)
+    .map(p => ({ gamma: Number(p.gamma.toFixed(2)), posterior: p.density, prior: p.prior }));
+  const [lo, hi] = posterior.credibleInterval;
+
+  return (
+    <div className="w-full">
+      <h3 className="text-lg font-semibold text-gray-700 mb-4">How Sure We Are</h3>
+      <ResponsiveContainer width="100%" height={300}>
+        <ComposedChart data={data} margin={{ top: 5, right: 20, bottom: 20, left: 10 }}>
+          <CartesianGrid strokeDasharray="3 3" stroke="#f0f0f0" />
+          <XAxis
+            dataKey="gamma"
+            type="number"
+            domain={[0, X_MAX]}
+            label={{ value: 'Risk aversion (γ)', position: 'insideBottom', offset: -10 }}
+            tick={{ fontSize: 12 }}
+          />
+          <YAxis
+            label={{ value: 'Density', angle: -90, position: 'insideLeft', offset: 10 }}
+            tick={{ fontSize: 12 }}
+            tickFormatter={(val) => val.toFixed(1)}
+          />
+          <Tooltip
+            formatter={(val) => val.toFixed(3)}
+            labelFormatter={(val) => `γ = ${val}`}
+          />
+          <Legend verticalAlign="top" />
+          <ReferenceArea x1={lo} x2={Math.min(hi, X_MAX)} fill="#F81894" fillOpacity={0.08} />
+          <Area
+            type="monotone"
+            dataKey="posterior"
+            name="Your posterior"
+            stroke="#F81894"
+            strokeWidth={3}
+            fill="#F81894"
+            fillOpacity={0.15}
+            dot={false}
+          />
+          <Line
+            type="monotone"
+            dataKey="prior"
+            name="Prior (typical investor)"
+            stroke="#9ca3af"
+            strokeWidth={1.5}
+            strokeDasharray="5 5"
+            dot={false}
+          />
+          <ReferenceLine x={posterior.mean} stroke="#99004C" strokeDasharray="3 3" />
+        </ComposedChart>
+      </ResponsiveContainer>
+      <p className="text-sm text-gray-500 mt-2 text-center">
+        The shaded band holds 95% of the probability: γ between {lo.toFixed(1)} and {hi.toFixed(1)}.
+        {' '}A narrower curve means your answers pinned your risk aversion down more precisely.
+      </p>
+    </div>
+  );
+}
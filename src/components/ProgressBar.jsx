@@ -1,10 +1,13 @@
-export default function ProgressBar({ current, total }) {
+/**
+ * Question progress; with `upTo`, `total` is a maximum the assessment may stop short of.
+ */
+export default function ProgressBar({ current, total, upTo = false }) {
   const pct = Math.round((current / total) * 100);
 
   return (
     <div className="w-full">
       <div className="flex justify-between text-sm text-gray-500 mb-1">
-        <span>Question {current} of {total}</span>
+        <span>Question {current} of {upTo ? 'up to ' : ''}{total}</span>
         <span>{pct}%</span>
       </div>
       <div className="w-full h-3 bg-gray-200 rounded-full overflow-hidden">
@@ -0,0 +1,26 @@
+import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+
+export default function RiskContributionChart({ portfolio }) {
+  const data = portfolio.map(h => ({
+    name: h.ticker,
+    weight: parseFloat((h.weight * 100).toFixed(1)),
+    risk: parseFloat((h.riskContributionPct * 100).toFixed(1)),
+  }));
+
+  return (
+    <div className="w-full">
+      <h3 className="text-lg font-semibold text-gray-700 mb-4">Risk Contribution</h3>
+      <ResponsiveContainer width="100%" height={350}>
+        <BarChart data={data} margin={{ top: 10, right: 20, bottom: 10, left: 10 }}>
+          <CartesianGrid strokeDasharray="3 3" stroke="#f0f0f0" />
+          <XAxis dataKey="name" tick={{ fontSize: 11 }} interval={0} />
+          <YAxis tick={{ fontSize: 12 }} tickFormatter={v => `${v}%`} />
+          <Tooltip formatter={(val, name) => [`${val}%`, name]} />
+          <Legend verticalAlign="top" />
+          <Bar dataKey="weight" name="Weight" fill="#FF66B2" radius={[4, 4, 0, 0]} />
+          <Bar dataKey="risk" name="Share of Variance" fill="#99004C" radius={[4, 4, 0, 0]} />
+        </BarChart>
+      </ResponsiveContainer>
+    </div>
+  );
+}
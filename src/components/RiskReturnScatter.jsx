@@ -1,21 +1,22 @@
 import { ScatterChart, Scatter, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, Legend } from 'recharts';
 
 /**
- * Scatter plot showing template portfolios on a risk-return plane,
- * with the user's optimal portfolio highlighted.
+ * Risk-return plane: the efficient frontier as a curve, with individual assets,
+ * template portfolios, the tangency portfolio and the user's optimal portfolio
+ * plotted against it.
  */
-export default function RiskReturnScatter({ optimal, templates }) {
-  const optimalPoint = [{
-    x: parseFloat((optimal.volatility * 100).toFixed(2)),
-    y: parseFloat((optimal.expectedReturn * 100).toFixed(2)),
-    name: 'Your Portfolio',
-  }];
+export default function RiskReturnScatter({ optimal, templates, frontier = [], tangency = null, assets = [] }) {
+  const toPoint = (p, name) => ({
+    x: parseFloat((p.volatility * 100).toFixed(2)),
+    y: parseFloat((p.expectedReturn * 100).toFixed(2)),
+    name,
+  });
 
-  const templatePoints = templates.map(t => ({
-    x: parseFloat((t.volatility * 100).toFixed(2)),
-    y: parseFloat((t.expectedReturn * 100).toFixed(2)),
-    name: t.name,
-  }));
+  const optimalPoint = [toPoint(optimal, 'Your Portfolio')];
+  const templatePoints = templates.map(t => toPoint(t, t.name));
+  const frontierPoints = frontier.map((p, i) => toPoint(p, `Frontier point ${i + 1}`));
+  const assetPoints = assets.map(a => toPoint(a, a.ticker));
+  const tangencyPoint = tangency ? [toPoint(tangency, 'Tangency Portfolio')] : [];
 
   const CustomTooltip = ({ active, payload }) => {
     if (active && payload && payload.length) {
@@ -53,6 +54,25 @@ export default function RiskReturnScatter({ optimal, templates }) {
           />
           <Tooltip content={<CustomTooltip />} />
           <Legend verticalAlign="top" />
+          {frontierPoints.length > 0 && (
+            <Scatter
+              name="Efficient Frontier"
+              data={frontierPoints}
+              fill="#99004C"
+              line={{ stroke: '#99004C', strokeWidth: 2 }}
+              lineType="joint"
+              shape={() => null}
+            />
+          )}
+          {assetPoints.length > 0 && (
+            <Scatter
+              name="Individual Assets"
+              data={assetPoints}
+              fill="#9ca3af"
+              fillOpacity={0.6}
+              r={4}
+            />
+          )}
           <Scatter
             name="Template Portfolios"
             data={templatePoints}
@@ -60,6 +80,15 @@ export default function RiskReturnScatter({ optimal, templates }) {
             fillOpacity={0.7}
             r={6}
           />
+          {tangencyPoint.length > 0 && (
+            <Scatter
+              name="Tangency"
+              data={tangencyPoint}
+              fill="#6366f1"
+              shape="diamond"
+              r={8}
+            />
+          )}
           <Scatter
             name="Your Optimal"
             data={optimalPoint}
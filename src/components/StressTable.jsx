@@ -0,0 +1,63 @@
+import { Fragment, useState } from 'react';
+
+/**
+ * Portfolio P&L per stress scenario; clicking a row shows which holdings drove it.
+ */
+
+const formatPct = (val) => `${val >= 0 ? '+' : ''}${(val * 100).toFixed(1)}%`;
+
+export default function StressTable({ scenarios }) {
+  const [expanded, setExpanded] = useState(null);
+
+  return (
+    <div className="w-full">
+      <h3 className="text-lg font-semibold text-gray-700 mb-4">Stress Tests</h3>
+      <table className="w-full text-left text-sm">
+        <thead>
+          <tr className="border-b border-gray-200">
+            <th className="py-2 font-medium text-gray-500">Scenario</th>
+            <th className="py-2 font-medium text-gray-500 text-right">Portfolio P&L</th>
+          </tr>
+        </thead>
+        <tbody>
+          {scenarios.map(s => (
+            <Fragment key={s.name}>
+              <tr
+                onClick={() => setExpanded(expanded === s.name ? null : s.name)}
+                className="border-b border-gray-100 cursor-pointer hover:bg-gray-50"
+              >
+                <td className="py-2 text-gray-700">
+                  {s.name}
+                  <div className="text-xs text-gray-400">
+                    {s.type === 'historical' ? `${s.start} → ${s.end}` : 'Hypothetical shock'}
+                    {s.coverage < 0.999 && ` · ${(s.coverage * 100).toFixed(0)}% of holdings covered`}
+                  </div>
+                </td>
+                <td className={`py-2 text-right font-semibold ${s.portfolioReturn < 0 ? 'text-red-500' : 'text-green-600'}`}>
+                  {formatPct(s.portfolioReturn)}
+                </td>
+              </tr>
+              {expanded === s.name && (
+                <tr className="border-b border-gray-100 bg-gray-50">
+                  <td colSpan={2} className="py-2 px-3">
+                    {s.attribution.map(a => (
+                      <div key={a.ticker} className="flex justify-between text-xs text-gray-600 py-0.5">
+                        <span>{a.ticker} ({(a.weight * 100).toFixed(1)}%)</span>
+                        <span>
+                          {a.contribution === null
+                            ? 'no data'
+                            : `${formatPct(a.assetReturn)} → ${formatPct(a.contribution)}`}
+                        </span>
+                      </div>
+                    ))}
+                  </td>
+                </tr>
+              )}
+            </Fragment>
+          ))}
+        </tbody>
+      </table>
+      <p className="text-xs text-gray-400 mt-3">Click a scenario to see each holding's contribution.</p>
+    </div>
+  );
+}
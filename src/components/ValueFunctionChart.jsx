@@ -0,0 +1,72 @@
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ReferenceLine, ResponsiveContainer } from 'recharts';
+import { prospectValue } from '../utils/prospectTheory.js';
+
+/**
+ * Plots the prospect-theory value function at the posterior means, with the
+ * loss-neutral line v(x) = x for comparison.
+ */
+
+const X_RANGE = 100;
+const STEPS = 40;
+
+export default function ValueFunctionChart({ prospect }) {
+  const params = {
+    lossAversion: prospect.lossAversion.mean,
+    curvature: prospect.curvature.mean,
+    weighting: prospect.weighting.mean,
+  };
+  const data = Array.from({ length: 2 * STEPS + 1 }, (_, i) => {
+    const x = -X_RANGE + (i * X_RANGE) / STEPS;
+    return { x, you: prospectValue(x, params), neutral: x };
+  });
+
+  return (
+    <div className="w-full">
+      <h3 className="text-lg font-semibold text-gray-700 mb-4">How You Value Gains and Losses</h3>
+      <ResponsiveContainer width="100%" height={300}>
+        <LineChart data={data} margin={{ top: 5, right: 20, bottom: 20, left: 10 }}>
+          <CartesianGrid strokeDasharray="3 3" stroke="#f0f0f0" />
+          <XAxis
+            dataKey="x"
+            type="number"
+            domain={[-X_RANGE, X_RANGE]}
+            label={{ value: 'Gain or loss ($)', position: 'insideBottom', offset: -10 }}
+            tick={{ fontSize: 12 }}
+          />
+          <YAxis
+            label={{ value: 'Felt value', angle: -90, position: 'insideLeft', offset: 10 }}
+            tick={{ fontSize: 12 }}
+            tickFormatter={(val) => val.toFixed(0)}
+          />
+          <Tooltip
+            formatter={(val) => val.toFixed(1)}
+            labelFormatter={(val) => (val < 0 ? `Lose $${-val}` : `Win $${val}`)}
+          />
+          <Legend verticalAlign="top" />
+          <ReferenceLine x={0} stroke="#d1d5db" />
+          <ReferenceLine y={0} stroke="#d1d5db" />
+          <Line
+            type="linear"
+            dataKey="you"
+            name="You"
+            stroke="#F81894"
+            strokeWidth={3}
+            dot={false}
+          />
+          <Line
+            type="linear"
+            dataKey="neutral"
+            name="Dollar for dollar"
+            stroke="#9ca3af"
+            strokeWidth={1.5}
+            strokeDasharray="5 5"
+            dot={false}
+          />
+        </LineChart>
+      </ResponsiveContainer>
+      <p className="text-sm text-gray-500 mt-2 text-center">
+        The steeper the curve left of zero, the more a loss hurts compared with an equal gain.
+      </p>
+    </div>
+  );
+}
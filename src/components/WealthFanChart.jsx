@@ -0,0 +1,55 @@
+import { ComposedChart, Area, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+
+/**
+ * Fan chart of simulated wealth: shaded 5–95 and 25–75 percentile bands
+ * around the median path, one point per year.
+ */
+
+const formatMoney = (val) => {
+  if (Math.abs(val) >= 1e6) return `$${(val / 1e6).toFixed(1)}M`;
+  if (Math.abs(val) >= 1e3) return `$${(val / 1e3).toFixed(0)}k`;
+  return `$${val.toFixed(0)}`;
+};
+
+export default function WealthFanChart({ bands }) {
+  const data = bands.map(b => ({
+    year: b.year,
+    outer: [b.p5, b.p95],
+    inner: [b.p25, b.p75],
+    median: b.p50,
+  }));
+
+  const CustomTooltip = ({ active, payload }) => {
+    if (!active || !payload?.length) return null;
+    const band = bands[payload[0].payload.year];
+    return (
+      <div className="bg-white border border-gray-200 rounded-lg p-3 shadow-md text-sm">
+        <p className="font-semibold text-gray-800">Year {band.year}</p>
+        <p className="text-gray-600">Median: {formatMoney(band.p50)}</p>
+        <p className="text-gray-600">25–75%: {formatMoney(band.p25)} – {formatMoney(band.p75)}</p>
+        <p className="text-gray-600">5–95%: {formatMoney(band.p5)} – {formatMoney(band.p95)}</p>
+      </div>
+    );
+  };
+
+  return (
+    <div className="w-full">
+      <ResponsiveContainer width="100%" height={350}>
+        <ComposedChart data={data} margin={{ top: 10, right: 20, bottom: 20, left: 10 }}>
+          <CartesianGrid strokeDasharray="3 3" stroke="#f0f0f0" />
+          <XAxis
+            dataKey="year"
+            label={{ value: 'Years', position: 'insideBottom', offset: -10 }}
+            tick={{ fontSize: 12 }}
+          />
+          <YAxis tickFormatter={formatMoney} tick={{ fontSize: 12 }} width={70} />
+          <Tooltip content={<CustomTooltip />} />
+          <Legend verticalAlign="top" />
+          <Area type="monotone" dataKey="outer" name="5–95th percentile" stroke="none" fill="#F81894" fillOpacity={0.15} />
+          <Area type="monotone" dataKey="inner" name="25–75th percentile" stroke="none" fill="#F81894" fillOpacity={0.3} />
+          <Line type="monotone" dataKey="median" name="Median" stroke="#99004C" strokeWidth={3} dot={false} />
+        </ComposedChart>
+      </ResponsiveContainer>
+    </div>
+  );
+}
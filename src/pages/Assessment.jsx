@@ -1,58 +1,106 @@
-import { useState, useCallback } from 'react';
-import { useNavigate } from 'react-router-dom';
+import { useState, useCallback, useMemo } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
 import LotteryCard from '../components/LotteryCard.jsx';
 import ProgressBar from '../components/ProgressBar.jsx';
-import { selectNextLottery, updateRange } from '../utils/lotteryEngine.js';
-import { inferGamma } from '../utils/gammaInference.js';
-import { NUM_QUESTIONS } from '../utils/constants.js';
+import {
+  selectNextLottery, selectNextProspectPair, assessmentComplete, STOPPING_RULE, QUESTION_POOL, PROSPECT_QUESTIONS,
+} from '../utils/lotteryEngine.js';
+import { inferGammaPosterior } from '../utils/gammaPosterior.js';
+import { inferProspectPosterior } from '../utils/prospectPosterior.js';
+import { assessConsistency, CONFIRMATION_QUESTIONS } from '../utils/consistency.js';
+
+/**
+ * Answers saved by an earlier assessment, for confirmation questions.
+ */
+function loadStoredChoices() {
+  const stored = JSON.parse(localStorage.getItem('riskyfrisky_choices') || '[]');
+  return stored
+    .map(c => ({ pair: QUESTION_POOL.find(p => p.id === c.pairId), choice: c.choice }))
+    .filter(c => c.pair);
+}
 
 export default function Assessment() {
   const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+
+  // Prospect mode adds gain/loss questions after the CRRA ones, skipping those if a saved assessment exists
+  const prospectMode = searchParams.get('mode') === 'prospect';
 
-  // Adaptive search state: range [lo, hi] and midpoint estimate
-  const [range, setRange] = useState({ lo: 1.0, hi: 4.0, estimate: 2.5 });
-  const [answeredIds, setAnsweredIds] = useState(new Set());
-  const [choices, setChoices] = useState([]);
-  const [questionNum, setQuestionNum] = useState(1);
+  // Confirmation mode continues a saved assessment with a few extra questions
+  const [initialChoices] = useState(() => (prospectMode || searchParams.get('confirm') ? loadStoredChoices() : []));
+  const confirming = !prospectMode && initialChoices.length > 0;
+  const [phase, setPhase] = useState(prospectMode && initialChoices.length > 0 ? 'prospect' : 'crra');
 
-  // Current lottery pair
-  const currentPair = selectNextLottery(range.estimate, answeredIds);
+  const [choices, setChoices] = useState(initialChoices);
+  const [prospectChoices, setProspectChoices] = useState([]);
+
+  const totalQuestions = phase === 'prospect'
+    ? PROSPECT_QUESTIONS
+    : confirming ? CONFIRMATION_QUESTIONS : STOPPING_RULE.maxQuestions;
+  const questionNum = phase === 'prospect'
+    ? prospectChoices.length + 1
+    : choices.length - initialChoices.length + 1;
+
+  // Current lottery pair: the most informative one under the posterior so far
+  const currentPair = useMemo(
+    () => (phase === 'prospect' ? selectNextProspectPair([...choices, ...prospectChoices]) : selectNextLottery(choices)),
+    [phase, choices, prospectChoices],
+  );
+
+  const handleProspectChoice = useCallback((choice) => {
+    const newChoices = [...prospectChoices, { pair: currentPair, choice }];
+    setProspectChoices(newChoices);
+    if (newChoices.length < PROSPECT_QUESTIONS) return;
+
+    // The CRRA answers inform curvature and probability weighting too
+    localStorage.setItem('riskyfrisky_prospect', JSON.stringify(inferProspectPosterior([...choices, ...newChoices])));
+    localStorage.setItem('riskyfrisky_prospect_choices', JSON.stringify(newChoices.map(c => ({
+      pairId: c.pair.id,
+      choice: c.choice,
+    }))));
+    navigate('/results');
+  }, [currentPair, choices, prospectChoices, navigate]);
 
   const handleChoice = useCallback((choice) => {
     if (!currentPair) return;
+    if (phase === 'prospect') {
+      handleProspectChoice(choice);
+      return;
+    }
 
     // Record the choice
     const newChoices = [...choices, { pair: currentPair, choice }];
     setChoices(newChoices);
 
-    // Update answered set
-    const newAnswered = new Set(answeredIds);
-    newAnswered.add(currentPair.id);
-    setAnsweredIds(newAnswered);
-
-    // Update gamma range
-    const newRange = updateRange(range.lo, range.hi, currentPair.indifferenceGamma, choice);
-    setRange(newRange);
-
-    const newQuestionNum = questionNum + 1;
-    setQuestionNum(newQuestionNum);
+    // Posterior over γ; the rest of the app reads its mean as the point estimate
+    const posterior = inferGammaPosterior(newChoices);
 
-    // Check if done
-    if (newQuestionNum > NUM_QUESTIONS) {
-      // Run MLE inference
-      const result = inferGamma(newChoices);
+    // Check if done: confirmation rounds have a fixed length, assessments stop once γ is pinned down
+    const done = confirming
+      ? newChoices.length - initialChoices.length >= CONFIRMATION_QUESTIONS
+      : assessmentComplete(newChoices.length, posterior);
+    if (done || newChoices.length === QUESTION_POOL.length) {
+      const consistency = assessConsistency(newChoices, posterior);
 
       // Save to localStorage
-      localStorage.setItem('riskyfrisky_gamma', JSON.stringify(result.gamma));
-      localStorage.setItem('riskyfrisky_confidence', JSON.stringify(result.confidence));
+      localStorage.setItem('riskyfrisky_gamma', JSON.stringify(parseFloat(posterior.mean.toFixed(2))));
+      localStorage.setItem('riskyfrisky_confidence', JSON.stringify(posterior.credibleInterval));
+      localStorage.setItem('riskyfrisky_posterior', JSON.stringify(posterior));
+      localStorage.setItem('riskyfrisky_consistency', JSON.stringify({ ...consistency, confirmed: confirming }));
       localStorage.setItem('riskyfrisky_choices', JSON.stringify(newChoices.map(c => ({
         pairId: c.pair.id,
         choice: c.choice,
       }))));
+      if (!confirming) {
+        // A fresh assessment replaces the answers the prospect-theory estimate was fitted to
+        localStorage.removeItem('riskyfrisky_prospect');
+        localStorage.removeItem('riskyfrisky_prospect_choices');
+      }
 
-      navigate('/results');
+      if (prospectMode) setPhase('prospect');
+      else navigate('/results');
     }
-  }, [currentPair, choices, answeredIds, range, questionNum, navigate]);
+  }, [currentPair, phase, handleProspectChoice, choices, initialChoices, confirming, prospectMode, navigate]);
 
   if (!currentPair) {
     return (
@@ -65,11 +113,17 @@ export default function Assessment() {
   return (
     <div className="max-w-4xl mx-auto px-4 py-12">
       <div className="mb-8">
-        <h1 className="text-3xl font-bold text-gray-800 mb-2">Risk Assessment</h1>
+        <h1 className="text-3xl font-bold text-gray-800 mb-2">
+          {phase === 'prospect' ? 'Gains and Losses' : confirming ? 'A Few More Questions' : 'Risk Assessment'}
+        </h1>
         <p className="text-gray-500 mb-6">
-          Choose the option you'd prefer in each scenario. There are no right or wrong answers.
+          {phase === 'prospect'
+            ? 'Some of these gambles can lose money. Imagine the amounts are real and choose what you would actually do.'
+            : confirming
+              ? 'Some of your answers pulled in different directions. These extra questions help us pin down your preference.'
+              : 'Choose the option you\'d prefer in each scenario. There are no right or wrong answers.'}
         </p>
-        <ProgressBar current={questionNum} total={NUM_QUESTIONS} />
+        <ProgressBar current={questionNum} total={totalQuestions} upTo={phase === 'crra' && !confirming} />
       </div>
 
       <div className="mt-12">
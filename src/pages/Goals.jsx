@@ -0,0 +1,261 @@
+import { useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { posteriorWeights } from '../utils/gammaPosterior.js';
+
+// Goals are saved with the rest of the profile in localStorage
+const GOALS_KEY = 'riskyfrisky_goals';
+
+// Uploaded assets from the Portfolio page, so the recommended portfolio is the same one
+const SESSION_KEY = 'riskyfrisky_session';
+
+const CONFIDENCE_LEVELS = [0.5, 0.75, 0.8, 0.9, 0.95];
+
+const EMPTY_GOAL = {
+  name: '',
+  targetAmount: 100000,
+  targetDate: '',
+  currentSavings: 10000,
+  monthlyContribution: 500,
+};
+
+const formatMoney = (val) => `$${Math.round(val).toLocaleString()}`;
+
+function loadGoals() {
+  try {
+    return JSON.parse(localStorage.getItem(GOALS_KEY)) || [];
+  } catch {
+    return [];
+  }
+}
+
+export default function Goals() {
+  const navigate = useNavigate();
+  const [gamma, setGamma] = useState(null);
+  const [goals, setGoals] = useState(loadGoals);
+  const [draft, setDraft] = useState(EMPTY_GOAL);
+  const [selectedId, setSelectedId] = useState(null);
+  const [confidence, setConfidence] = useState(0.8);
+  const [evaluation, setEvaluation] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const storedGamma = localStorage.getItem('riskyfrisky_gamma');
+    if (!storedGamma) {
+      navigate('/assess');
+      return;
+    }
+    setGamma(JSON.parse(storedGamma));
+  }, [navigate]);
+
+  useEffect(() => {
+    localStorage.setItem(GOALS_KEY, JSON.stringify(goals));
+  }, [goals]);
+
+  const selectedGoal = goals.find(g => g.id === selectedId) ?? null;
+
+  useEffect(() => {
+    if (!selectedGoal || !gamma) return;
+    setLoading(true);
+    setError(null);
+    const { id, ...goal } = selectedGoal;
+    const storedPosterior = localStorage.getItem('riskyfrisky_posterior');
+    const sessionId = sessionStorage.getItem(SESSION_KEY);
+    fetch('/api/goals/evaluate', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...(sessionId && { 'X-Session-Id': sessionId }) },
+      body: JSON.stringify({
+        goal,
+        gamma,
+        ...(storedPosterior && { gammaPosterior: posteriorWeights(JSON.parse(storedPosterior)) }),
+        confidence,
+      }),
+    })
+      .then(async res => {
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || 'Goal evaluation failed');
+        return data;
+      })
+      .then(data => {
+        setEvaluation(data);
+        setLoading(false);
+      })
+      .catch(err => {
+        console.error(err);
+        setError(err.message);
+        setEvaluation(null);
+        setLoading(false);
+      });
+  }, [selectedGoal, gamma, confidence]);
+
+  const addGoal = (e) => {
+    e.preventDefault();
+    const goal = { ...draft, id: Date.now(), name: draft.name.trim() || 'Untitled goal' };
+    setGoals(prev => [...prev, goal]);
+    setSelectedId(goal.id);
+    setDraft(EMPTY_GOAL);
+  };
+
+  const removeGoal = (id) => {
+    setGoals(prev => prev.filter(g => g.id !== id));
+    if (selectedId === id) {
+      setSelectedId(null);
+      setEvaluation(null);
+    }
+  };
+
+  const updateDraft = (field, value) => setDraft(prev => ({ ...prev, [field]: value }));
+
+  if (!gamma) return null;
+
+  return (
+    <div className="max-w-5xl mx-auto px-4 py-12">
+      <h1 className="text-3xl font-bold text-gray-800 mb-2">Your Goals</h1>
+      <p className="text-gray-500 mb-8">
+        See how likely each portfolio is to reach your targets, and what it would take to get there.
+      </p>
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-8 mb-10">
+        {/* Goal list */}
+        <div className="lg:col-span-1 space-y-3">
+          {goals.length === 0 && (
+            <p className="text-gray-400 text-sm">No goals yet. Add one to get started.</p>
+          )}
+          {goals.map(g => (
+            <div
+              key={g.id}
+              onClick={() => setSelectedId(g.id)}
+              className={`cursor-pointer rounded-2xl border p-4 transition-colors ${
+                g.id === selectedId ? 'border-[#F81894] bg-[#F81894]/5' : 'border-gray-200 hover:border-[#FF66B2]'
+              }`}
+            >
+              <div className="flex items-start justify-between">
+                <div>
+                  <div className="font-semibold text-gray-800">{g.name}</div>
+                  <div className="text-sm text-gray-500">
+                    {formatMoney(g.targetAmount)} by {g.targetDate}
+                  </div>
+                </div>
+                <button
+                  onClick={e => {
+                    e.stopPropagation();
+                    removeGoal(g.id);
+                  }}
+                  className="text-gray-400 hover:text-red-500 text-sm"
+                >
+                  Remove
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+
+        {/* New goal form */}
+        <form
+          onSubmit={addGoal}
+          className="lg:col-span-2 bg-white rounded-2xl border border-gray-200 p-6 shadow-sm grid grid-cols-1 sm:grid-cols-2 gap-4 text-sm"
+        >
+          <h3 className="sm:col-span-2 text-lg font-semibold text-gray-700">Add a Goal</h3>
+          <label className="flex flex-col gap-1 text-gray-500">
+            Name
+            <input
+              type="text"
+              value={draft.name}
+              placeholder="e.g. Retirement at 65"
+              onChange={e => updateDraft('name', e.target.value)}
+              className="border border-gray-200 rounded-lg px-3 py-1.5 text-gray-700"
+            />
+          </label>
+          <label className="flex flex-col gap-1 text-gray-500">
+            Target date
+            <input
+              type="date"
+              required
+              value={draft.targetDate}
+              onChange={e => updateDraft('targetDate', e.target.value)}
+              className="border border-gray-200 rounded-lg px-3 py-1.5 text-gray-700"
+            />
+          </label>
+          {[
+            { field: 'targetAmount', label: 'Target amount ($)' },
+            { field: 'currentSavings', label: 'Current savings ($)' },
+            { field: 'monthlyContribution', label: 'Monthly contribution ($)' },
+          ].map(input => (
+            <label key={input.field} className="flex flex-col gap-1 text-gray-500">
+              {input.label}
+              <input
+                type="number"
+                min={0}
+                step={100}
+                value={draft[input.field]}
+                onChange={e => updateDraft(input.field, Number(e.target.value))}
+                className="border border-gray-200 rounded-lg px-3 py-1.5 text-gray-700"
+              />
+            </label>
+          ))}
+          <button
+            type="submit"
+            className="sm:col-span-2 justify-self-end px-6 py-2 rounded-full bg-[#F81894] text-white font-semibold hover:bg-[#99004C] transition-colors"
+          >
+            Save Goal
+          </button>
+        </form>
+      </div>
+
+      {/* Evaluation */}
+      {selectedGoal && (
+        <div className="bg-white rounded-2xl border border-gray-200 p-6 shadow-sm mb-10">
+          <div className="flex flex-wrap items-center justify-between gap-4 mb-4">
+            <h3 className="text-lg font-semibold text-gray-700">
+              {selectedGoal.name}: {formatMoney(selectedGoal.targetAmount)} by {selectedGoal.targetDate}
+            </h3>
+            <label className="flex items-center gap-2 text-sm text-gray-600">
+              Confidence
+              <select
+                value={confidence}
+                onChange={e => setConfidence(Number(e.target.value))}
+                className="border border-gray-200 rounded-lg px-3 py-1.5 bg-white text-gray-700"
+              >
+                {CONFIDENCE_LEVELS.map(c => (
+                  <option key={c} value={c}>{(c * 100).toFixed(0)}%</option>
+                ))}
+              </select>
+            </label>
+          </div>
+
+          {loading && <p className="text-gray-400 text-sm">Simulating...</p>}
+          {error && <p className="text-red-500 text-sm">{error}</p>}
+          {evaluation && !loading && (
+            <div className="overflow-x-auto">
+              <table className="w-full text-left text-sm">
+                <thead>
+                  <tr className="border-b border-gray-200">
+                    <th className="py-2 font-medium text-gray-500">Portfolio</th>
+                    <th className="py-2 font-medium text-gray-500 text-right">Chance of Success</th>
+                    <th className="py-2 font-medium text-gray-500 text-right">Median Outcome</th>
+                    <th className="py-2 font-medium text-gray-500 text-right">
+                      Monthly Needed ({(evaluation.confidence * 100).toFixed(0)}%)
+                    </th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {evaluation.portfolios.map((p, i) => (
+                    <tr key={p.name} className={`border-b border-gray-100 ${i === 0 ? 'bg-[#F81894]/5' : ''}`}>
+                      <td className={`py-2 ${i === 0 ? 'font-semibold text-[#F81894]' : 'text-gray-700'}`}>{p.name}</td>
+                      <td className="py-2 text-right text-gray-600">{(p.successProbability * 100).toFixed(1)}%</td>
+                      <td className="py-2 text-right text-gray-600">{formatMoney(p.medianWealth)}</td>
+                      <td className="py-2 text-right text-gray-600">{formatMoney(p.requiredContribution)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              <p className="text-xs text-gray-400 mt-3">
+                {evaluation.paths.toLocaleString()} simulated paths over {evaluation.goal.months} months · seed {evaluation.seed}
+              </p>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
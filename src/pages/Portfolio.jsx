@@ -1,18 +1,122 @@
-import { useEffect, useState } from 'react';
-import { useNavigate } from 'react-router-dom';
+import { Fragment, useCallback, useEffect, useState } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
 import PortfolioPie from '../components/PortfolioPie.jsx';
+import RiskContributionChart from '../components/RiskContributionChart.jsx';
 import RiskReturnScatter from '../components/RiskReturnScatter.jsx';
 import ExplanationCard from '../components/ExplanationCard.jsx';
+import WealthFanChart from '../components/WealthFanChart.jsx';
+import StressTable from '../components/StressTable.jsx';
+import CustomAssetUpload from '../components/CustomAssetUpload.jsx';
 import { getRiskLabel } from '../utils/constants.js';
+import { posteriorWeights } from '../utils/gammaPosterior.js';
+
+// Uploaded assets live in a server session that should end with the browser tab
+const SESSION_KEY = 'riskyfrisky_session';
+
+// Default annual risk-free rate, used for the cash leg and to locate the tangency portfolio
+const DEFAULT_RISK_FREE_RATE = 0.04;
+
+// Caps on the share held in risky assets (above 1× borrows at the risk-free rate)
+const LEVERAGE_CAPS = [1, 1.5, 2];
+
+// Allocation strategies accepted by /api/optimize
+const STRATEGIES = [
+  { value: 'max-utility', label: 'Maximum Expected Utility' },
+  { value: 'max-crra', label: 'Maximum CRRA Utility' },
+  { value: 'min-cvar', label: 'Minimum CVaR' },
+  { value: 'mean-cvar', label: 'Mean-CVaR' },
+  { value: 'min-variance', label: 'Minimum Variance' },
+  { value: 'max-diversification', label: 'Maximum Diversification' },
+  { value: 'inverse-volatility', label: 'Inverse Volatility' },
+  { value: 'risk-parity', label: 'Risk Parity' },
+];
+
+// Estimation window and covariance estimator for /api/optimize and /api/frontier; blank uses the dataset's
+const DEFAULT_ESTIMATION = { start: '', end: '', excludeRanges: '', estimator: '' };
+
+const COVARIANCE_ESTIMATORS = [
+  { value: '', label: 'Dataset' },
+  { value: 'sample', label: 'Sample' },
+  { value: 'ledoit-wolf', label: 'Ledoit-Wolf shrinkage' },
+  { value: 'constant-correlation', label: 'Constant correlation' },
+  { value: 'ewma', label: 'EWMA' },
+];
+
+// The estimation inputs that are set, named as the API expects them
+const estimationParams = ({ start, end, excludeRanges, estimator }) => ({
+  ...(start && { start }),
+  ...(end && { end }),
+  ...(excludeRanges.trim() && { excludeRanges: excludeRanges.trim() }),
+  ...(estimator && { estimator }),
+});
+
+// The market inputs of /api/optimize, which /api/simulate and /api/stress repeat to estimate the same statistics
+const marketParams = (universe, estimation) => {
+  const { estimator, ...period } = estimationParams(estimation);
+  return { universe, ...period, ...(estimator && { covariance: estimator }) };
+};
+
+// Strategies optimized over return scenarios, which /api/optimize does not resample
+const SCENARIO_STRATEGIES = ['max-crra', 'min-cvar', 'mean-cvar'];
+
+// Hypothetical shocks shown alongside the historical stress episodes
+const STRESS_SCENARIOS = [
+  { name: 'Equities −30%, long bonds +10%', shocks: { equity: -0.30, TLT: 0.10 } },
+  { name: 'Rates +200bp (long bonds −25%)', shocks: { TLT: -0.25 } },
+  { name: 'Commodity crash (−40%)', shocks: { DBC: -0.40 } },
+];
+
+// Starting inputs for the wealth projection; the seed keeps runs reproducible
+const DEFAULT_PROJECTION = {
+  initialBalance: 100000,
+  years: 20,
+  contribution: 500,
+  frequency: 'monthly',
+  method: 'parametric',
+  seed: 42,
+};
+
+const formatLoss = (loss) => (loss == null ? '—' : `${(loss * 100).toFixed(1)}%`);
+const formatWorstYear = (worst) => (worst ? `${(worst.return * 100).toFixed(1)}% (${worst.year})` : '—');
 
 export default function Portfolio() {
   const navigate = useNavigate();
   const [gamma, setGamma] = useState(null);
+  const [strategy, setStrategy] = useState('max-utility');
+  const [universe, setUniverse] = useState('default');
+  const [universes, setUniverses] = useState([]);
+  const [riskFreeRate, setRiskFreeRate] = useState(DEFAULT_RISK_FREE_RATE);
+  const [holdCash, setHoldCash] = useState(false);
+  const [maxLeverage, setMaxLeverage] = useState(1);
+  const [resample, setResample] = useState(false);
+  const [penalizeLosses, setPenalizeLosses] = useState(false);
+  // Loss aversion from the prospect-theory assessment, if taken (the API accepts up to 10)
+  const [lossAversion] = useState(() => {
+    const stored = localStorage.getItem('riskyfrisky_prospect');
+    return stored ? Math.min(JSON.parse(stored).lossAversion.mean, 10) : null;
+  });
+  const [estimation, setEstimation] = useState(DEFAULT_ESTIMATION);
+  const [sessionId, setSessionId] = useState(() => sessionStorage.getItem(SESSION_KEY));
+  const [uploadRevision, setUploadRevision] = useState(0);
   const [result, setResult] = useState(null);
+  const [frontier, setFrontier] = useState(null);
   const [explanation, setExplanation] = useState('');
   const [loading, setLoading] = useState(true);
   const [explainLoading, setExplainLoading] = useState(false);
   const [error, setError] = useState(null);
+  const [projectionInputs, setProjectionInputs] = useState(DEFAULT_PROJECTION);
+  // The inputs last submitted from the projection form, which the projection runs with
+  const [submittedProjection, setSubmittedProjection] = useState(DEFAULT_PROJECTION);
+  const [projection, setProjection] = useState(null);
+  const [projectionLoading, setProjectionLoading] = useState(false);
+  const [projectionError, setProjectionError] = useState(null);
+  const [stress, setStress] = useState(null);
+
+  const changeSession = useCallback((id) => {
+    if (id) sessionStorage.setItem(SESSION_KEY, id);
+    else sessionStorage.removeItem(SESSION_KEY);
+    setSessionId(id);
+  }, []);
 
   useEffect(() => {
     const storedGamma = localStorage.getItem('riskyfrisky_gamma');
@@ -22,18 +126,32 @@ export default function Portfolio() {
     }
 
     const g = JSON.parse(storedGamma);
+    const storedPosterior = localStorage.getItem('riskyfrisky_posterior');
+    const lossAverse = penalizeLosses && lossAversion > 1 && strategy === 'max-utility' && !holdCash;
     setGamma(g);
+    setLoading(true);
+    setError(null);
+    setExplanation('');
 
     // Fetch optimized portfolio
     fetch('/api/optimize', {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ gamma: g }),
+      headers: { 'Content-Type': 'application/json', ...(sessionId && { 'X-Session-Id': sessionId }) },
+      body: JSON.stringify({
+        gamma: g,
+        ...(storedPosterior && { gammaPosterior: posteriorWeights(JSON.parse(storedPosterior)) }),
+        strategy,
+        ...marketParams(universe, estimation),
+        ...(holdCash && { riskFreeRate, maxLeverage }),
+        ...(lossAverse
+          ? { lossAversion }
+          : resample && !SCENARIO_STRATEGIES.includes(strategy) && { resample: true }),
+      }),
     })
-      .then(res => {
-        if (!res.ok) throw new Error('Optimization failed');
-        return res.json();
-      })
+      .then(res => res.json().then(data => {
+        if (!res.ok) throw Object.assign(new Error(data.error || 'Optimization failed'), { field: data.field });
+        return data;
+      }))
       .then(data => {
         setResult(data);
         setLoading(false);
@@ -50,6 +168,9 @@ export default function Portfolio() {
             portfolio: data.portfolio,
             expectedReturn: data.expectedReturn,
             volatility: data.volatility,
+            strategy: data.strategy,
+            cash: data.cash,
+            riskFreeRate: data.riskFreeRate,
           }),
         });
       })
@@ -62,12 +183,106 @@ export default function Portfolio() {
         setExplainLoading(false);
       })
       .catch(err => {
+        // An expired session (or a server restart) drops the uploads; optimize again without them
+        if (err.field === 'session') {
+          changeSession(null);
+          return;
+        }
         console.error(err);
         setError(err.message);
         setLoading(false);
         setExplainLoading(false);
       });
-  }, [navigate]);
+  }, [navigate, strategy, universe, holdCash, riskFreeRate, maxLeverage, resample, penalizeLosses, lossAversion, estimation, sessionId, uploadRevision, changeSession]);
+
+  // The universe list only feeds the picker, so a failure here is not fatal
+  useEffect(() => {
+    fetch('/api/universes')
+      .then(res => {
+        if (!res.ok) throw new Error('Universes failed');
+        return res.json();
+      })
+      .then(data => setUniverses(data.universes))
+      .catch(err => console.error(err));
+  }, []);
+
+  // The frontier only decorates the risk-return chart, so a failure here is not fatal
+  useEffect(() => {
+    const query = new URLSearchParams({ riskFreeRate, universe, ...estimationParams(estimation) });
+    fetch(`/api/frontier?${query}`, {
+      headers: sessionId ? { 'X-Session-Id': sessionId } : {},
+    })
+      .then(res => {
+        if (!res.ok) throw new Error('Frontier failed');
+        return res.json();
+      })
+      .then(setFrontier)
+      .catch(err => console.error(err));
+  }, [riskFreeRate, universe, estimation, sessionId, uploadRevision]);
+
+  // Project the recommended portfolio with the submitted inputs, again whenever it or its market inputs change
+  useEffect(() => {
+    if (!result) return;
+    let stale = false;
+    setProjectionLoading(true);
+    setProjectionError(null);
+    fetch('/api/simulate', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...(sessionId && { 'X-Session-Id': sessionId }) },
+      body: JSON.stringify({
+        portfolio: result.portfolio.map(h => ({ ticker: h.ticker, weight: h.weight })),
+        riskFreeRate,
+        ...marketParams(universe, estimation),
+        ...submittedProjection,
+      }),
+    })
+      .then(async res => {
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || 'Simulation failed');
+        return data;
+      })
+      .then(data => {
+        // A later run supersedes this one
+        if (stale) return;
+        setProjection(data);
+        setProjectionLoading(false);
+      })
+      .catch(err => {
+        if (stale) return;
+        console.error(err);
+        setProjectionError(err.message);
+        setProjectionLoading(false);
+      });
+    return () => { stale = true; };
+  }, [result, submittedProjection, riskFreeRate, universe, estimation, sessionId]);
+
+  // Stress tests decorate the comparison section, so a failure here is not fatal
+  useEffect(() => {
+    if (!result) return;
+    fetch('/api/stress', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...(sessionId && { 'X-Session-Id': sessionId }) },
+      body: JSON.stringify({
+        portfolio: result.portfolio.map(h => ({ ticker: h.ticker, weight: h.weight })),
+        scenarios: STRESS_SCENARIOS,
+        ...marketParams(universe, estimation),
+      }),
+    })
+      .then(res => {
+        if (!res.ok) throw new Error('Stress test failed');
+        return res.json();
+      })
+      .then(data => setStress(data.scenarios))
+      .catch(err => console.error(err));
+  }, [result, universe, estimation, sessionId]);
+
+  const updateEstimation = (field, value) => {
+    setEstimation(prev => ({ ...prev, [field]: value }));
+  };
+
+  const updateProjectionInput = (field, value) => {
+    setProjectionInputs(prev => ({ ...prev, [field]: value }));
+  };
 
   if (loading) {
     return (
@@ -96,13 +311,199 @@ export default function Portfolio() {
   if (!result || !gamma) return null;
 
   const risk = getRiskLabel(gamma);
+  const consistency = JSON.parse(localStorage.getItem('riskyfrisky_consistency') || 'null');
+  const strategyLabel = STRATEGIES.find(s => s.value === result.strategy)?.label;
 
   return (
     <div className="max-w-5xl mx-auto px-4 py-12">
       <h1 className="text-3xl font-bold text-gray-800 mb-2">Your Optimal Portfolio</h1>
-      <p className="text-gray-500 mb-8">
-        Optimized using mean-variance expected utility with γ = {gamma.toFixed(2)}
-      </p>
+      {consistency?.lowQuality && (
+        <div className="bg-amber-50 border border-amber-200 rounded-xl px-4 py-3 mb-4 text-sm text-amber-700">
+          Your risk assessment answers were inconsistent, so γ = {gamma.toFixed(2)} may not reflect your preferences.{' '}
+          <Link to="/results" className="font-semibold underline">Review your risk profile</Link>
+        </div>
+      )}
+      <div className="flex flex-wrap items-center justify-between gap-4 mb-8">
+        <p className="text-gray-500">
+          {result.lossAversion
+            ? <>Optimized using mean-variance expected utility with γ = {gamma.toFixed(2)}, counting one-year losses {result.lossAversion.coefficient.toFixed(1)}× (your loss aversion)</>
+            : result.strategy === 'max-utility'
+              ? <>Optimized using mean-variance expected utility with γ = {gamma.toFixed(2)}</>
+              : result.strategy === 'max-crra'
+                ? <>Optimized using CRRA expected utility over {result.scenarios.count} historical one-year return scenarios with γ = {gamma.toFixed(2)}</>
+                : result.strategy === 'mean-cvar'
+                  ? <>Highest expected return with a 95% monthly CVaR of at most {(result.solver.cvarLimit * 100).toFixed(1)}% (your mean-variance portfolio's, by default)</>
+                  : <>Built with the {strategyLabel} strategy · evaluated at γ = {gamma.toFixed(2)}</>}
+        </p>
+        <div className="flex flex-wrap items-center gap-4">
+          {universes.length > 0 && (
+            <label className="flex items-center gap-2 text-sm text-gray-600">
+              Universe
+              <select
+                value={universe}
+                onChange={e => setUniverse(e.target.value)}
+                title={universes.find(u => u.name === universe)?.description}
+                className="border border-gray-200 rounded-lg px-3 py-1.5 bg-white text-gray-700"
+              >
+                {universes.map(u => (
+                  <option key={u.name} value={u.name}>{u.label} ({u.tickers.length})</option>
+                ))}
+              </select>
+            </label>
+          )}
+          <label className="flex items-center gap-2 text-sm text-gray-600">
+            Strategy
+            <select
+              value={strategy}
+              onChange={e => setStrategy(e.target.value)}
+              className="border border-gray-200 rounded-lg px-3 py-1.5 bg-white text-gray-700"
+            >
+              {STRATEGIES.map(s => (
+                <option key={s.value} value={s.value}>{s.label}</option>
+              ))}
+            </select>
+          </label>
+        </div>
+      </div>
+      <div className="flex flex-wrap items-center gap-4 -mt-4 mb-8 text-sm text-gray-600">
+        <label className="flex items-center gap-2">
+          <input type="checkbox" checked={holdCash} onChange={e => setHoldCash(e.target.checked)} />
+          Hold cash / T-bills
+        </label>
+        {lossAversion > 1 && strategy === 'max-utility' && !holdCash && (
+          <label className="flex items-center gap-2">
+            <input type="checkbox" checked={penalizeLosses} onChange={e => setPenalizeLosses(e.target.checked)} />
+            Penalize losses ({lossAversion.toFixed(1)}× loss aversion)
+          </label>
+        )}
+        {!SCENARIO_STRATEGIES.includes(strategy) && !result.lossAversion && (
+          <label className="flex items-center gap-2">
+            <input type="checkbox" checked={resample} onChange={e => setResample(e.target.checked)} />
+            Resampled (average over estimation error)
+          </label>
+        )}
+        <label className="flex items-center gap-2">
+          Risk-free rate
+          <input
+            type="number"
+            step={0.25}
+            min={-5}
+            max={25}
+            defaultValue={(riskFreeRate * 100).toFixed(2)}
+            onBlur={e => {
+              const pct = Number(e.target.value);
+              if (Number.isFinite(pct) && pct >= -5 && pct <= 25) setRiskFreeRate(pct / 100);
+            }}
+            className="w-20 border border-gray-200 rounded-lg px-2 py-1 text-gray-700"
+          />
+          %
+        </label>
+        {holdCash && (
+          <label className="flex items-center gap-2">
+            Leverage cap
+            <select
+              value={maxLeverage}
+              onChange={e => setMaxLeverage(Number(e.target.value))}
+              className="border border-gray-200 rounded-lg px-2 py-1 bg-white text-gray-700"
+            >
+              {LEVERAGE_CAPS.map(cap => (
+                <option key={cap} value={cap}>{cap}×</option>
+              ))}
+            </select>
+          </label>
+        )}
+        {result.cash && (
+          <span className="text-gray-400">
+            {(result.cash.riskyWeight * 100).toFixed(0)}% in the risky fund (Sharpe {result.cash.fund.sharpe?.toFixed(2)})
+            {result.cash.leverageCapped && ' · leverage cap reached'}
+          </span>
+        )}
+      </div>
+      <div className="flex flex-wrap items-center gap-4 -mt-4 mb-8 text-sm text-gray-600">
+        <label className="flex items-center gap-2">
+          Data from
+          <input
+            type="date"
+            value={estimation.start}
+            onChange={e => updateEstimation('start', e.target.value)}
+            className="border border-gray-200 rounded-lg px-2 py-1 text-gray-700"
+          />
+        </label>
+        <label className="flex items-center gap-2">
+          to
+          <input
+            type="date"
+            value={estimation.end}
+            onChange={e => updateEstimation('end', e.target.value)}
+            className="border border-gray-200 rounded-lg px-2 py-1 text-gray-700"
+          />
+        </label>
+        <label className="flex items-center gap-2">
+          Exclude
+          <input
+            type="text"
+            placeholder="2020-02-15:2020-04-30, ..."
+            defaultValue={estimation.excludeRanges}
+            onBlur={e => updateEstimation('excludeRanges', e.target.value)}
+            className="w-56 border border-gray-200 rounded-lg px-2 py-1 text-gray-700"
+          />
+        </label>
+        <label className="flex items-center gap-2">
+          Covariance
+          <select
+            value={estimation.estimator}
+            onChange={e => updateEstimation('estimator', e.target.value)}
+            className="border border-gray-200 rounded-lg px-2 py-1 bg-white text-gray-700"
+          >
+            {COVARIANCE_ESTIMATORS.map(c => (
+              <option key={c.value} value={c.value}>{c.label}</option>
+            ))}
+          </select>
+        </label>
+        {error && <span className="text-red-500">{error}</span>}
+      </div>
+      <div className="text-xs text-gray-400 -mt-6 mb-8 space-y-1">
+        {result.resampling ? (
+          <p>
+            Averaged over {result.resampling.draws} optimizations on inputs re-estimated from{' '}
+            {result.resampling.observations} simulated months · ranges cover the middle{' '}
+            {(result.resampling.interval * 100).toFixed(0)}% of draws
+          </p>
+        ) : result.solver && (
+          <p>
+            {result.solver.converged ? 'Solver converged' : 'Solver stopped without converging'} after{' '}
+            {result.solver.iterations} iterations
+            {result.solver.kkt && <> · KKT residual {result.solver.kkt.stationarity.toExponential(1)}</>}
+            {result.solver.projected && <> · adjusted to fit weight limits</>}
+          </p>
+        )}
+        {result.lossAversion && (
+          <p>
+            Expected one-year loss {(result.lossAversion.expectedLoss * 100).toFixed(2)}%, against{' '}
+            {(result.lossAversion.meanVarianceExpectedLoss * 100).toFixed(2)}% without the loss penalty, over{' '}
+            {result.scenarios.count} historical one-year scenarios
+          </p>
+        )}
+        {result.gammaPosterior && (
+          <p>
+            Across your 95% credible range of γ ({result.gammaPosterior.credibleInterval[0].toFixed(1)}–
+            {result.gammaPosterior.credibleInterval[1].toFixed(1)}) this strategy would expect{' '}
+            {result.gammaPosterior.range.map(r => `${(r.expectedReturn * 100).toFixed(1)}% at ${(r.volatility * 100).toFixed(1)}% volatility`).join(' to ')}
+          </p>
+        )}
+        {result.estimationPeriod && (
+          <p>
+            Market statistics estimated from {result.estimationPeriod.observations.toLocaleString()} trading days,{' '}
+            {result.estimationPeriod.start} → {result.estimationPeriod.end}
+            {result.estimationPeriod.excludeRanges.map(r => (
+              <Fragment key={r.start}> · excluding {r.start} → {r.end}</Fragment>
+            ))}
+            {result.covariance && (
+              <> · {result.covariance.estimator} covariance from {result.covariance.start} → {result.covariance.end}</>
+            )}
+          </p>
+        )}
+      </div>
 
       {/* Highlight card */}
       <div className="bg-gradient-to-r from-[#F81894] to-[#99004C] rounded-2xl p-6 text-white mb-10 shadow-lg">
@@ -122,19 +523,35 @@ export default function Portfolio() {
             <div className="text-2xl font-bold">{(result.volatility * 100).toFixed(2)}%</div>
           </div>
           <div>
-            <div className="text-white/70 text-sm">Expected Utility</div>
-            <div className="text-2xl font-bold">{result.expectedUtility.toFixed(4)}</div>
+            <div className="text-white/70 text-sm">Certainty-Equivalent Return</div>
+            <div className="text-2xl font-bold">{(result.certaintyEquivalentReturn * 100).toFixed(2)}%</div>
           </div>
         </div>
+        {result.tailRisk && (
+          <div className="flex flex-wrap gap-x-6 gap-y-1 mt-4 pt-4 border-t border-white/20 text-sm text-white/80">
+            <span>Monthly VaR 95%: {(result.tailRisk.var95 * 100).toFixed(1)}%</span>
+            <span>CVaR 95%: {(result.tailRisk.cvar95 * 100).toFixed(1)}%</span>
+            <span>CVaR 99%: {(result.tailRisk.cvar99 * 100).toFixed(1)}%</span>
+            <span>Max drawdown: {(result.tailRisk.maxDrawdown.value * 100).toFixed(1)}%</span>
+            {result.tailRisk.worstYear && (
+              <span>
+                Worst year: {(result.tailRisk.worstYear.return * 100).toFixed(1)}% ({result.tailRisk.worstYear.year})
+              </span>
+            )}
+          </div>
+        )}
       </div>
 
       {/* Asset class breakdown */}
       {result.assetClassBreakdown && (
-        <div className="grid grid-cols-3 gap-6 mb-10">
+        <div className={`grid gap-6 mb-10 ${result.assetClassBreakdown.cash ? 'grid-cols-2 md:grid-cols-4' : 'grid-cols-3'}`}>
           {[
-            { label: 'Equity', value: result.assetClassBreakdown.equity, color: '#F81894' },
-            { label: 'Bonds', value: result.assetClassBreakdown.bonds, color: '#6366f1' },
-            { label: 'Alternatives', value: result.assetClassBreakdown.alts, color: '#f59e0b' },
+            { key: 'equity', label: 'Equity', value: result.assetClassBreakdown.equity, color: '#F81894' },
+            { key: 'bonds', label: 'Bonds', value: result.assetClassBreakdown.bonds, color: '#6366f1' },
+            { key: 'alts', label: 'Alternatives', value: result.assetClassBreakdown.alts, color: '#f59e0b' },
+            ...(result.assetClassBreakdown.cash
+              ? [{ key: 'cash', label: 'Cash', value: result.assetClassBreakdown.cash, color: '#14b8a6' }]
+              : []),
           ].map(cls => (
             <div key={cls.label} className="bg-white rounded-2xl border border-gray-200 p-6 shadow-sm">
               <div className="text-sm text-gray-500 mb-1">{cls.label}</div>
@@ -144,23 +561,36 @@ export default function Portfolio() {
               <div className="mt-3 h-2 rounded-full bg-gray-100 overflow-hidden">
                 <div
                   className="h-full rounded-full transition-all duration-500"
-                  style={{ width: `${cls.value * 100}%`, backgroundColor: cls.color }}
+                  style={{ width: `${Math.min(Math.max(cls.value, 0), 1) * 100}%`, backgroundColor: cls.color }}
                 />
               </div>
+              {result.assetClassRisk?.[cls.key] && (
+                <div className="text-xs text-gray-400 mt-2">
+                  {(result.assetClassRisk[cls.key].riskContributionPct * 100).toFixed(1)}% of portfolio risk
+                </div>
+              )}
             </div>
           ))}
         </div>
       )}
 
       {/* Charts row */}
-      <div className="grid grid-cols-1 lg:grid-cols-2 gap-8 mb-10">
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-8 mb-8">
         <div className="bg-white rounded-2xl border border-gray-200 p-6 shadow-sm">
           <PortfolioPie portfolio={result.portfolio} />
         </div>
+        <div className="bg-white rounded-2xl border border-gray-200 p-6 shadow-sm">
+          <RiskContributionChart portfolio={result.portfolio} />
+        </div>
+      </div>
+      <div className="mb-10">
         <div className="bg-white rounded-2xl border border-gray-200 p-6 shadow-sm">
           <RiskReturnScatter
             optimal={{ expectedReturn: result.expectedReturn, volatility: result.volatility }}
             templates={result.templates}
+            frontier={frontier?.frontier}
+            tangency={frontier?.tangency}
+            assets={frontier?.assets}
           />
         </div>
       </div>
@@ -174,6 +604,13 @@ export default function Portfolio() {
               <th className="py-2 text-sm font-medium text-gray-500">Ticker</th>
               <th className="py-2 text-sm font-medium text-gray-500">Asset</th>
               <th className="py-2 text-sm font-medium text-gray-500 text-right">Weight</th>
+              {result.resampling && (
+                <th className="py-2 text-sm font-medium text-gray-500 text-right">
+                  {(result.resampling.interval * 100).toFixed(0)}% Range
+                </th>
+              )}
+              <th className="py-2 text-sm font-medium text-gray-500 text-right">Risk Share</th>
+              <th className="py-2 text-sm font-medium text-gray-500 text-right">Marginal Risk</th>
               <th className="py-2 text-sm font-medium text-gray-500 text-right">Allocation</th>
             </tr>
           </thead>
@@ -185,6 +622,19 @@ export default function Portfolio() {
                 <td className="py-3 text-right text-gray-600">
                   {(h.weight * 100).toFixed(1)}%
                 </td>
+                {result.resampling && (
+                  <td className="py-3 text-right text-gray-400 text-sm">
+                    {h.weightRange
+                      ? `${(h.weightRange.low * 100).toFixed(1)}–${(h.weightRange.high * 100).toFixed(1)}%`
+                      : '—'}
+                  </td>
+                )}
+                <td className="py-3 text-right text-gray-600">
+                  {(h.riskContributionPct * 100).toFixed(1)}%
+                </td>
+                <td className="py-3 text-right text-gray-600">
+                  {(h.marginalRisk * 100).toFixed(1)}%
+                </td>
                 <td className="py-3 text-right">
                   <div className="inline-block h-2 rounded-full bg-[#F81894]" style={{ width: `${Math.max(h.weight * 200, 4)}px` }} />
                 </td>
@@ -194,37 +644,142 @@ export default function Portfolio() {
         </table>
       </div>
 
-      {/* Template comparison */}
+      {/* Uploaded assets */}
       <div className="bg-white rounded-2xl border border-gray-200 p-6 shadow-sm mb-10">
-        <h3 className="text-lg font-semibold text-gray-700 mb-4">Compared to Standard Portfolios</h3>
-        <div className="overflow-x-auto">
-          <table className="w-full text-left text-sm">
-            <thead>
-              <tr className="border-b border-gray-200">
-                <th className="py-2 font-medium text-gray-500">Portfolio</th>
-                <th className="py-2 font-medium text-gray-500 text-right">Return</th>
-                <th className="py-2 font-medium text-gray-500 text-right">Volatility</th>
-                <th className="py-2 font-medium text-gray-500 text-right">Expected Utility</th>
-              </tr>
-            </thead>
-            <tbody>
-              <tr className="border-b border-gray-100 bg-[#F81894]/5">
-                <td className="py-2 font-semibold text-[#F81894]">Your Optimal</td>
-                <td className="py-2 text-right">{(result.expectedReturn * 100).toFixed(2)}%</td>
-                <td className="py-2 text-right">{(result.volatility * 100).toFixed(2)}%</td>
-                <td className="py-2 text-right font-semibold">{result.expectedUtility.toFixed(4)}</td>
-              </tr>
-              {result.templates.map(t => (
-                <tr key={t.name} className="border-b border-gray-100">
-                  <td className="py-2 text-gray-700">{t.name}</td>
-                  <td className="py-2 text-right text-gray-600">{(t.expectedReturn * 100).toFixed(2)}%</td>
-                  <td className="py-2 text-right text-gray-600">{(t.volatility * 100).toFixed(2)}%</td>
-                  <td className="py-2 text-right text-gray-600">{t.expectedUtility.toFixed(4)}</td>
+        <CustomAssetUpload
+          sessionId={sessionId}
+          onSessionChange={changeSession}
+          onChange={() => setUploadRevision(r => r + 1)}
+        />
+      </div>
+
+      {/* Template comparison and stress tests */}
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-8 mb-10">
+        <div className="bg-white rounded-2xl border border-gray-200 p-6 shadow-sm">
+          <h3 className="text-lg font-semibold text-gray-700 mb-4">Compared to Standard Portfolios</h3>
+          <div className="overflow-x-auto">
+            <table className="w-full text-left text-sm">
+              <thead>
+                <tr className="border-b border-gray-200">
+                  <th className="py-2 font-medium text-gray-500">Portfolio</th>
+                  <th className="py-2 font-medium text-gray-500 text-right">Return</th>
+                  <th className="py-2 font-medium text-gray-500 text-right">Volatility</th>
+                  <th className="py-2 font-medium text-gray-500 text-right">Certainty Equivalent</th>
+                  <th className="py-2 font-medium text-gray-500 text-right">CVaR 95%</th>
+                  <th className="py-2 font-medium text-gray-500 text-right">Worst Year</th>
                 </tr>
-              ))}
-            </tbody>
-          </table>
+              </thead>
+              <tbody>
+                <tr className="border-b border-gray-100 bg-[#F81894]/5">
+                  <td className="py-2 font-semibold text-[#F81894]">Your Optimal</td>
+                  <td className="py-2 text-right">{(result.expectedReturn * 100).toFixed(2)}%</td>
+                  <td className="py-2 text-right">{(result.volatility * 100).toFixed(2)}%</td>
+                  <td className="py-2 text-right font-semibold">{(result.certaintyEquivalentReturn * 100).toFixed(2)}%</td>
+                  <td className="py-2 text-right">{formatLoss(result.tailRisk?.cvar95)}</td>
+                  <td className="py-2 text-right">{formatWorstYear(result.tailRisk?.worstYear)}</td>
+                </tr>
+                {result.templates.map(t => (
+                  <tr key={t.name} className="border-b border-gray-100">
+                    <td className="py-2 text-gray-700">{t.name}</td>
+                    <td className="py-2 text-right text-gray-600">{(t.expectedReturn * 100).toFixed(2)}%</td>
+                    <td className="py-2 text-right text-gray-600">{(t.volatility * 100).toFixed(2)}%</td>
+                    <td className="py-2 text-right text-gray-600">{(t.certaintyEquivalentReturn * 100).toFixed(2)}%</td>
+                    <td className="py-2 text-right text-gray-600">{formatLoss(t.tailRisk?.cvar95)}</td>
+                    <td className="py-2 text-right text-gray-600">{formatWorstYear(t.tailRisk?.worstYear)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
         </div>
+        <div className="bg-white rounded-2xl border border-gray-200 p-6 shadow-sm">
+          {stress ? <StressTable scenarios={stress} /> : <p className="text-gray-400 text-sm">Running stress tests...</p>}
+        </div>
+      </div>
+
+      {/* Wealth projection */}
+      <div className="bg-white rounded-2xl border border-gray-200 p-6 shadow-sm mb-10">
+        <h3 className="text-lg font-semibold text-gray-700 mb-4">Wealth Projection</h3>
+        <form
+          className="grid grid-cols-2 md:grid-cols-6 gap-4 items-end mb-6 text-sm"
+          onSubmit={e => {
+            e.preventDefault();
+            setSubmittedProjection({ ...projectionInputs });
+          }}
+        >
+          {[
+            { field: 'initialBalance', label: 'Initial balance ($)', step: 1000 },
+            { field: 'years', label: 'Years', step: 1 },
+            { field: 'contribution', label: 'Contribution ($, − to withdraw)', step: 100 },
+            { field: 'seed', label: 'Seed', step: 1 },
+          ].map(input => (
+            <label key={input.field} className="flex flex-col gap-1 text-gray-500">
+              {input.label}
+              <input
+                type="number"
+                step={input.step}
+                value={projectionInputs[input.field]}
+                onChange={e => updateProjectionInput(input.field, Number(e.target.value))}
+                className="border border-gray-200 rounded-lg px-3 py-1.5 text-gray-700"
+              />
+            </label>
+          ))}
+          <label className="flex flex-col gap-1 text-gray-500">
+            Frequency
+            <select
+              value={projectionInputs.frequency}
+              onChange={e => updateProjectionInput('frequency', e.target.value)}
+              className="border border-gray-200 rounded-lg px-3 py-1.5 bg-white text-gray-700"
+            >
+              <option value="monthly">Monthly</option>
+              <option value="annual">Annual</option>
+            </select>
+          </label>
+          <label className="flex flex-col gap-1 text-gray-500">
+            Model
+            <select
+              value={projectionInputs.method}
+              onChange={e => updateProjectionInput('method', e.target.value)}
+              className="border border-gray-200 rounded-lg px-3 py-1.5 bg-white text-gray-700"
+            >
+              <option value="parametric">Parametric</option>
+              <option value="bootstrap">Historical bootstrap</option>
+            </select>
+          </label>
+          <button
+            type="submit"
+            disabled={projectionLoading}
+            className="col-span-2 md:col-span-6 md:justify-self-end px-6 py-2 rounded-full bg-[#F81894] text-white font-semibold hover:bg-[#99004C] transition-colors disabled:opacity-50"
+          >
+            {projectionLoading ? 'Simulating...' : 'Run Simulation'}
+          </button>
+        </form>
+
+        {projectionError && <p className="text-red-500 text-sm mb-4">{projectionError}</p>}
+        {projection && (
+          <>
+            <WealthFanChart bands={projection.bands} />
+            <div className="grid grid-cols-3 gap-4 mt-4 text-sm">
+              <div>
+                <div className="text-gray-500">Median after {projection.years} years</div>
+                <div className="text-xl font-bold text-gray-800">
+                  ${Math.round(projection.bands[projection.years].p50).toLocaleString()}
+                </div>
+              </div>
+              <div>
+                <div className="text-gray-500">Probability of loss</div>
+                <div className="text-xl font-bold text-gray-800">{(projection.probabilityOfLoss * 100).toFixed(1)}%</div>
+              </div>
+              <div>
+                <div className="text-gray-500">Probability of running out</div>
+                <div className="text-xl font-bold text-gray-800">{(projection.probabilityOfDepletion * 100).toFixed(1)}%</div>
+              </div>
+            </div>
+            <p className="text-xs text-gray-400 mt-3">
+              {projection.paths.toLocaleString()} {projection.method === 'bootstrap' ? 'historically bootstrapped' : 'parametric'} paths · seed {projection.seed}
+            </p>
+          </>
+        )}
       </div>
 
       {/* AI explanation */}
@@ -1,16 +1,26 @@
 import { useEffect, useState } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import UtilityCurve from '../components/UtilityCurve.jsx';
+import PosteriorChart from '../components/PosteriorChart.jsx';
+import ValueFunctionChart from '../components/ValueFunctionChart.jsx';
 import { getRiskLabel } from '../utils/constants.js';
+import { CONFIRMATION_QUESTIONS } from '../utils/consistency.js';
+import { PROSPECT_QUESTIONS } from '../utils/lotteryEngine.js';
 
 export default function Results() {
   const navigate = useNavigate();
   const [gamma, setGamma] = useState(null);
   const [confidence, setConfidence] = useState(null);
+  const [posterior, setPosterior] = useState(null);
+  const [consistency, setConsistency] = useState(null);
+  const [prospect, setProspect] = useState(null);
 
   useEffect(() => {
     const storedGamma = localStorage.getItem('riskyfrisky_gamma');
     const storedConf = localStorage.getItem('riskyfrisky_confidence');
+    const storedPosterior = localStorage.getItem('riskyfrisky_posterior');
+    const storedConsistency = localStorage.getItem('riskyfrisky_consistency');
+    const storedProspect = localStorage.getItem('riskyfrisky_prospect');
 
     if (!storedGamma) {
       navigate('/assess');
@@ -19,6 +29,9 @@ export default function Results() {
 
     setGamma(JSON.parse(storedGamma));
     setConfidence(storedConf ? JSON.parse(storedConf) : null);
+    setPosterior(storedPosterior ? JSON.parse(storedPosterior) : null);
+    setConsistency(storedConsistency ? JSON.parse(storedConsistency) : null);
+    setProspect(storedProspect ? JSON.parse(storedProspect) : null);
   }, [navigate]);
 
   if (gamma === null) return null;
@@ -32,6 +45,33 @@ export default function Results() {
         Based on your choices, we've estimated your risk aversion using CRRA utility theory.
       </p>
 
+      {/* Reliability warning */}
+      {consistency?.lowQuality && (
+        <div className="bg-amber-50 border border-amber-200 rounded-2xl p-6 mb-8">
+          <h3 className="text-lg font-semibold text-amber-800 mb-1">This estimate may be unreliable</h3>
+          <p className="text-sm text-amber-700 mb-4">
+            {consistency.reasons.join('; ')}. Before investing on this γ, consider
+            {consistency.confirmed ? ' retaking the assessment.' : ` answering ${CONFIRMATION_QUESTIONS} confirmation questions or retaking the assessment.`}
+          </p>
+          <div className="flex flex-wrap gap-3">
+            {!consistency.confirmed && (
+              <button
+                onClick={() => navigate('/assess?confirm=1')}
+                className="bg-[#F81894] text-white font-semibold text-sm px-5 py-2 rounded-full hover:bg-[#99004C] transition-colors"
+              >
+                Answer {CONFIRMATION_QUESTIONS} More Questions
+              </button>
+            )}
+            <button
+              onClick={() => navigate('/assess')}
+              className="border border-[#F81894] text-[#F81894] font-semibold text-sm px-5 py-2 rounded-full hover:bg-pink-50 transition-colors"
+            >
+              Retake Assessment
+            </button>
+          </div>
+        </div>
+      )}
+
       {/* Key stats */}
       <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mb-12">
         {/* Gamma */}
@@ -40,7 +80,18 @@ export default function Results() {
           <div className="text-5xl font-extrabold text-[#F81894]">{gamma.toFixed(2)}</div>
           {confidence && (
             <div className="text-xs text-gray-400 mt-2">
-              95% CI: [{confidence[0].toFixed(1)}, {confidence[1].toFixed(1)}]
+              {posterior ? '95% credible interval' : '95% CI'}: [{confidence[0].toFixed(1)}, {confidence[1].toFixed(1)}]
+            </div>
+          )}
+          {posterior && (
+            <div className="text-xs text-gray-400">
+              Posterior mean · median {posterior.median.toFixed(2)}
+            </div>
+          )}
+          {consistency && (
+            <div className="text-xs text-gray-400">
+              Answer consistency {(consistency.score * 100).toFixed(0)}%
+              {posterior?.lambda && <> · choice sensitivity λ ≈ {posterior.lambda.median.toFixed(1)}</>}
             </div>
           )}
         </div>
@@ -66,6 +117,67 @@ export default function Results() {
         </div>
       </div>
 
+      {/* Posterior over γ */}
+      {posterior && (
+        <div className="bg-white rounded-2xl border border-gray-200 p-6 shadow-sm mb-12">
+          <PosteriorChart posterior={posterior} />
+        </div>
+      )}
+
+      {/* Loss aversion (prospect theory) */}
+      {prospect ? (
+        <div className="bg-white rounded-2xl border border-gray-200 p-6 shadow-sm mb-12">
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mb-6">
+            <div className="text-center">
+              <div className="text-sm text-gray-500 mb-1">Loss Aversion (λ<sub>loss</sub>)</div>
+              <div className="text-5xl font-extrabold text-[#F81894]">{prospect.lossAversion.mean.toFixed(2)}×</div>
+              <div className="text-xs text-gray-400 mt-2">
+                95% credible interval: [{prospect.lossAversion.credibleInterval[0].toFixed(1)}, {prospect.lossAversion.credibleInterval[1].toFixed(1)}]
+              </div>
+            </div>
+            <div className="text-center">
+              <div className="text-sm text-gray-500 mb-1">Value Curvature (α)</div>
+              <div className="text-3xl font-bold text-gray-700">{prospect.curvature.mean.toFixed(2)}</div>
+              <div className="text-xs text-gray-400 mt-2">
+                [{prospect.curvature.credibleInterval[0].toFixed(2)}, {prospect.curvature.credibleInterval[1].toFixed(2)}] · 1 is linear
+              </div>
+            </div>
+            <div className="text-center">
+              <div className="text-sm text-gray-500 mb-1">Probability Weighting (δ)</div>
+              <div className="text-3xl font-bold text-gray-700">{prospect.weighting.mean.toFixed(2)}</div>
+              <div className="text-xs text-gray-400 mt-2">
+                [{prospect.weighting.credibleInterval[0].toFixed(2)}, {prospect.weighting.credibleInterval[1].toFixed(2)}] · below 1 overweights long shots
+              </div>
+            </div>
+          </div>
+          <p className="text-sm text-gray-600 leading-relaxed mb-6">
+            {prospect.lossAversion.mean < 1.5
+              && 'Losses and gains of the same size feel about alike to you, so a market drop is unlikely to push you into selling on its own.'}
+            {prospect.lossAversion.mean >= 1.5 && prospect.lossAversion.mean < 2.5
+              && `A loss hurts you about ${prospect.lossAversion.mean.toFixed(1)} times as much as an equal gain pleases you, which is typical. Sharp drops may still tempt you to sell, so it helps to know your portfolio's worst months in advance.`}
+            {prospect.lossAversion.mean >= 2.5
+              && `A loss hurts you about ${prospect.lossAversion.mean.toFixed(1)} times as much as an equal gain pleases you. In a downturn the urge to sell can be strong; a portfolio with smaller losses is easier to stick with, and the Portfolio page can penalize downside for you.`}
+          </p>
+          <ValueFunctionChart prospect={prospect} />
+        </div>
+      ) : (
+        <div className="bg-gray-50 rounded-2xl p-6 mb-12 flex flex-wrap items-center justify-between gap-4">
+          <div>
+            <h3 className="text-lg font-semibold text-gray-700 mb-1">How do you feel about losses?</h3>
+            <p className="text-sm text-gray-600">
+              Every question so far was about gains. {PROSPECT_QUESTIONS} questions with gambles that can lose money
+              measure your loss aversion, which is what drives selling in a downturn.
+            </p>
+          </div>
+          <button
+            onClick={() => navigate('/assess?mode=prospect')}
+            className="border border-[#F81894] text-[#F81894] font-semibold text-sm px-5 py-2 rounded-full hover:bg-pink-50 transition-colors"
+          >
+            Measure Loss Aversion
+          </button>
+        </div>
+      )}
+
       {/* Utility curve */}
       <div className="bg-white rounded-2xl border border-gray-200 p-6 shadow-sm mb-12">
         <UtilityCurve gamma={gamma} />
@@ -81,11 +193,21 @@ export default function Results() {
           U(x) = x<sup>(1−γ)</sup> / (1−γ)
         </div>
         <p className="text-sm text-gray-600 leading-relaxed">
-          Your choices were analyzed using a <strong>logistic choice model</strong> with
-          maximum likelihood estimation. The curve above shows how your utility
+          Your choices were analyzed using a <strong>logistic choice model</strong>: we
+          started from the spread of risk aversion among typical investors (the prior)
+          and updated it with each answer using <strong>Bayes&apos; rule</strong>. Your score is
+          the mean of the resulting posterior. The utility curve shows how your utility
           increases with wealth — the more curved it is, the more you value
           certainty over potential gains.
         </p>
+        {prospect && (
+          <p className="text-sm text-gray-600 leading-relaxed mt-2">
+            Your loss aversion comes from <strong>cumulative prospect theory</strong>, which values a gain x
+            as x<sup>α</sup> and a loss as −λ<sub>loss</sub>·|x|<sup>α</sup>, and weights probabilities with
+            Prelec&apos;s function w(p) = exp(−(−ln p)<sup>δ</sup>). All three were estimated the same way,
+            from every answer you gave.
+          </p>
+        )}
       </div>
 
       <div className="text-center">
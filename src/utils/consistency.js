@@ -0,0 +1,63 @@
+/**
+ * Answer consistency checks for the risk assessment.
+ *
+ * Choosing the safe option A says γ is above the pair's indifference γ, and
+ * choosing the risky option B says it is below. So answering B on a pair and
+ * A on a pair with a higher indifference γ is a contradiction: no single γ
+ * explains both. Contradictions between pairs with nearby indifference points
+ * are ordinary noise; those far apart suggest careless clicking.
+ *
+ * Together with the estimated choice sensitivity λ (see gammaPosterior.js),
+ * this decides whether an assessment is reliable enough to invest on.
+ */
+
+// Indifference points further apart than this make a contradiction serious
+export const SEVERE_GAP = 0.75;
+
+// Below this share of consistent comparisons the assessment is flagged
+export const MIN_CONSISTENCY = 0.9;
+
+// Posterior median λ below this means the answers look close to random
+export const MIN_LAMBDA = 3;
+
+// Extra questions offered to shore up a flagged assessment
+export const CONFIRMATION_QUESTIONS = 4;
+
+/**
+ * Check a set of answers for contradictions.
+ *
+ * @param {Array} choices - Array of { pair, choice }
+ * @param {{ lambda: { median: number } }} [posterior] - From inferGammaPosterior, to also judge λ
+ * @returns {{
+ *   score: number, comparisons: number,
+ *   violations: { riskyPairId: number, safePairId: number, gap: number }[],
+ *   lowQuality: boolean, reasons: string[]
+ * }} score is the share of comparable answer pairs that are consistent (1 when none are comparable)
+ */
+export function assessConsistency(choices, posterior = null) {
+  const violations = [];
+  let comparisons = 0;
+  for (const risky of choices) {
+    for (const safe of choices) {
+      const gap = safe.pair.indifferenceGamma - risky.pair.indifferenceGamma;
+      if (risky.choice !== 'B' || gap <= 0) continue;
+      if (safe.choice === 'A') violations.push({ riskyPairId: risky.pair.id, safePairId: safe.pair.id, gap });
+    }
+  }
+  for (let i = 0; i < choices.length; i++) {
+    for (let j = i + 1; j < choices.length; j++) {
+      if (choices[i].pair.indifferenceGamma !== choices[j].pair.indifferenceGamma) comparisons++;
+    }
+  }
+  const score = comparisons > 0 ? 1 - violations.length / comparisons : 1;
+
+  const reasons = [];
+  const severe = violations.filter(v => v.gap >= SEVERE_GAP);
+  if (severe.length > 0) {
+    reasons.push(`${severe.length} clear contradiction${severe.length > 1 ? 's' : ''} between answers`);
+  }
+  if (score < MIN_CONSISTENCY) reasons.push(`only ${(score * 100).toFixed(0)}% of answer pairs are consistent`);
+  if (posterior && posterior.lambda.median < MIN_LAMBDA) reasons.push('answers look close to random');
+
+  return { score, comparisons, violations, lowQuality: reasons.length > 0, reasons };
+}
@@ -2,7 +2,8 @@
  * Predefined lottery pairs for the risk assessment.
  *
  * Each pair has a numerically verified "indifference gamma" — the γ value at
- * which a CRRA agent is indifferent between option A and option B.
+ * which a CRRA agent is indifferent between option A and option B. Re-check
+ * them with `npm run lotteries:validate` after editing (see lotteryGenerator.js).
  *
  * All outcomes are strictly positive (no $0) to avoid CRRA singularities.
  * Pairs span γ from 0.8 to 4.4 for the target range of [1, 4].
@@ -138,6 +139,125 @@ export const LOTTERY_PAIRS = [
   },
 ];
 
+/**
+ * Lottery pairs for the prospect-theory assessment (see prospectTheory.js),
+ * with outcomes as gains or losses in dollars:
+ *
+ *   - 'mixed': a 50/50 win-or-lose gamble against not playing (or a small sure
+ *     gain). Accepting one says a loss weighs less than the win-to-loss
+ *     ratio times an equal gain, so these mostly measure loss aversion;
+ *   - 'gains' and 'losses': a sure amount against a chance of $100, at small
+ *     and large probabilities, which separate curvature from probability
+ *     weighting.
+ *
+ * Option A is always the one without risk. Unlike LOTTERY_PAIRS these have
+ * no single indifference point: it depends on all three parameters.
+ */
+export const PROSPECT_PAIRS = [
+  {
+    id: 201,
+    kind: 'mixed',
+    optionA: { outcomes: [{ value: 0, prob: 1.0 }], label: '$0 (don\'t play)' },
+    optionB: { outcomes: [{ value: 25, prob: 0.5 }, { value: -20, prob: 0.5 }], label: '50% chance to win $25, 50% chance to lose $20' },
+  },
+  {
+    id: 202,
+    kind: 'mixed',
+    optionA: { outcomes: [{ value: 0, prob: 1.0 }], label: '$0 (don\'t play)' },
+    optionB: { outcomes: [{ value: 30, prob: 0.5 }, { value: -20, prob: 0.5 }], label: '50% chance to win $30, 50% chance to lose $20' },
+  },
+  {
+    id: 203,
+    kind: 'mixed',
+    optionA: { outcomes: [{ value: 0, prob: 1.0 }], label: '$0 (don\'t play)' },
+    optionB: { outcomes: [{ value: 40, prob: 0.5 }, { value: -20, prob: 0.5 }], label: '50% chance to win $40, 50% chance to lose $20' },
+  },
+  {
+    id: 204,
+    kind: 'mixed',
+    optionA: { outcomes: [{ value: 0, prob: 1.0 }], label: '$0 (don\'t play)' },
+    optionB: { outcomes: [{ value: 50, prob: 0.5 }, { value: -20, prob: 0.5 }], label: '50% chance to win $50, 50% chance to lose $20' },
+  },
+  {
+    id: 205,
+    kind: 'mixed',
+    optionA: { outcomes: [{ value: 0, prob: 1.0 }], label: '$0 (don\'t play)' },
+    optionB: { outcomes: [{ value: 60, prob: 0.5 }, { value: -20, prob: 0.5 }], label: '50% chance to win $60, 50% chance to lose $20' },
+  },
+  {
+    id: 206,
+    kind: 'mixed',
+    optionA: { outcomes: [{ value: 0, prob: 1.0 }], label: '$0 (don\'t play)' },
+    optionB: { outcomes: [{ value: 80, prob: 0.5 }, { value: -20, prob: 0.5 }], label: '50% chance to win $80, 50% chance to lose $20' },
+  },
+  {
+    id: 207,
+    kind: 'mixed',
+    optionA: { outcomes: [{ value: 0, prob: 1.0 }], label: '$0 (don\'t play)' },
+    optionB: { outcomes: [{ value: 150, prob: 0.5 }, { value: -100, prob: 0.5 }], label: '50% chance to win $150, 50% chance to lose $100' },
+  },
+  {
+    id: 208,
+    kind: 'mixed',
+    optionA: { outcomes: [{ value: 0, prob: 1.0 }], label: '$0 (don\'t play)' },
+    optionB: { outcomes: [{ value: 250, prob: 0.5 }, { value: -100, prob: 0.5 }], label: '50% chance to win $250, 50% chance to lose $100' },
+  },
+  {
+    id: 209,
+    kind: 'mixed',
+    optionA: { outcomes: [{ value: 10, prob: 1.0 }], label: '$10 for sure' },
+    optionB: { outcomes: [{ value: 60, prob: 0.5 }, { value: -30, prob: 0.5 }], label: '50% chance to win $60, 50% chance to lose $30' },
+  },
+  {
+    id: 210,
+    kind: 'gains',
+    optionA: { outcomes: [{ value: 5, prob: 1.0 }], label: '$5 for sure' },
+    optionB: { outcomes: [{ value: 100, prob: 0.05 }, { value: 0, prob: 0.95 }], label: '5% chance of $100, 95% chance of $0' },
+  },
+  {
+    id: 211,
+    kind: 'gains',
+    optionA: { outcomes: [{ value: 10, prob: 1.0 }], label: '$10 for sure' },
+    optionB: { outcomes: [{ value: 100, prob: 0.1 }, { value: 0, prob: 0.9 }], label: '10% chance of $100, 90% chance of $0' },
+  },
+  {
+    id: 212,
+    kind: 'gains',
+    optionA: { outcomes: [{ value: 40, prob: 1.0 }], label: '$40 for sure' },
+    optionB: { outcomes: [{ value: 100, prob: 0.5 }, { value: 0, prob: 0.5 }], label: '50% chance of $100, 50% chance of $0' },
+  },
+  {
+    id: 213,
+    kind: 'gains',
+    optionA: { outcomes: [{ value: 70, prob: 1.0 }], label: '$70 for sure' },
+    optionB: { outcomes: [{ value: 100, prob: 0.9 }, { value: 0, prob: 0.1 }], label: '90% chance of $100, 10% chance of $0' },
+  },
+  {
+    id: 214,
+    kind: 'losses',
+    optionA: { outcomes: [{ value: -5, prob: 1.0 }], label: 'Lose $5 for sure' },
+    optionB: { outcomes: [{ value: -100, prob: 0.05 }, { value: 0, prob: 0.95 }], label: '5% chance to lose $100, 95% chance to lose nothing' },
+  },
+  {
+    id: 215,
+    kind: 'losses',
+    optionA: { outcomes: [{ value: -10, prob: 1.0 }], label: 'Lose $10 for sure' },
+    optionB: { outcomes: [{ value: -100, prob: 0.1 }, { value: 0, prob: 0.9 }], label: '10% chance to lose $100, 90% chance to lose nothing' },
+  },
+  {
+    id: 216,
+    kind: 'losses',
+    optionA: { outcomes: [{ value: -50, prob: 1.0 }], label: 'Lose $50 for sure' },
+    optionB: { outcomes: [{ value: -100, prob: 0.5 }, { value: 0, prob: 0.5 }], label: '50% chance to lose $100, 50% chance to lose nothing' },
+  },
+  {
+    id: 217,
+    kind: 'losses',
+    optionA: { outcomes: [{ value: -80, prob: 1.0 }], label: 'Lose $80 for sure' },
+    optionB: { outcomes: [{ value: -100, prob: 0.9 }, { value: 0, prob: 0.1 }], label: '90% chance to lose $100, 10% chance to lose nothing' },
+  },
+];
+
 /**
  * Risk label thresholds for γ ∈ [1, 4].
  */
@@ -155,8 +275,3 @@ export function getRiskLabel(gamma) {
   }
   return RISK_LABELS[RISK_LABELS.length - 1];
 }
-
-/**
- * Number of questions in the assessment.
- */
-export const NUM_QUESTIONS = 10;
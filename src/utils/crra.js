@@ -37,6 +37,18 @@ export function expectedUtility(outcomes, gamma) {
   }, 0);
 }
 
+/**
+ * Certainty equivalent of a lottery: the sure amount with the same expected utility.
+ * @param {{ value: number, prob: number }[]} outcomes
+ * @param {number} gamma
+ * @returns {number} Certainty equivalent in the outcomes' units
+ */
+export function certaintyEquivalent(outcomes, gamma) {
+  const eu = expectedUtility(outcomes, gamma);
+  if (Math.abs(gamma - 1) < 1e-6) return Math.exp(eu);
+  return Math.pow(eu * (1 - gamma), 1 / (1 - gamma));
+}
+
 /**
  * Generate utility curve data points for plotting.
  * Returns array of { x, u } for x from xMin to xMax.
@@ -1,103 +1,56 @@
 /**
- * Maximum Likelihood Estimation (MLE) for the risk aversion coefficient γ.
+ * Choice model for the risk aversion coefficient γ: the likelihood of the
+ * observed lottery choices, used by the posterior in gammaPosterior.js.
  *
- * Uses a logistic choice model:
- *   P(choose A | γ) = 1 / (1 + exp(-λ * (EU_A(γ) - EU_B(γ))))
+ * Uses a logistic choice model on certainty equivalents:
+ *   P(choose A | γ) = 1 / (1 + exp(-λ * (CE_A(γ) - CE_B(γ)) / CE_avg(γ)))
  *
  * Where:
- *   EU_A(γ) = expected utility of option A under CRRA with parameter γ
- *   EU_B(γ) = expected utility of option B under CRRA with parameter γ
- *   λ = sensitivity parameter (higher = more deterministic choices)
+ *   CE_A(γ) = certainty equivalent of option A under CRRA with parameter γ
+ *   CE_B(γ) = certainty equivalent of option B under CRRA with parameter γ
+ *   CE_avg(γ) = their average, so the gap is relative and comparable across γ
+ *   λ = sensitivity parameter (higher = more deterministic choices), estimated
+ *       jointly with γ in gammaPosterior.js since people differ in how carefully they answer
  *
- * We do a grid search over γ ∈ [1.0, 4.0] to find the MLE estimate.
+ * Raw expected-utility differences shrink toward zero as γ grows (utilities
+ * scale like x^(1−γ)), which would make every choice look like a coin flip
+ * for risk-averse users; certainty equivalents stay in dollars.
  */
 
-import { expectedUtility } from './crra.js';
-
-// Sensitivity parameter for the logistic choice model.
-// λ = 8 gives reasonable noise tolerance for human choices.
-const LAMBDA = 8;
+import { certaintyEquivalent } from './crra.js';
 
 /**
- * Compute log-likelihood of the observed choices for a given γ.
+ * Relative certainty-equivalent gap in favor of the chosen option,
+ * (CE_chosen − CE_other) / CE_avg, at a given γ.
  *
- * @param {Array} choices - Array of { pair, choice } where:
- *   pair = lottery pair object (with optionA, optionB)
- *   choice = 'A' or 'B'
- * @param {number} gamma - Candidate γ value
- * @returns {number} Log-likelihood
+ * @param {{ pair: Object, choice: 'A'|'B' }} answer
+ * @param {number} gamma
+ * @returns {number} Positive when the choice is the one a CRRA agent with this γ prefers
  */
-function logLikelihood(choices, gamma) {
-  let ll = 0;
-
-  for (const { pair, choice } of choices) {
-    const euA = expectedUtility(pair.optionA.outcomes, gamma);
-    const euB = expectedUtility(pair.optionB.outcomes, gamma);
-
-    // P(choose A) = sigmoid(λ * (EU_A - EU_B))
-    const diff = LAMBDA * (euA - euB);
-
-    // Numerically stable log-sigmoid
-    if (choice === 'A') {
-      // log P(A) = log sigmoid(diff) = -log(1 + exp(-diff))
-      ll += diff > 0 ? -Math.log(1 + Math.exp(-diff)) : diff - Math.log(1 + Math.exp(diff));
-    } else {
-      // log P(B) = log(1 - sigmoid(diff)) = log sigmoid(-diff) = -log(1 + exp(diff))
-      ll += -diff > 0 ? -Math.log(1 + Math.exp(diff)) : -diff - Math.log(1 + Math.exp(-diff));
-    }
-  }
+export function choiceGap({ pair, choice }, gamma) {
+  const ceA = certaintyEquivalent(pair.optionA.outcomes, gamma);
+  const ceB = certaintyEquivalent(pair.optionB.outcomes, gamma);
+  const gap = (ceA - ceB) / ((ceA + ceB) / 2);
+  return choice === 'A' ? gap : -gap;
+}
 
-  return ll;
+/**
+ * Numerically stable log sigmoid: log(1 / (1 + exp(-x))).
+ */
+export function logSigmoid(x) {
+  return x > 0 ? -Math.log1p(Math.exp(-x)) : x - Math.log1p(Math.exp(x));
 }
 
 /**
- * Infer the risk aversion coefficient γ from observed lottery choices using MLE.
+ * Compute log-likelihood of the observed choices for a given γ and λ.
  *
- * @param {Array} choices - Array of { pair, choice }
- * @returns {{ gamma: number, confidence: [number, number], logLikelihood: number }}
+ * @param {Array} choices - Array of { pair, choice } where:
+ *   pair = lottery pair object (with optionA, optionB)
+ *   choice = 'A' or 'B'
+ * @param {number} gamma - Candidate γ value
+ * @param {number} lambda - Choice sensitivity λ; at 8, an option worth 10% more is picked about 69% of the time
+ * @returns {number} Log-likelihood
  */
-export function inferGamma(choices) {
-  if (choices.length === 0) {
-    return { gamma: 2.5, confidence: [1.0, 4.0], logLikelihood: 0 };
-  }
-
-  const GAMMA_MIN = 1.0;
-  const GAMMA_MAX = 4.0;
-  const STEP = 0.02;
-
-  let bestGamma = 3.0;
-  let bestLL = -Infinity;
-
-  // Grid search
-  for (let g = GAMMA_MIN; g <= GAMMA_MAX; g += STEP) {
-    const ll = logLikelihood(choices, g);
-    if (ll > bestLL) {
-      bestLL = ll;
-      bestGamma = g;
-    }
-  }
-
-  // Compute 95% confidence interval: LL > maxLL - 1.92
-  const threshold = bestLL - 1.92;
-  let ciLo = GAMMA_MIN;
-  let ciHi = GAMMA_MAX;
-
-  for (let g = GAMMA_MIN; g <= GAMMA_MAX; g += STEP) {
-    if (logLikelihood(choices, g) >= threshold) {
-      ciLo = g;
-      break;
-    }
-  }
-  for (let g = GAMMA_MAX; g >= GAMMA_MIN; g -= STEP) {
-    if (logLikelihood(choices, g) >= threshold) {
-      ciHi = g;
-      break;
-    }
-  }
-
-  return {
-    gamma: parseFloat(bestGamma.toFixed(2)),
-    confidence: [parseFloat(ciLo.toFixed(2)), parseFloat(ciHi.toFixed(2))],
-    logLikelihood: bestLL,
-  };
+export function logLikelihood(choices, gamma, lambda) {
+  return choices.reduce((ll, answer) => ll + logSigmoid(lambda * choiceGap(answer, gamma)), 0);
 }
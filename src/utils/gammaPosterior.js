@@ -0,0 +1,211 @@
+/**
+ * Bayesian inference for the risk aversion coefficient γ and the choice
+ * sensitivity λ.
+ *
+ * Both priors are lognormal, log γ ~ N(log median, σ²) and likewise for λ,
+ * and the likelihood is the logistic choice model of gammaInference.js. The
+ * joint posterior
+ *
+ *   p(γ, λ | choices) ∝ p(γ) · p(λ) · Π P(choice | γ, λ)
+ *
+ * is evaluated on a grid, log-spaced in both, wide enough that a user who
+ * always picks the safe (or the risky) option ends up in the prior's tail
+ * rather than against an arbitrary bound. γ's posterior is the marginal over
+ * λ, so careless answering (low λ) widens it instead of being read as a
+ * precise preference.
+ */
+
+import { choiceGap, logSigmoid } from './gammaInference.js';
+
+/**
+ * Default prior: most subjects in lottery-choice experiments land between
+ * γ ≈ 1 and 6, with a median near 2.5.
+ */
+export const DEFAULT_GAMMA_PRIOR = { median: 2.5, sigma: 0.6 };
+
+/**
+ * Default prior on λ: centered on the sensitivity that fits typical answers,
+ * from near-random (λ ≈ 2) to very consistent (λ ≈ 30).
+ */
+export const DEFAULT_LAMBDA_PRIOR = { median: 8, sigma: 0.7 };
+
+const GRID_MIN = 0.2;
+const GRID_MAX = 12;
+const GRID_POINTS = 241;
+
+const LAMBDA_MIN = 0.5;
+const LAMBDA_MAX = 60;
+const LAMBDA_POINTS = 31;
+
+// Two-sided credible interval
+export const CREDIBLE_LEVEL = 0.95;
+
+/**
+ * Fit a lognormal prior to a population of γ estimates.
+ * @param {number[]} gammas - Positive γ values, e.g. from past assessments
+ * @returns {{ median: number, sigma: number }}
+ */
+export function fitLognormalPrior(gammas) {
+  const logs = gammas.filter(g => g > 0).map(Math.log);
+  if (logs.length < 2) return { ...DEFAULT_GAMMA_PRIOR };
+  const mu = logs.reduce((s, x) => s + x, 0) / logs.length;
+  const variance = logs.reduce((s, x) => s + (x - mu) ** 2, 0) / (logs.length - 1);
+  return { median: Math.exp(mu), sigma: Math.max(Math.sqrt(variance), 0.1) };
+}
+
+/**
+ * Lognormal density at x (γ, λ or any other positive parameter).
+ */
+export function lognormalDensity(x, { median, sigma }) {
+  const z = (Math.log(x) - Math.log(median)) / sigma;
+  return Math.exp(-0.5 * z * z) / (x * sigma * Math.sqrt(2 * Math.PI));
+}
+
+/**
+ * Trapezoid-rule probability mass of each grid point.
+ */
+export function gridMasses(gammas, densities) {
+  return gammas.map((g, i) => {
+    const left = i > 0 ? (g - gammas[i - 1]) / 2 : 0;
+    const right = i < gammas.length - 1 ? (gammas[i + 1] - g) / 2 : 0;
+    return densities[i] * (left + right);
+  });
+}
+
+/**
+ * Grid value at which the cumulative mass reaches p, interpolated between grid points.
+ */
+export function quantile(gammas, masses, p) {
+  let cumulative = 0;
+  for (let i = 0; i < gammas.length; i++) {
+    if (cumulative + masses[i] >= p) {
+      const share = masses[i] > 0 ? (p - cumulative) / masses[i] : 0;
+      return i === 0 ? gammas[0] : gammas[i - 1] + share * (gammas[i] - gammas[i - 1]);
+    }
+    cumulative += masses[i];
+  }
+  return gammas[gammas.length - 1];
+}
+
+/**
+ * Log-spaced grid from min to max.
+ */
+export function logGrid(min, max, points) {
+  const step = Math.log(max / min) / (points - 1);
+  return Array.from({ length: points }, (_, i) => min * Math.exp(i * step));
+}
+
+const GAMMAS = logGrid(GRID_MIN, GRID_MAX, GRID_POINTS);
+const LAMBDAS = logGrid(LAMBDA_MIN, LAMBDA_MAX, LAMBDA_POINTS);
+const GAMMA_WIDTHS = gridMasses(GAMMAS, GAMMAS.map(() => 1));
+const LAMBDA_WIDTHS = gridMasses(LAMBDAS, LAMBDAS.map(() => 1));
+
+// Relative CE gaps in favor of option A on the γ grid, by lottery pair
+const gapCache = new WeakMap();
+
+function gapsForA(pair) {
+  if (!gapCache.has(pair)) gapCache.set(pair, GAMMAS.map(g => choiceGap({ pair, choice: 'A' }, g)));
+  return gapCache.get(pair);
+}
+
+/**
+ * Joint posterior probabilities of (γ, λ) on the grid.
+ *
+ * @param {Array} choices - Array of { pair, choice } (see choiceGap)
+ * @param {Object} [options]
+ * @param {{ median: number, sigma: number }} [options.prior=DEFAULT_GAMMA_PRIOR] - Lognormal prior on γ
+ * @param {{ median: number, sigma: number }} [options.lambdaPrior=DEFAULT_LAMBDA_PRIOR] - Lognormal prior on λ
+ * @returns {{ gammas: number[], lambdas: number[], joint: number[][] }} joint[i][k] is the mass at
+ *   (gammas[i], lambdas[k]); all masses sum to 1
+ */
+export function jointPosterior(choices, { prior = DEFAULT_GAMMA_PRIOR, lambdaPrior = DEFAULT_LAMBDA_PRIOR } = {}) {
+  const lambdaLogPriors = LAMBDAS.map((l, k) => Math.log(lognormalDensity(l, lambdaPrior) * LAMBDA_WIDTHS[k]));
+  const signedGaps = choices.map(({ pair, choice }) => gapsForA(pair).map(gap => (choice === 'A' ? gap : -gap)));
+
+  // The CE gaps do not depend on λ
+  const logJoint = GAMMAS.map((g, i) => {
+    const logPrior = Math.log(lognormalDensity(g, prior) * GAMMA_WIDTHS[i]);
+    return LAMBDAS.map((l, k) => logPrior + lambdaLogPriors[k]
+      + signedGaps.reduce((ll, gaps) => ll + logSigmoid(l * gaps[i]), 0));
+  });
+
+  // Subtract the maximum so long answer streaks cannot underflow
+  const peak = Math.max(...logJoint.map(row => Math.max(...row)));
+  const unnormalized = logJoint.map(row => row.map(lp => Math.exp(lp - peak)));
+  const total = unnormalized.reduce((s, row) => s + row.reduce((r, v) => r + v, 0), 0);
+  return { gammas: GAMMAS, lambdas: LAMBDAS, joint: unnormalized.map(row => row.map(v => v / total)) };
+}
+
+const entropy = p => (p <= 0 || p >= 1 ? 0 : -p * Math.log(p) - (1 - p) * Math.log(1 - p));
+
+/**
+ * Expected information about γ from asking a lottery pair: the mutual
+ * information between the answer and γ, with λ integrated out.
+ *
+ * @param {{ joint: number[][] }} posterior - From jointPosterior
+ * @param {Object} pair - Lottery pair
+ * @returns {number} Expected information gain in nats
+ */
+export function informationGain({ joint }, pair) {
+  const gaps = gapsForA(pair);
+  let pA = 0;
+  let conditionalEntropy = 0;
+  joint.forEach((row, i) => {
+    const mass = row.reduce((s, v) => s + v, 0);
+    if (mass === 0) return;
+    const pAGivenGamma = row.reduce((s, v, k) => s + v * Math.exp(logSigmoid(LAMBDAS[k] * gaps[i])), 0) / mass;
+    pA += mass * pAGivenGamma;
+    conditionalEntropy += mass * entropy(pAGivenGamma);
+  });
+  return entropy(pA) - conditionalEntropy;
+}
+
+/**
+ * Posterior distribution of γ (and of λ) given the observed lottery choices.
+ *
+ * @param {Array} choices - Array of { pair, choice } (see choiceGap)
+ * @param {Object} [options] - Priors, as for jointPosterior
+ * @returns {{
+ *   prior: { median: number, sigma: number },
+ *   grid: { gamma: number, density: number, prior: number }[],
+ *   mean: number, median: number, mode: number, sd: number,
+ *   credibleInterval: [number, number],
+ *   lambda: { prior: Object, mean: number, median: number, credibleInterval: [number, number] }
+ * }} Densities are per unit of γ
+ */
+export function inferGammaPosterior(choices, { prior = DEFAULT_GAMMA_PRIOR, lambdaPrior = DEFAULT_LAMBDA_PRIOR } = {}) {
+  const { gammas, lambdas, joint } = jointPosterior(choices, { prior, lambdaPrior });
+  const masses = joint.map(row => row.reduce((r, v) => r + v, 0));
+  const lambdaMasses = lambdas.map((_, k) => joint.reduce((s, row) => s + row[k], 0));
+  const densities = masses.map((m, i) => m / GAMMA_WIDTHS[i]);
+
+  const mean = gammas.reduce((s, g, i) => s + g * masses[i], 0);
+  const variance = gammas.reduce((s, g, i) => s + (g - mean) ** 2 * masses[i], 0);
+  const tail = (1 - CREDIBLE_LEVEL) / 2;
+
+  return {
+    prior,
+    grid: gammas.map((gamma, i) => ({ gamma, density: densities[i], prior: lognormalDensity(gamma, prior) })),
+    mean,
+    median: quantile(gammas, masses, 0.5),
+    mode: gammas[densities.indexOf(Math.max(...densities))],
+    sd: Math.sqrt(variance),
+    credibleInterval: [quantile(gammas, masses, tail), quantile(gammas, masses, 1 - tail)],
+    lambda: {
+      prior: lambdaPrior,
+      mean: lambdas.reduce((s, l, k) => s + l * lambdaMasses[k], 0),
+      median: quantile(lambdas, lambdaMasses, 0.5),
+      credibleInterval: [quantile(lambdas, lambdaMasses, tail), quantile(lambdas, lambdaMasses, 1 - tail)],
+    },
+  };
+}
+
+/**
+ * The posterior as probability masses on its grid, as POST /api/optimize takes it.
+ * @param {{ grid: { gamma: number, density: number }[] }} posterior - From inferGammaPosterior
+ * @returns {{ gammas: number[], weights: number[] }}
+ */
+export function posteriorWeights(posterior) {
+  const gammas = posterior.grid.map(p => p.gamma);
+  return { gammas, weights: gridMasses(gammas, posterior.grid.map(p => p.density)) };
+}
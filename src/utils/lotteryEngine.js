@@ -1,74 +1,101 @@
 /**
  * Adaptive lottery question selection engine.
  *
- * Uses binary-search-style selection: pick the lottery pair whose
- * indifference γ is closest to the current estimate, maximally
- * narrowing the uncertainty range with each question.
+ * Each question is the unanswered pair with the largest expected information
+ * gain about γ under the current posterior (see gammaPosterior.js): the pair
+ * whose answer we are least able to predict, yet would predict well if we knew
+ * γ. Contradictory answers simply widen the posterior, so the next pick
+ * re-probes the region in doubt.
+ *
+ * The assessment stops once the 95% credible interval is narrow enough, and
+ * otherwise after a maximum number of questions. The optional prospect-theory
+ * round that follows picks its gain/loss pairs the same way, by information
+ * about the prospect-theory parameters (see prospectPosterior.js).
  */
 
-import { LOTTERY_PAIRS } from './constants.js';
+import { LOTTERY_PAIRS, PROSPECT_PAIRS } from './constants.js';
+import { jointPosterior, informationGain } from './gammaPosterior.js';
+import { jointProspectPosterior, prospectInformationGain } from './prospectPosterior.js';
+import { generateLotteryPairs } from './lotteryGenerator.js';
+
+// Indifference points beyond the curated pairs' [0.8, 4.4], for near risk-neutral and very averse respondents
+const GENERATED_TARGETS = [0.3, 0.45, 0.6, 5, 5.75, 6.5, 7.5, 9];
 
 /**
- * Select the next lottery pair based on the current gamma estimate.
- *
- * Strategy:
- * - Maintain a credible range [lo, hi] for γ
- * - Pick the unanswered pair whose indifference γ is closest to the midpoint
- * - This binary-search approach maximally narrows the range each step
- *
- * @param {number} gammaEstimate - Current midpoint estimate of γ
- * @param {Set<number>} answeredIds - IDs of already-answered lottery pairs
- * @returns {Object|null} Next lottery pair, or null if none available
+ * Every pair the assessment can ask: the curated ones, then generated ones
+ * (ids from 101, stable across releases as long as GENERATED_TARGETS only grows at the end).
+ */
+export const QUESTION_POOL = [...LOTTERY_PAIRS, ...generateLotteryPairs(GENERATED_TARGETS, { firstId: 101 })];
+
+/**
+ * Stopping rule. The interval width is relative (upper over lower end), since
+ * the same absolute precision means far more at γ = 1 than at γ = 6. In
+ * simulations, consistent respondents in the middle of the range reach a
+ * ratio of 3 after 6–7 questions.
  */
-export function selectNextLottery(gammaEstimate, answeredIds) {
-  const available = LOTTERY_PAIRS.filter(p => !answeredIds.has(p.id));
-  if (available.length === 0) return null;
+export const STOPPING_RULE = {
+  minQuestions: 6,
+  maxQuestions: 12,
+  maxIntervalRatio: 3,
+};
 
-  // Find the pair whose indifference point is closest to current estimate
-  let best = available[0];
-  let bestDist = Math.abs(best.indifferenceGamma - gammaEstimate);
+// Questions in the prospect-theory round
+export const PROSPECT_QUESTIONS = 10;
 
-  for (const pair of available) {
-    const dist = Math.abs(pair.indifferenceGamma - gammaEstimate);
-    if (dist < bestDist) {
+/**
+ * The unanswered pair from a pool with the largest information gain.
+ */
+function mostInformative(pool, choices, gain) {
+  const answered = new Set(choices.map(c => c.pair.id));
+  let best = null;
+  let bestGain = -Infinity;
+  for (const pair of pool) {
+    if (answered.has(pair.id)) continue;
+    const g = gain(pair);
+    if (g > bestGain) {
       best = pair;
-      bestDist = dist;
+      bestGain = g;
     }
   }
-
   return best;
 }
 
 /**
- * Update the gamma estimate range based on a choice.
- *
- * If user chose the safe option (A), γ > indifference point → increase estimate.
- * If user chose the risky option (B), γ < indifference point → decrease estimate.
+ * Select the next lottery pair by expected information gain.
  *
- * @param {number} lo - Current lower bound of γ range
- * @param {number} hi - Current upper bound of γ range
- * @param {number} indifferenceGamma - The indifference γ of the chosen pair
- * @param {'A'|'B'} choice - Which option the user chose
- * @returns {{ lo: number, hi: number, estimate: number }}
+ * @param {Array} choices - Answers so far, as { pair, choice }
+ * @param {Object} [options] - Priors, as for jointPosterior
+ * @returns {Object|null} Next lottery pair, or null if none available
  */
-export function updateRange(lo, hi, indifferenceGamma, choice) {
-  let newLo = lo;
-  let newHi = hi;
-
-  if (choice === 'A') {
-    // Chose safe → γ is above the indifference point
-    newLo = Math.max(lo, indifferenceGamma);
-  } else {
-    // Chose risky → γ is below the indifference point
-    newHi = Math.min(hi, indifferenceGamma);
-  }
+export function selectNextLottery(choices, options) {
+  if (choices.length >= QUESTION_POOL.length) return null;
+  const posterior = jointPosterior(choices, options);
+  return mostInformative(QUESTION_POOL, choices, pair => informationGain(posterior, pair));
+}
 
-  // Prevent degenerate ranges
-  if (newLo >= newHi) {
-    newLo = Math.max(1.0, newLo - 0.2);
-    newHi = newLo + 0.4;
-  }
+/**
+ * Select the next prospect-theory pair by expected information gain.
+ *
+ * @param {Array} choices - Every answer so far, CRRA and prospect-theory, as { pair, choice }
+ * @param {Object} [options] - Priors, as for jointProspectPosterior
+ * @returns {Object|null} Next pair from PROSPECT_PAIRS, or null if all were asked
+ */
+export function selectNextProspectPair(choices, options) {
+  const posterior = jointProspectPosterior(choices, options);
+  return mostInformative(PROSPECT_PAIRS, choices, pair => prospectInformationGain(posterior, pair));
+}
 
-  const estimate = (newLo + newHi) / 2;
-  return { lo: newLo, hi: newHi, estimate };
+/**
+ * Whether the assessment can stop.
+ *
+ * @param {number} answered - Number of questions answered
+ * @param {{ credibleInterval: [number, number] }} posterior - From inferGammaPosterior
+ * @param {typeof STOPPING_RULE} [rule=STOPPING_RULE]
+ * @returns {boolean}
+ */
+export function assessmentComplete(answered, posterior, rule = STOPPING_RULE) {
+  if (answered < rule.minQuestions) return false;
+  if (answered >= rule.maxQuestions) return true;
+  const [lo, hi] = posterior.credibleInterval;
+  return hi / lo <= rule.maxIntervalRatio;
 }
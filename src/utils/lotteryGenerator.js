@@ -0,0 +1,151 @@
+/**
+ * Procedural lottery pairs: a sure amount (option A) against a two-outcome
+ * gamble (option B), built so that a CRRA agent with a chosen target γ is
+ * indifferent between them.
+ *
+ * The gamble comes from a small menu of round amounts and probabilities; the
+ * sure amount is the gamble's certainty equivalent at the target γ, rounded
+ * to a quarter so it reads naturally. Rounding moves the indifference point
+ * (a lot for very averse targets, where certainty equivalents bunch up near
+ * the low outcome), so the pair's indifferenceGamma is solved again by
+ * root-finding on the expected-utility difference, and the gamble that lands
+ * closest to the target is used.
+ */
+
+import { expectedUtility, certaintyEquivalent } from './crra.js';
+
+// Bracket for the indifference γ
+const SOLVE_MIN = 0.01;
+const SOLVE_MAX = 30;
+const SOLVE_TOLERANCE = 1e-6;
+
+// Gambles to build pairs from: outcomes in dollars, p the chance of the high one
+const GAMBLES = [
+  { high: 30, low: 10, p: 0.5 },
+  { high: 25, low: 5, p: 0.7 },
+  { high: 40, low: 8, p: 0.5 },
+  { high: 30, low: 3, p: 0.65 },
+  { high: 50, low: 12, p: 0.4 },
+  { high: 20, low: 6, p: 0.8 },
+];
+
+// A generated pair within this relative distance of its target is accepted without trying other gambles
+const TARGET_TOLERANCE = 0.05;
+
+// Stored indifference points further than this from the solved ones are reported
+export const INDIFFERENCE_TOLERANCE = 0.02;
+
+/**
+ * Solve for the γ at which a CRRA agent is indifferent between a pair's options,
+ * by bisection on EU_A(γ) − EU_B(γ).
+ *
+ * @param {{ optionA: { outcomes: Object[] }, optionB: { outcomes: Object[] } }} pair
+ * @returns {number|null} The indifference γ, or null if there is none in (SOLVE_MIN, SOLVE_MAX)
+ */
+export function solveIndifferenceGamma(pair) {
+  const diff = gamma => expectedUtility(pair.optionA.outcomes, gamma) - expectedUtility(pair.optionB.outcomes, gamma);
+  let lo = SOLVE_MIN;
+  let hi = SOLVE_MAX;
+  let fLo = diff(lo);
+  if (Math.sign(fLo) === Math.sign(diff(hi))) return null;
+
+  while (hi - lo > SOLVE_TOLERANCE) {
+    const mid = (lo + hi) / 2;
+    const fMid = diff(mid);
+    if (Math.sign(fMid) === Math.sign(fLo)) {
+      lo = mid;
+      fLo = fMid;
+    } else {
+      hi = mid;
+    }
+  }
+  return (lo + hi) / 2;
+}
+
+const formatDollars = value => (Number.isInteger(value) ? `$${value}` : `$${value.toFixed(2)}`);
+const formatPercent = prob => `${Math.round(prob * 100)}%`;
+
+/**
+ * Human-readable label of a lottery, e.g. "$16 for sure" or "65% chance of $25, 35% chance of $3".
+ * @param {{ value: number, prob: number }[]} outcomes
+ */
+export function lotteryLabel(outcomes) {
+  if (outcomes.length === 1) return `${formatDollars(outcomes[0].value)} for sure`;
+  return outcomes.map(o => `${formatPercent(o.prob)} chance of ${formatDollars(o.value)}`).join(', ');
+}
+
+/**
+ * Pair a gamble with its rounded certainty equivalent at a target γ.
+ * @returns {Object|null} null if rounding left the options without an indifference point
+ */
+function pairForGamble({ high, low, p }, targetGamma, id) {
+  const gamble = [{ value: high, prob: p }, { value: low, prob: Number((1 - p).toFixed(2)) }];
+
+  // Keep the sure amount strictly inside the gamble's range, or one option dominates
+  const ce = certaintyEquivalent(gamble, targetGamma);
+  const sure = Math.min(Math.max(Math.round(ce * 4) / 4, low + 0.25), high - 0.25);
+  const pair = {
+    id,
+    optionA: { outcomes: [{ value: sure, prob: 1.0 }], label: lotteryLabel([{ value: sure, prob: 1.0 }]) },
+    optionB: { outcomes: gamble, label: lotteryLabel(gamble) },
+  };
+  const solved = solveIndifferenceGamma(pair);
+  return solved === null ? null : { ...pair, indifferenceGamma: Number(solved.toFixed(2)) };
+}
+
+/**
+ * Build a pair whose indifference γ is close to a target.
+ *
+ * @param {number} targetGamma - Positive γ (below 1 for near risk-neutral, above 5 for very averse)
+ * @param {Object} [options]
+ * @param {number} [options.id] - Pair id
+ * @param {number} [options.variant=0] - Which gamble from the menu to try first (wraps around)
+ * @returns {{ id: number, optionA: Object, optionB: Object, indifferenceGamma: number }}
+ */
+export function generateLotteryPair(targetGamma, { id, variant = 0 } = {}) {
+  if (!(targetGamma > SOLVE_MIN && targetGamma < SOLVE_MAX)) {
+    throw new RangeError(`targetGamma must be between ${SOLVE_MIN} and ${SOLVE_MAX}`);
+  }
+  let best = null;
+  for (let k = 0; k < GAMBLES.length; k++) {
+    const pair = pairForGamble(GAMBLES[(variant + k) % GAMBLES.length], targetGamma, id);
+    if (!pair) continue;
+    const miss = Math.abs(pair.indifferenceGamma - targetGamma) / targetGamma;
+    if (miss <= TARGET_TOLERANCE) return pair;
+    if (!best || miss < best.miss) best = { pair, miss };
+  }
+  if (!best) throw new RangeError(`No lottery pair has its indifference point near γ = ${targetGamma}`);
+  return best.pair;
+}
+
+/**
+ * Build pairs for several target γ values, cycling through the gamble menu.
+ *
+ * @param {number[]} targets
+ * @param {Object} [options]
+ * @param {number} [options.firstId=1] - Id of the first pair; the rest count up
+ * @returns {Object[]} Pairs, as generateLotteryPair
+ */
+export function generateLotteryPairs(targets, { firstId = 1 } = {}) {
+  return targets.map((target, i) => generateLotteryPair(target, { id: firstId + i, variant: i }));
+}
+
+/**
+ * Re-solve the indifference γ of every pair and report those that are off.
+ *
+ * @param {Object[]} pairs
+ * @param {number} [tolerance=INDIFFERENCE_TOLERANCE]
+ * @returns {{ checked: number, off: { id: number, stored: number, solved: number|null, error: number|null }[] }}
+ *   solved is null when the options never cross (one dominates the other)
+ */
+export function validateLotteryPairs(pairs, tolerance = INDIFFERENCE_TOLERANCE) {
+  const off = [];
+  for (const pair of pairs) {
+    const solved = solveIndifferenceGamma(pair);
+    const error = solved === null ? null : solved - pair.indifferenceGamma;
+    if (error === null || Math.abs(error) > tolerance) {
+      off.push({ id: pair.id, stored: pair.indifferenceGamma, solved, error });
+    }
+  }
+  return { checked: pairs.length, off };
+}
@@ -0,0 +1,147 @@
+/**
+ * Bayesian inference for the prospect-theory parameters: loss aversion
+ * λ_loss, curvature α and probability weighting δ (see prospectTheory.js),
+ * with the choice sensitivity integrated out as in gammaPosterior.js.
+ *
+ * Each parameter has a lognormal prior centered on typical experimental
+ * estimates (Tversky & Kahneman report λ_loss ≈ 2.25 and α ≈ 0.88; Prelec
+ * weighting fits put δ near 0.65–0.75). The logistic likelihood uses
+ * prospectChoiceGap, and every answer counts: the gains-only CRRA questions
+ * inform curvature and weighting, the mixed gambles loss aversion.
+ */
+
+import { logSigmoid } from './gammaInference.js';
+import {
+  DEFAULT_LAMBDA_PRIOR, CREDIBLE_LEVEL, lognormalDensity, gridMasses, quantile, logGrid,
+} from './gammaPosterior.js';
+import { prospectChoiceGap } from './prospectTheory.js';
+
+export const DEFAULT_PROSPECT_PRIORS = {
+  lossAversion: { median: 2, sigma: 0.5 },
+  curvature: { median: 0.85, sigma: 0.25 },
+  weighting: { median: 0.7, sigma: 0.3 },
+};
+
+const PARAMETERS = ['lossAversion', 'curvature', 'weighting'];
+
+const GRIDS = {
+  lossAversion: logGrid(0.5, 8, 25),
+  curvature: logGrid(0.35, 1.4, 11),
+  weighting: logGrid(0.3, 1.5, 11),
+};
+const WIDTHS = Object.fromEntries(PARAMETERS.map(p => [p, gridMasses(GRIDS[p], GRIDS[p].map(() => 1))]));
+
+// Coarser than for γ alone: the grid is already three-dimensional
+const LAMBDAS = logGrid(0.5, 60, 9);
+const LAMBDA_WIDTHS = gridMasses(LAMBDAS, LAMBDAS.map(() => 1));
+
+// Every parameter combination, as grid indices and values
+const COMBINATIONS = GRIDS.lossAversion.flatMap((_, a) => GRIDS.curvature.flatMap((_, c) => GRIDS.weighting.map((_, w) => ({
+  index: { lossAversion: a, curvature: c, weighting: w },
+  params: { lossAversion: GRIDS.lossAversion[a], curvature: GRIDS.curvature[c], weighting: GRIDS.weighting[w] },
+}))));
+
+// Prospect-theory CE gaps in favor of option A at every combination, by lottery pair
+const gapCache = new WeakMap();
+
+function gapsForA(pair) {
+  if (!gapCache.has(pair)) {
+    gapCache.set(pair, COMBINATIONS.map(({ params }) => prospectChoiceGap({ pair, choice: 'A' }, params)));
+  }
+  return gapCache.get(pair);
+}
+
+/**
+ * Joint posterior probabilities of the parameters and λ on the grid.
+ *
+ * @param {Array} choices - Array of { pair, choice }, CRRA and prospect-theory pairs alike
+ * @param {Object} [options]
+ * @param {typeof DEFAULT_PROSPECT_PRIORS} [options.priors=DEFAULT_PROSPECT_PRIORS] - Lognormal priors
+ * @param {{ median: number, sigma: number }} [options.lambdaPrior=DEFAULT_LAMBDA_PRIOR] - Lognormal prior on λ
+ * @returns {{ combinations: Object[], lambdas: number[], joint: number[][] }} joint[c][k] is the mass at
+ *   (combinations[c], lambdas[k]); all masses sum to 1
+ */
+export function jointProspectPosterior(choices, { priors = DEFAULT_PROSPECT_PRIORS, lambdaPrior = DEFAULT_LAMBDA_PRIOR } = {}) {
+  const logPriors = Object.fromEntries(PARAMETERS.map(p => [
+    p, GRIDS[p].map((x, i) => Math.log(lognormalDensity(x, priors[p]) * WIDTHS[p][i])),
+  ]));
+  const lambdaLogPriors = LAMBDAS.map((l, k) => Math.log(lognormalDensity(l, lambdaPrior) * LAMBDA_WIDTHS[k]));
+  const signedGaps = choices.map(({ pair, choice }) => gapsForA(pair).map(gap => (choice === 'A' ? gap : -gap)));
+
+  const logJoint = COMBINATIONS.map(({ index }, c) => {
+    const logPrior = PARAMETERS.reduce((s, p) => s + logPriors[p][index[p]], 0);
+    return LAMBDAS.map((l, k) => logPrior + lambdaLogPriors[k]
+      + signedGaps.reduce((ll, gaps) => ll + logSigmoid(l * gaps[c]), 0));
+  });
+
+  let peak = -Infinity;
+  for (const row of logJoint) for (const lp of row) peak = Math.max(peak, lp);
+  const unnormalized = logJoint.map(row => row.map(lp => Math.exp(lp - peak)));
+  const total = unnormalized.reduce((s, row) => s + row.reduce((r, v) => r + v, 0), 0);
+  return { combinations: COMBINATIONS, lambdas: LAMBDAS, joint: unnormalized.map(row => row.map(v => v / total)) };
+}
+
+const entropy = p => (p <= 0 || p >= 1 ? 0 : -p * Math.log(p) - (1 - p) * Math.log(1 - p));
+
+/**
+ * Expected information about the prospect-theory parameters from asking a
+ * pair, as informationGain in gammaPosterior.js.
+ *
+ * @param {{ joint: number[][] }} posterior - From jointProspectPosterior
+ * @param {Object} pair - Lottery pair
+ * @returns {number} Expected information gain in nats
+ */
+export function prospectInformationGain({ joint }, pair) {
+  const gaps = gapsForA(pair);
+  let pA = 0;
+  let conditionalEntropy = 0;
+  joint.forEach((row, c) => {
+    const mass = row.reduce((s, v) => s + v, 0);
+    if (mass === 0) return;
+    const pAGiven = row.reduce((s, v, k) => s + v * Math.exp(logSigmoid(LAMBDAS[k] * gaps[c])), 0) / mass;
+    pA += mass * pAGiven;
+    conditionalEntropy += mass * entropy(pAGiven);
+  });
+  return entropy(pA) - conditionalEntropy;
+}
+
+/**
+ * Mean, median and credible interval of one parameter's marginal masses on its grid.
+ */
+function summarize(grid, masses) {
+  const tail = (1 - CREDIBLE_LEVEL) / 2;
+  return {
+    mean: grid.reduce((s, x, i) => s + x * masses[i], 0),
+    median: quantile(grid, masses, 0.5),
+    credibleInterval: [quantile(grid, masses, tail), quantile(grid, masses, 1 - tail)],
+  };
+}
+
+/**
+ * Posterior of the prospect-theory parameters given the observed choices.
+ *
+ * @param {Array} choices - Array of { pair, choice }
+ * @param {Object} [options] - Priors, as for jointProspectPosterior
+ * @returns {{
+ *   lossAversion: { prior: Object, mean: number, median: number, credibleInterval: [number, number] },
+ *   curvature: Object, weighting: Object, lambda: Object, answers: number
+ * }} curvature, weighting and lambda are summarized like lossAversion
+ */
+export function inferProspectPosterior(choices, { priors = DEFAULT_PROSPECT_PRIORS, lambdaPrior = DEFAULT_LAMBDA_PRIOR } = {}) {
+  const { joint } = jointProspectPosterior(choices, { priors, lambdaPrior });
+  const marginals = Object.fromEntries(PARAMETERS.map(p => [p, GRIDS[p].map(() => 0)]));
+  const lambdaMasses = LAMBDAS.map(() => 0);
+  joint.forEach((row, c) => {
+    const { index } = COMBINATIONS[c];
+    row.forEach((v, k) => {
+      for (const p of PARAMETERS) marginals[p][index[p]] += v;
+      lambdaMasses[k] += v;
+    });
+  });
+
+  return {
+    ...Object.fromEntries(PARAMETERS.map(p => [p, { prior: priors[p], ...summarize(GRIDS[p], marginals[p]) }])),
+    lambda: { prior: lambdaPrior, ...summarize(LAMBDAS, lambdaMasses) },
+    answers: choices.length,
+  };
+}
@@ -0,0 +1,108 @@
+/**
+ * Prospect-theory choice model (cumulative prospect theory, Tversky &
+ * Kahneman 1992) for lotteries that can lose money.
+ *
+ * Outcomes are gains or losses relative to zero, valued by
+ *
+ *   v(x) = x^α              for x ≥ 0
+ *   v(x) = −λ_loss · (−x)^α  for x < 0
+ *
+ * with loss aversion λ_loss (a loss weighs λ_loss times as much as an equal
+ * gain) and curvature α (below 1: risk averse over gains, risk seeking over
+ * losses). Probabilities enter through Prelec's weighting function
+ *
+ *   w(p) = exp(−(−ln p)^δ)
+ *
+ * which for δ < 1 overweights unlikely outcomes and underweights likely ones.
+ * It is applied rank by rank, to gains and losses separately.
+ *
+ * The literature writes the weighting parameter as γ and loss aversion as λ;
+ * here they are δ and λ_loss, since γ is the CRRA coefficient and λ the
+ * choice sensitivity everywhere else in the app.
+ */
+
+/**
+ * @typedef {{ lossAversion: number, curvature: number, weighting: number }} ProspectParameters
+ */
+
+/**
+ * Value of a single gain or loss.
+ * @param {number} x - Outcome in dollars, negative for a loss
+ * @param {ProspectParameters} params
+ * @returns {number}
+ */
+export function prospectValue(x, { lossAversion, curvature }) {
+  return x >= 0 ? Math.pow(x, curvature) : -lossAversion * Math.pow(-x, curvature);
+}
+
+/**
+ * Prelec probability weighting, w(p) = exp(−(−ln p)^δ).
+ * @param {number} p - Probability
+ * @param {number} weighting - δ; 1 leaves probabilities unweighted
+ * @returns {number}
+ */
+export function probabilityWeight(p, weighting) {
+  if (p <= 0) return 0;
+  if (p >= 1) return 1;
+  return Math.exp(-Math.pow(-Math.log(p), weighting));
+}
+
+/**
+ * Decision weights of outcomes ordered from the most extreme inward: each
+ * gets the weight of "this or more extreme" minus that of "more extreme".
+ */
+function decisionWeights(ranked, weighting) {
+  let cumulative = 0;
+  return ranked.map(o => {
+    const before = probabilityWeight(cumulative, weighting);
+    cumulative = Math.min(cumulative + o.prob, 1);
+    return probabilityWeight(cumulative, weighting) - before;
+  });
+}
+
+/**
+ * Prospect value of a lottery, an array of { value, prob } outcomes.
+ * @param {{ value: number, prob: number }[]} outcomes
+ * @param {ProspectParameters} params
+ * @returns {number}
+ */
+export function prospectUtility(outcomes, params) {
+  const gains = outcomes.filter(o => o.value > 0).sort((a, b) => b.value - a.value);
+  const losses = outcomes.filter(o => o.value < 0).sort((a, b) => a.value - b.value);
+  const sum = (ranked) => {
+    const weights = decisionWeights(ranked, params.weighting);
+    return ranked.reduce((s, o, i) => s + weights[i] * prospectValue(o.value, params), 0);
+  };
+  return sum(gains) + sum(losses);
+}
+
+/**
+ * Certainty equivalent of a lottery under prospect theory: the sure gain (or
+ * loss, when negative) with the same prospect value.
+ * @param {{ value: number, prob: number }[]} outcomes
+ * @param {ProspectParameters} params
+ * @returns {number} Dollars
+ */
+export function prospectCertaintyEquivalent(outcomes, params) {
+  const value = prospectUtility(outcomes, params);
+  return value >= 0
+    ? Math.pow(value, 1 / params.curvature)
+    : -Math.pow(-value / params.lossAversion, 1 / params.curvature);
+}
+
+/**
+ * Certainty-equivalent gap in favor of the chosen option, relative to the
+ * pair's largest stake (certainty equivalents of mixed lotteries can be zero
+ * or negative, so unlike choiceGap this does not divide by their average).
+ *
+ * @param {{ pair: Object, choice: 'A'|'B' }} answer
+ * @param {ProspectParameters} params
+ * @returns {number} Positive when the choice is the one these parameters prefer
+ */
+export function prospectChoiceGap({ pair, choice }, params) {
+  const outcomes = [...pair.optionA.outcomes, ...pair.optionB.outcomes];
+  const stake = Math.max(...outcomes.map(o => Math.abs(o.value)));
+  const gap = (prospectCertaintyEquivalent(pair.optionA.outcomes, params)
+    - prospectCertaintyEquivalent(pair.optionB.outcomes, params)) / stake;
+  return choice === 'A' ? gap : -gap;
+}